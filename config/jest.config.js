@@ -19,6 +19,12 @@ module.exports = {
   moduleNameMapper: {
     '^snap2map/index$': '<rootDir>/src/index.js',
     '^snap2map/calibrator$': '<rootDir>/src/calibration/calibrator.js',
+    '^snap2map/errorMetrics$': '<rootDir>/src/calibration/errorMetrics.js',
+    '^snap2map/diagnostics$': '<rootDir>/src/calibration/diagnostics.js',
+    '^snap2map/calibrationClient$': '<rootDir>/src/calibration/calibrationClient.js',
+    '^snap2map/calibrationModel$': '<rootDir>/src/calibration/calibrationModel.js',
+    '^snap2map/projection$': '<rootDir>/src/geo/projection.js',
+    '^snap2map/coordinateFormat$': '<rootDir>/src/geo/coordinateFormat.js',
   },
   coverageReporters: ["json", "lcov", "text", "clover"],
   coverageThreshold: {
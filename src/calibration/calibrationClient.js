@@ -0,0 +1,175 @@
+import { handleCalibrationRequest } from './calibrationWorker.js';
+
+function abortError() {
+  const error = new Error('Calibration request was superseded or cancelled.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Main-thread stand-in for the worker: same requests and replies, run after the current event so input stays responsive.
+function createLocalTransport(onReply) {
+  let timer = null;
+  return {
+    post(message) {
+      timer = setTimeout(() => onReply(handleCalibrationRequest(message)), 0);
+    },
+    close() {
+      clearTimeout(timer);
+    },
+  };
+}
+
+function createWorkerTransport(worker, onReply, onFailure) {
+  worker.addEventListener('message', (event) => onReply(event.data));
+  worker.addEventListener('error', (event) => {
+    event.preventDefault();
+    onFailure();
+  });
+  worker.addEventListener('messageerror', onFailure);
+  return {
+    post(message) {
+      worker.postMessage(message);
+    },
+    close() {
+      worker.terminate();
+    },
+  };
+}
+
+function startWorker(createWorker) {
+  if (!createWorker || typeof Worker === 'undefined') {
+    return null;
+  }
+  try {
+    return createWorker();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Promise-based calibrator that runs its tasks (see CALIBRATION_TASKS) in the worker returned by
+ * `createWorker`, or on the main thread when workers are unavailable, fail to start or error out.
+ * One request runs at a time and each task keeps only its latest request: a newer call, `cancel()`
+ * or `terminate()` rejects older ones with an AbortError. Aborting the running request terminates
+ * its worker and starts a fresh one, so a stale fit stops computing instead of delaying the next.
+ * A request the transport cannot post (e.g. a non-cloneable option) rejects with that error.
+ */
+export function createCalibrationClient({ createWorker = null } = {}) {
+  const queued = new Map(); // task → request waiting for the transport
+  let running = null;
+  let nextId = 1;
+  let transport = null;
+
+  function dispatch() {
+    if (running || queued.size === 0) {
+      return;
+    }
+    const [task, request] = queued.entries().next().value;
+    queued.delete(task);
+    running = request;
+    try {
+      transport.post({ id: request.id, task, args: request.args });
+    } catch (error) {
+      running = null;
+      request.reject(error);
+      dispatch();
+    }
+  }
+
+  function receive(reply) {
+    const request = running;
+    if (!request || request.id !== reply.id) {
+      return;
+    }
+    running = null;
+    if (!request.cancelled) {
+      if (reply.error) {
+        request.reject(new Error(reply.error));
+      } else {
+        request.resolve(reply.result);
+      }
+    }
+    dispatch();
+  }
+
+  function openTransport() {
+    const worker = onWorker ? startWorker(createWorker) : null;
+    onWorker = Boolean(worker);
+    return worker ? createWorkerTransport(worker, receive, fallBackToMainThread) : createLocalTransport(receive);
+  }
+
+  // A worker that cannot load its module (or dies) hands the running request over to the main thread.
+  function fallBackToMainThread() {
+    transport.close();
+    onWorker = false;
+    transport = openTransport();
+    const request = running;
+    running = null;
+    if (request && !request.cancelled) {
+      queued.set(request.task, request);
+    }
+    dispatch();
+  }
+
+  let onWorker = true;
+  transport = openTransport();
+
+  function abort(request) {
+    request.cancelled = true;
+    request.reject(abortError());
+  }
+
+  // Aborts the matching requests; true when the running one was among them.
+  function abortMatching(task) {
+    queued.forEach((request, key) => {
+      if (task === null || key === task) {
+        queued.delete(key);
+        abort(request);
+      }
+    });
+    if (running && !running.cancelled && (task === null || running.task === task)) {
+      abort(running);
+      return true;
+    }
+    return false;
+  }
+
+  function cancel(task = null) {
+    if (abortMatching(task)) {
+      running = null;
+      transport.close();
+      transport = openTransport();
+      dispatch();
+    }
+  }
+
+  function run(task, args) {
+    cancel(task);
+    return new Promise((resolve, reject) => {
+      queued.set(task, { id: nextId, task, args, resolve, reject, cancelled: false });
+      nextId += 1;
+      dispatch();
+    });
+  }
+
+  return {
+    get usesWorker() {
+      return onWorker;
+    },
+    calibrate: (pairs, options, refineOptions = null) => run('calibrate', [pairs, options, refineOptions]),
+    refineWithTps: (calibration, pairs, refineOptions) => run('refineWithTps', [calibration, pairs, refineOptions]),
+    cancel,
+    terminate() {
+      abortMatching(null);
+      running = null;
+      transport.close();
+    },
+  };
+}
+
+const api = {
+  createCalibrationClient,
+};
+
+export default api;
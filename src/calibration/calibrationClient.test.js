@@ -0,0 +1,163 @@
+import { createCalibrationClient } from './calibrationClient.js';
+
+jest.mock('./calibrationWorker.js', () => ({
+  handleCalibrationRequest: jest.fn(({ id, task, args }) => ({ id, result: { task, args } })),
+}));
+
+// Worker double that records posted requests and lets the test reply or fail.
+function createFakeWorker() {
+  const listeners = {};
+  return {
+    posted: [],
+    terminated: false,
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    },
+    postMessage(message) {
+      this.posted.push(message);
+    },
+    terminate() {
+      this.terminated = true;
+    },
+    reply(message) {
+      listeners.message({ data: message });
+    },
+    fail(type = 'error') {
+      listeners[type]({ preventDefault: jest.fn() });
+    },
+  };
+}
+
+describe('calibrationClient', () => {
+  let worker;
+
+  beforeEach(() => {
+    global.Worker = function Worker() {};
+    worker = createFakeWorker();
+  });
+
+  afterEach(() => {
+    delete global.Worker;
+  });
+
+  test('runs on the main thread without a worker', async () => {
+    const client = createCalibrationClient();
+    expect(client.usesWorker).toBe(false);
+    await expect(client.calibrate(['pair'], { seed: 1 })).resolves.toEqual({
+      task: 'calibrate',
+      args: [['pair'], { seed: 1 }, null],
+    });
+    await expect(client.refineWithTps('calibration', ['pair'], {})).resolves.toMatchObject({ task: 'refineWithTps' });
+  });
+
+  test('falls back when workers are missing or fail to start', async () => {
+    delete global.Worker;
+    expect(createCalibrationClient({ createWorker: () => worker }).usesWorker).toBe(false);
+    global.Worker = function Worker() {};
+    const broken = createCalibrationClient({
+      createWorker: () => {
+        throw new Error('blocked');
+      },
+    });
+    expect(broken.usesWorker).toBe(false);
+    await expect(broken.calibrate([], {})).resolves.toMatchObject({ task: 'calibrate' });
+  });
+
+  test('sends one request at a time and keeps only the latest per task', async () => {
+    const client = createCalibrationClient({ createWorker: () => worker });
+    expect(client.usesWorker).toBe(true);
+    const first = client.calibrate(['a'], {});
+    const second = client.calibrate(['b'], {});
+    const third = client.calibrate(['c'], {});
+    const preview = client.refineWithTps('calibration', ['c'], {});
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.posted.map((message) => message.args[0])).toEqual([['a'], ['b'], ['c']]);
+
+    worker.reply({ id: worker.posted[0].id, result: 'stale' });
+    worker.reply({ id: 999, result: 'unknown' });
+    expect(worker.posted).toHaveLength(3);
+    worker.reply({ id: worker.posted[2].id, result: 'fresh' });
+    await expect(third).resolves.toBe('fresh');
+    expect(worker.posted[3].task).toBe('refineWithTps');
+    worker.reply({ id: worker.posted[3].id, error: 'TPS exploded' });
+    await expect(preview).rejects.toThrow('TPS exploded');
+  });
+
+  test('cancel drops a task or everything; terminate stops the worker', async () => {
+    const client = createCalibrationClient({ createWorker: () => worker });
+    const running = client.calibrate(['a'], {});
+    const preview = client.refineWithTps('calibration', [], {});
+    client.cancel('refineWithTps');
+    await expect(preview).rejects.toMatchObject({ name: 'AbortError' });
+    client.cancel('calibrate');
+    await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+    client.cancel();
+    const next = client.calibrate(['b'], {});
+    client.terminate();
+    await expect(next).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.terminated).toBe(true);
+  });
+
+  test('cancelling the running request stops its worker and starts a fresh one', async () => {
+    const workers = [];
+    const client = createCalibrationClient({
+      createWorker: () => {
+        workers.push(createFakeWorker());
+        return workers[workers.length - 1];
+      },
+    });
+    const stale = client.calibrate(['a'], {});
+    const queued = client.refineWithTps('calibration', [], {});
+    client.cancel('refineWithTps');
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(workers).toHaveLength(1);
+
+    const fresh = client.calibrate(['b'], {});
+    await expect(stale).rejects.toMatchObject({ name: 'AbortError' });
+    expect(workers[0].terminated).toBe(true);
+    expect(workers).toHaveLength(2);
+    expect(workers[1].posted[0].args[0]).toEqual(['b']);
+    workers[1].reply({ id: workers[1].posted[0].id, result: 'fresh' });
+    await expect(fresh).resolves.toBe('fresh');
+  });
+
+  test('the main thread skips a cancelled request it has not started', async () => {
+    const { handleCalibrationRequest } = jest.requireMock('./calibrationWorker.js');
+    handleCalibrationRequest.mockClear();
+    const client = createCalibrationClient();
+    const stale = client.calibrate(['a'], {});
+    client.cancel();
+    await expect(stale).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(client.calibrate(['b'], {})).resolves.toMatchObject({ args: [['b'], {}, null] });
+    expect(handleCalibrationRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('a request that cannot be posted rejects without blocking later ones', async () => {
+    const client = createCalibrationClient({ createWorker: () => worker });
+    const postMessage = worker.postMessage;
+    worker.postMessage = jest.fn(() => {
+      throw new Error('DataCloneError: function could not be cloned');
+    });
+    await expect(client.calibrate(['a'], { random: () => 0.5 })).rejects.toThrow('could not be cloned');
+    worker.postMessage = postMessage;
+    const next = client.calibrate(['b'], {});
+    worker.reply({ id: worker.posted[0].id, result: 'fitted' });
+    await expect(next).resolves.toBe('fitted');
+  });
+
+  test('a failing worker hands its running request to the main thread', async () => {
+    const client = createCalibrationClient({ createWorker: () => worker });
+    const pending = client.calibrate(['a'], {});
+    worker.fail();
+    expect(worker.terminated).toBe(true);
+    expect(client.usesWorker).toBe(false);
+    await expect(pending).resolves.toEqual({ task: 'calibrate', args: [['a'], {}, null] });
+
+    const other = createFakeWorker();
+    const idle = createCalibrationClient({ createWorker: () => other });
+    other.fail('messageerror');
+    expect(idle.usesWorker).toBe(false);
+    await expect(idle.calibrate(['b'], {})).resolves.toMatchObject({ task: 'calibrate' });
+  });
+});
@@ -0,0 +1,132 @@
+import { projectLocationToPixel, projectPixelToLocation } from './calibrator.js';
+import { CALIBRATION_TASKS } from './calibrationWorker.js';
+
+export const CALIBRATION_MODEL_EVENTS = ['pairs', 'settings', 'calibration'];
+
+function runNow(task, args) {
+  return new Promise((resolve) => resolve(CALIBRATION_TASKS[task](...args)));
+}
+
+// Same interface as createCalibrationClient, computing on the calling thread.
+const immediateClient = {
+  calibrate: (...args) => runNow('calibrate', args),
+  refineWithTps: (...args) => runNow('refineWithTps', args),
+  cancel() {},
+};
+
+/**
+ * One map's pairs, fit settings and current calibration (spec §11.6), shared by the UI and storage.
+ * Fits go through `client` (see createCalibrationClient) so they can run in a worker; without one
+ * they run on the calling thread. `options` are calibrateMap options applied to every fit.
+ * Listeners added with `on(type, listener)` (which returns an unsubscribe function) hear:
+ * 'pairs' (pairs) when the pair list is replaced, 'settings' (settings) when the base kind, fit
+ * options or TPS choice change, and 'calibration' (calibration or null, full result) after a fit.
+ * Changing pairs or settings cancels fits still running, so a late result never overwrites a newer one.
+ */
+export function createCalibrationModel({ client = immediateClient, options = {} } = {}) {
+  const listeners = new Map(CALIBRATION_MODEL_EVENTS.map((type) => [type, new Set()]));
+  let pairs = [];
+  let fitOptions = { ...options };
+  let baseKind = null;
+  let tpsRegularization = null;
+  let result = null;
+
+  function emit(type, ...args) {
+    listeners.get(type).forEach((listener) => listener(...args));
+  }
+
+  function on(type, listener) {
+    const registered = listeners.get(type);
+    if (!registered) {
+      throw new Error(`Unknown calibration model event: ${type}`);
+    }
+    registered.add(listener);
+    return () => registered.delete(listener);
+  }
+
+  function calibration() {
+    return result && result.status === 'ok' ? result : null;
+  }
+
+  function settings() {
+    return { baseKind, tpsRegularization, options: { ...fitOptions } };
+  }
+
+  function settingsChanged() {
+    client.cancel();
+    emit('settings', settings());
+  }
+
+  function adopt(next) {
+    result = next;
+    emit('calibration', calibration(), result);
+    return result;
+  }
+
+  // RANSAC → IRLS for the base kind (AIC choice when null), then the TPS refinement when enabled.
+  function fitRobust(config = {}) {
+    const refineOptions = tpsRegularization === null ? null : { regularization: tpsRegularization };
+    return client.calibrate(pairs, { ...fitOptions, modelKind: baseKind, ...config }, refineOptions).then(adopt);
+  }
+
+  return {
+    on,
+    pairs: () => pairs.slice(),
+    setPairs(nextPairs) {
+      client.cancel();
+      pairs = nextPairs.slice();
+      emit('pairs', pairs.slice());
+    },
+    settings,
+    setBaseKind(kind) {
+      baseKind = kind;
+      settingsChanged();
+    },
+    setOptions(changes) {
+      fitOptions = { ...fitOptions, ...changes };
+      settingsChanged();
+    },
+    fitRobust,
+    enableTPS(regularization = 'auto') {
+      tpsRegularization = regularization;
+      settingsChanged();
+      return fitRobust();
+    },
+    disableTPS() {
+      tpsRegularization = null;
+      settingsChanged();
+      return fitRobust();
+    },
+    // TPS refinement of the current calibration at `regularization`, without adopting it.
+    previewTPS(regularization) {
+      if (!calibration()) {
+        return Promise.resolve({ status: 'tps-failed', message: 'Calibrate the photo before refining.' });
+      }
+      return client.refineWithTps(calibration(), pairs, { regularization });
+    },
+    // Forgets pairs, TPS and the last fit, e.g. when a new photo is loaded; the base kind and options stay.
+    reset() {
+      client.cancel();
+      pairs = [];
+      tpsRegularization = null;
+      result = null;
+      emit('pairs', []);
+      emit('settings', settings());
+      emit('calibration', null, null);
+    },
+    calibration,
+    // Last fit result, including failures and their diagnostics; null before the first fit.
+    result: () => result,
+    residuals: () => (calibration() ? calibration().residuals : []),
+    quality: () => (calibration() ? calibration().quality : null),
+    projectLatLonToPixel: (lat, lon) => projectLocationToPixel(calibration(), { lat, lon }),
+    projectPixelToLatLon: (pixel) => projectPixelToLocation(calibration(), pixel),
+  };
+}
+
+const api = {
+  CALIBRATION_MODEL_EVENTS,
+  createCalibrationModel,
+};
+
+export default api;
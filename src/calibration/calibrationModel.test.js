@@ -0,0 +1,151 @@
+import { CALIBRATION_MODEL_EVENTS, createCalibrationModel } from './calibrationModel.js';
+
+describe('calibrationModel', () => {
+  const origin = { lat: 47.3769, lon: 8.5417 };
+  const grid = [
+    [0, 0],
+    [100, 0],
+    [0, 100],
+    [100, 100],
+    [50, 30],
+    [20, 80],
+  ];
+  // Each pixel is two meters east/north of the origin.
+  const makePairs = () => grid.map(([x, y]) => ({ pixel: { x, y }, enu: { x: 2 * x, y: 2 * y } }));
+
+  const createFittedModel = () => {
+    const model = createCalibrationModel({ options: { origin } });
+    model.setPairs(makePairs());
+    return model;
+  };
+
+  test('is empty until pairs are fitted', () => {
+    const model = createCalibrationModel();
+    expect(model.pairs()).toEqual([]);
+    expect(model.calibration()).toBeNull();
+    expect(model.result()).toBeNull();
+    expect(model.residuals()).toEqual([]);
+    expect(model.quality()).toBeNull();
+    expect(model.settings()).toEqual({ baseKind: null, tpsRegularization: null, options: {} });
+  });
+
+  test('fits the base kind and projects both ways', async () => {
+    const model = createFittedModel();
+    model.setBaseKind('similarity');
+    const result = await model.fitRobust();
+    expect(result.status).toBe('ok');
+    expect(model.calibration().kind).toBe('similarity');
+    expect(model.residuals()).toHaveLength(grid.length);
+    expect(model.quality().rmse).toBeLessThan(1e-6);
+
+    const location = model.projectPixelToLatLon({ x: 100, y: 100 });
+    expect(location.lat).toBeGreaterThan(origin.lat);
+    expect(location.lon).toBeGreaterThan(origin.lon);
+    const pixel = model.projectLatLonToPixel(location.lat, location.lon);
+    expect(pixel.x).toBeCloseTo(100, 6);
+    expect(pixel.y).toBeCloseTo(100, 6);
+  });
+
+  test('fitRobust config overrides the base kind and options for one fit', async () => {
+    const model = createFittedModel();
+    model.setBaseKind('homography');
+    expect((await model.fitRobust({ modelKind: 'affine' })).kind).toBe('affine');
+    expect((await model.fitRobust()).kind).toBe('homography');
+  });
+
+  test('keeps failed fits as the result but reports no calibration', async () => {
+    const model = createCalibrationModel({ options: { origin } });
+    model.setPairs(makePairs().slice(0, 1));
+    const result = await model.fitRobust();
+    expect(result.status).toBe('insufficient-pairs');
+    expect(model.result()).toBe(result);
+    expect(model.calibration()).toBeNull();
+    expect(model.projectLatLonToPixel(origin.lat, origin.lon)).toBeNull();
+  });
+
+  test('enabling TPS refits with the spline and disabling restores the base fit', async () => {
+    const model = createFittedModel();
+    const refined = await model.enableTPS(40);
+    expect(refined.kind).toBe('tps');
+    expect(refined.tps.regularization).toBe(40);
+    expect(model.settings().tpsRegularization).toBe(40);
+    expect((await model.disableTPS()).kind).not.toBe('tps');
+    expect(model.settings().tpsRegularization).toBeNull();
+  });
+
+  test('previews TPS without adopting it', async () => {
+    const model = createFittedModel();
+    expect(await model.previewTPS('auto')).toMatchObject({ status: 'tps-failed' });
+    await model.fitRobust();
+    const preview = await model.previewTPS('auto');
+    expect(preview.kind).toBe('tps');
+    expect(model.calibration().kind).not.toBe('tps');
+  });
+
+  test('calibrates one pair from the scale and north hints and upgrades with a second', async () => {
+    const model = createCalibrationModel({ options: { origin } });
+    model.setOptions({ scaleHint: 2, northHint: 0 });
+    model.setPairs(makePairs().slice(0, 1));
+    expect(await model.fitRobust()).toMatchObject({ status: 'ok', fromHints: true });
+    expect(model.projectLatLonToPixel(origin.lat, origin.lon)).toEqual({ x: 0, y: 0 });
+
+    model.setPairs(makePairs().slice(0, 2));
+    expect(await model.fitRobust()).toMatchObject({ status: 'ok', fromHints: false });
+  });
+
+  test('notifies listeners of pair, setting and calibration changes', async () => {
+    const model = createCalibrationModel({ options: { origin } });
+    const heard = [];
+    CALIBRATION_MODEL_EVENTS.forEach((type) => model.on(type, (value) => heard.push([type, value])));
+
+    const pairs = makePairs();
+    model.setPairs(pairs);
+    pairs.pop();
+    expect(model.pairs()).toHaveLength(grid.length);
+    model.setOptions({ robustLoss: 'tukey' });
+    model.setBaseKind('affine');
+    const result = await model.fitRobust();
+
+    expect(heard.map(([type]) => type)).toEqual(['pairs', 'settings', 'settings', 'calibration']);
+    expect(heard[2][1]).toEqual({ baseKind: 'affine', tpsRegularization: null, options: { origin, robustLoss: 'tukey' } });
+    expect(heard[3][1]).toBe(result);
+    expect(result.robust.loss).toBe('tukey');
+  });
+
+  test('unsubscribes listeners and rejects unknown events', async () => {
+    const model = createFittedModel();
+    const listener = jest.fn();
+    const unsubscribe = model.on('calibration', listener);
+    unsubscribe();
+    await model.fitRobust();
+    expect(listener).not.toHaveBeenCalled();
+    expect(() => model.on('moved', listener)).toThrow('Unknown calibration model event: moved');
+  });
+
+  test('cancels running fits when pairs or settings change', () => {
+    const client = {
+      calibrate: jest.fn(() => new Promise(() => {})),
+      refineWithTps: jest.fn(),
+      cancel: jest.fn(),
+    };
+    const model = createCalibrationModel({ client });
+    model.setPairs(makePairs());
+    model.setBaseKind('affine');
+    model.enableTPS();
+    expect(client.cancel).toHaveBeenCalledTimes(3);
+    expect(client.calibrate).toHaveBeenCalledWith(makePairs(), { modelKind: 'affine' }, { regularization: 'auto' });
+  });
+
+  test('reset forgets pairs, TPS and the fit but keeps the settings', async () => {
+    const model = createFittedModel();
+    model.setBaseKind('similarity');
+    await model.enableTPS();
+    const heard = jest.fn();
+    model.on('calibration', heard);
+    model.reset();
+    expect(model.pairs()).toEqual([]);
+    expect(model.result()).toBeNull();
+    expect(model.settings()).toEqual({ baseKind: 'similarity', tpsRegularization: null, options: { origin } });
+    expect(heard).toHaveBeenCalledWith(null, null);
+  });
+});
@@ -0,0 +1,48 @@
+/* global WorkerGlobalScope */
+import { calibrateMap, refineCalibrationWithTps } from './calibrator.js';
+
+// A TPS refinement that fails keeps the global fit, as when the user applied it by hand.
+function calibrate(pairs, options, refineOptions = null) {
+  const result = calibrateMap(pairs, options);
+  if (result.status !== 'ok' || !refineOptions) {
+    return result;
+  }
+  const refined = refineCalibrationWithTps(result, pairs, refineOptions);
+  return refined.status === 'ok' ? refined : result;
+}
+
+export const CALIBRATION_TASKS = {
+  calibrate,
+  refineWithTps: refineCalibrationWithTps,
+};
+
+/**
+ * Runs one `{ id, task, args }` request and returns the `{ id, result }` reply, or `{ id, error }`
+ * with the message when the task is unknown or throws. Shared by the worker and the main-thread
+ * fallback so both paths compute the same thing.
+ */
+export function handleCalibrationRequest({ id, task, args }) {
+  const run = CALIBRATION_TASKS[task];
+  if (!run) {
+    return { id, error: `Unknown calibration task: ${task}` };
+  }
+  try {
+    return { id, result: run(...args) };
+  } catch (error) {
+    return { id, error: error.message };
+  }
+}
+
+/* istanbul ignore next -- only runs inside the worker */
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.addEventListener('message', (event) => {
+    self.postMessage(handleCalibrationRequest(event.data));
+  });
+}
+
+const api = {
+  CALIBRATION_TASKS,
+  handleCalibrationRequest,
+};
+
+export default api;
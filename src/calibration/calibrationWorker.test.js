@@ -0,0 +1,47 @@
+/**
+ * @jest-environment node
+ */
+import { CALIBRATION_TASKS, handleCalibrationRequest } from './calibrationWorker.js';
+import { calibrateMap } from './calibrator.js';
+import { enuToWgs84 } from '../geo/coordinate.js';
+
+const origin = { lat: 47.37, lon: 8.54 };
+// Affine photo with a gentle bulge the TPS refinement can take up.
+const makePairs = () =>
+  [
+    [0, 0],
+    [400, 20],
+    [390, 310],
+    [10, 300],
+    [200, 150],
+    [120, 240],
+    [300, 80],
+  ].map(([x, y]) => {
+    const bulge = 2e-4 * (x - 200) * (y - 150);
+    return { pixel: { x, y }, wgs84: enuToWgs84({ x: 1.5 * x + 0.2 * y + bulge, y: -0.1 * x + 1.4 * y }, origin) };
+  });
+
+describe('calibrationWorker', () => {
+  test('calibrate matches calibrateMap and replies with cloneable data', () => {
+    const pairs = makePairs();
+    const reply = handleCalibrationRequest({ id: 7, task: 'calibrate', args: [pairs, {}, null] });
+    expect(reply.id).toBe(7);
+    expect(reply.result).toEqual(calibrateMap(pairs, {}));
+    expect(structuredClone(reply.result)).toEqual(reply.result);
+  });
+
+  test('calibrate applies a TPS refinement and keeps the global fit when it fails', () => {
+    const pairs = makePairs();
+    expect(CALIBRATION_TASKS.calibrate(pairs, {}, { regularization: 'auto' }).kind).toBe('tps');
+    const tooFew = pairs.slice(0, 2);
+    expect(CALIBRATION_TASKS.calibrate(tooFew, {}, { regularization: 'auto' }).kind).toBe('similarity');
+    expect(CALIBRATION_TASKS.calibrate(pairs.slice(0, 1), {}, { regularization: 'auto' }).status).not.toBe('ok');
+  });
+
+  test('unknown tasks and exceptions come back as errors', () => {
+    expect(handleCalibrationRequest({ id: 1, task: 'solve', args: [] })).toEqual({ id: 1, error: 'Unknown calibration task: solve' });
+    const reply = handleCalibrationRequest({ id: 2, task: 'refineWithTps', args: [{ status: 'ok' }, null, {}] });
+    expect(reply.id).toBe(2);
+    expect(typeof reply.error).toBe('string');
+  });
+});
@@ -1,50 +1,191 @@
-import { computeOrigin, wgs84ToEnu } from '../geo/coordinate.js';
+import { ENU_METHODS, computeOrigin, degToRad, wgs84ToEnu, enuToWgs84 } from '../geo/coordinate.js';
 import {
   fitSimilarity,
+  similarityFromPair,
   fitAffine,
   fitHomography,
+  fitPolynomial,
+  fitPiecewiseAffine,
+  fitThinPlateSpline,
   applyTransform,
   applyInverseTransform,
   jacobianForTransform,
   averageScaleFromJacobian,
+  predictionCovariance,
+  TOLERANCE,
 } from '../geo/transformations.js';
+import { symmetricEigen2x2 } from '../geo/linearAlgebra.js';
+import { MIN_TPS_POINTS, lambdaFromRegularization } from '../geo/tps.js';
+import { errorColor, createErrorMetrics } from './errorMetrics.js';
+import { MIRRORED_ORIENTATION, diagnosePairs, homographyFoldDiagnostic, pairOrientation } from './diagnostics.js';
+import { DEFAULT_SEED, createSeededRandom } from './random.js';
 
 const DEFAULT_OPTIONS = {
   iterations: 150,
   inlierThresholdMeters: 40,
   confidence: 0.98,
+  // Loss of the IRLS refinement: 'huber', 'tukey' (biweight; ignores gross errors entirely) or 'cauchy'.
+  robustLoss: 'huber',
+  // Huber's tuning constant (meters); the other losses use the constant with the same Gaussian efficiency.
   huberDelta: 35,
-  irlsIterations: 1,
-  random: Math.random,
+  // IRLS stops once no pair's prediction moves by more than irlsToleranceMeters, or after irlsIterations reweightings.
+  irlsIterations: 10,
+  irlsToleranceMeters: 0.01,
+  // Fits whose normalized design matrix is worse conditioned than this are treated as degenerate.
+  maxConditionNumber: 1e4,
+  // Expected pair noise per axis (meters); residuals below it earn no credit in model selection.
+  noiseFloorMeters: 5,
+  // 'similarity' | 'affine' | 'homography' | 'polynomial2' | 'polynomial3' | 'piecewise' to override
+  // the AIC choice; null selects automatically among the kinds marked `automatic`.
+  modelKind: null,
+  // Earth model for the ENU frame (see ENU_METHODS); use 'ellipsoidal' for maps spanning tens of kilometres.
+  enuMethod: ENU_METHODS.SPHERICAL,
+  // ENU origin ({ lat, lon }) to pin so successive fits share a frame; null centres it on the pairs.
+  origin: null,
+  // true/false to fit similarities to a mirrored photo or not; null decides from the pairs' orientation.
+  mirrored: null,
+  // Photo scale (meters per pixel, e.g. from a measured scale bar) and north arrow (degrees clockwise
+  // from the photo's up direction). With both set, a single enabled pair yields a similarity.
+  scaleHint: null,
+  northHint: null,
+  // Uncertainty of those hints: relative scale error and north arrow error in degrees (1 sigma).
+  scaleHintSigma: 0.02,
+  northHintSigma: 2,
+  // RANSAC sampling is seeded so recalculation is deterministic; a custom `random` function overrides it.
+  seed: DEFAULT_SEED,
 };
 
+// Fit options a calibration records so it can be saved and checked (see serialization.js); the seed
+// is recorded on its own and a custom `random` function cannot be.
+const RECORDED_OPTION_KEYS = Object.keys(DEFAULT_OPTIONS).filter((key) => key !== 'seed');
+
+// Positional sigma (meters) assumed for map taps by confidence level; pairs without any
+// accuracy information count as 'medium' and keep the unit weight.
+const CONFIDENCE_SIGMA_METERS = { high: 5, medium: 15, low: 40 };
+const DEFAULT_PAIR_SIGMA_METERS = CONFIDENCE_SIGMA_METERS.medium;
+
+const TPS_DEFAULT_REGULARIZATION = 50;
+const TPS_AUTO_CANDIDATES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+// Polynomials and the piecewise-affine rubber sheet bend to fit almost any small pair set, so they
+// are only fitted when pinned. The rubber sheet interpolates every pair: two parameters per pair.
 const MODEL_PREFERENCES = {
-  homography: { minPairs: 4, estimator: fitHomography },
-  affine: { minPairs: 3, estimator: fitAffine },
-  similarity: { minPairs: 2, estimator: fitSimilarity },
+  piecewise: {
+    minPairs: 3,
+    parameters: (pairCount) => 2 * pairCount,
+    automatic: false,
+    estimator: fitPiecewiseAffine,
+  },
+  polynomial3: {
+    minPairs: 10,
+    parameters: 20,
+    automatic: false,
+    estimator: (pairs, weights) => fitPolynomial(pairs, weights, 3),
+  },
+  polynomial2: {
+    minPairs: 6,
+    parameters: 12,
+    automatic: false,
+    estimator: (pairs, weights) => fitPolynomial(pairs, weights, 2),
+  },
+  homography: { minPairs: 4, parameters: 8, automatic: true, estimator: fitHomography },
+  affine: { minPairs: 3, parameters: 6, automatic: true, estimator: fitAffine },
+  similarity: {
+    minPairs: 2,
+    parameters: 4,
+    automatic: true,
+    estimator: (pairs, weights, options) => fitSimilarity(pairs, weights, { reflected: options.mirrored }),
+  },
 };
 
-function pickModelKinds(pairCount) {
-  if (pairCount >= 4) {
-    return ['homography', 'affine', 'similarity'];
-  }
-  if (pairCount === 3) {
-    return ['affine', 'similarity'];
-  }
-  if (pairCount === 2) {
-    return ['similarity'];
+// Kinds calibrateMap can fit; refineCalibrationWithTps turns any of them into 'tps'.
+export const MODEL_KINDS = Object.keys(MODEL_PREFERENCES);
+
+function parameterCount(kind, pairCount) {
+  const { parameters } = MODEL_PREFERENCES[kind];
+  return typeof parameters === 'function' ? parameters(pairCount) : parameters;
+}
+
+function pickModelKinds(pairCount, pinnedKind = null) {
+  return Object.keys(MODEL_PREFERENCES).filter((kind) => {
+    const preference = MODEL_PREFERENCES[kind];
+    return pairCount >= preference.minPairs && (preference.automatic || kind === pinnedKind);
+  });
+}
+
+// Capture accuracy of a pair: GPS `accuracy` when recorded, else the sigma of its tap `confidence`.
+export function pairSigmaMeters(pair) {
+  if (Number.isFinite(pair.accuracy) && pair.accuracy > 0) {
+    return pair.accuracy;
   }
-  return [];
+  return CONFIDENCE_SIGMA_METERS[pair.confidence] || DEFAULT_PAIR_SIGMA_METERS;
+}
+
+/**
+ * Prior weight (inverse variance relative to a default pair, with the noise floor added so a
+ * ±1 m fix cannot dominate) and the factor by which the pair's inlier threshold and Huber delta are
+ * widened. Precise pairs keep the base threshold; only less certain ones are given more slack.
+ */
+function pairPrior(pair, options) {
+  const floor = options.noiseFloorMeters * options.noiseFloorMeters;
+  const sigma = pairSigmaMeters(pair);
+  const weight = (floor + DEFAULT_PAIR_SIGMA_METERS * DEFAULT_PAIR_SIGMA_METERS) / (floor + sigma * sigma);
+  return { weight, thresholdScale: Math.max(1, 1 / Math.sqrt(weight)) };
 }
 
-function createEnrichedPairs(pairs, origin) {
+// Disabled pairs (`active: false`) stay in the pair list but take no part in fitting.
+export function isPairActive(pair) {
+  return pair.active !== false;
+}
+
+/**
+ * Copies of `pairs` carrying their ENU position in the frame of `origin` and `enuMethod` (a
+ * calibration has both), with `enuFrame` recording that frame so later fits can tell whether it is stale.
+ */
+export function snapshotPairEnu(pairs, { origin, enuMethod = ENU_METHODS.SPHERICAL }) {
   return pairs.map((pair) => ({
+    ...pair,
+    enu: wgs84ToEnu(pair.wgs84, origin, enuMethod),
+    enuFrame: { origin: { lat: origin.lat, lon: origin.lon }, enuMethod },
+  }));
+}
+
+// A cached `enu` is only trusted in the frame its `enuFrame` records. Without a frame it is trusted only
+// when the pair has no WGS84 position to recompute it from, as with callers that supply bare ENU.
+function hasStaleEnu(pair, origin, enuMethod) {
+  const frame = pair.enuFrame;
+  if (!pair.enu || !pair.wgs84) {
+    return false;
+  }
+  return !frame || frame.enuMethod !== enuMethod || frame.origin.lat !== origin.lat || frame.origin.lon !== origin.lon;
+}
+
+function pairEnu(pair, origin, enuMethod) {
+  return pair.enu && !hasStaleEnu(pair, origin, enuMethod) ? pair.enu : wgs84ToEnu(pair.wgs84, origin, enuMethod);
+}
+
+// `index` keeps the caller's pair position so diagnostics on a subset still name the right pairs, and
+// `enuFrame` stamps the frame every `enu` is now in.
+function createEnrichedPairs(pairs, origin, options) {
+  return pairs.map((pair, index) => ({
     pixel: pair.pixel,
     wgs84: pair.wgs84,
-    enu: pair.enu || wgs84ToEnu(pair.wgs84, origin),
+    enu: pairEnu(pair, origin, options.enuMethod),
+    enuFrame: { origin: { lat: origin.lat, lon: origin.lon }, enuMethod: options.enuMethod },
+    active: isPairActive(pair),
+    index,
+    ...pairPrior(pair, options),
   }));
 }
 
+function priorWeight(pair) {
+  return pair.weight === undefined ? 1 : pair.weight;
+}
+
+function thresholdScale(pair) {
+  return pair.thresholdScale === undefined ? 1 : pair.thresholdScale;
+}
+
 function sampleUniqueIndexes(randomFn, total, sampleSize) {
   const selected = new Set();
   while (selected.size < sampleSize) {
@@ -54,9 +195,17 @@ function sampleUniqueIndexes(randomFn, total, sampleSize) {
   return Array.from(selected);
 }
 
-function fitModel(kind, pairs, weights) {
+function fitModel(kind, pairs, weights, options) {
   const estimator = MODEL_PREFERENCES[kind].estimator;
-  return estimator(pairs, weights);
+  return estimator(pairs, weights, options);
+}
+
+function isWellConditioned(model, options) {
+  return !(model.conditionNumber > options.maxConditionNumber);
+}
+
+function reportedConditionNumber(model) {
+  return Number.isFinite(model.conditionNumber) ? model.conditionNumber : null;
 }
 
 function computeResidualMeters(transform, pair) {
@@ -77,20 +226,69 @@ function huberWeight(residual, delta) {
   return delta / absResidual;
 }
 
+function tukeyWeight(residual, c) {
+  const ratio = Math.abs(residual) / c;
+  return ratio < 1 ? (1 - ratio * ratio) ** 2 : 0;
+}
+
+function cauchyWeight(residual, c) {
+  const ratio = residual / c;
+  return 1 / (1 + ratio * ratio);
+}
+
+// Tuning constants (in residual standard deviations) giving each loss 95% efficiency on Gaussian noise.
+const ROBUST_LOSSES = {
+  huber: { weight: huberWeight, constant: 1.345 },
+  tukey: { weight: tukeyWeight, constant: 4.685 },
+  cauchy: { weight: cauchyWeight, constant: 2.385 },
+};
+
+export const ROBUST_LOSS_NAMES = Object.keys(ROBUST_LOSSES);
+
+// Loss weight in [0, 1] of one pair, with its tuning constant widened like its inlier threshold.
+function lossWeight(residual, pair, options) {
+  const loss = ROBUST_LOSSES[options.robustLoss];
+  if (!loss) {
+    throw new Error(`Unknown robust loss: ${options.robustLoss}`);
+  }
+  const scale = (options.huberDelta / ROBUST_LOSSES.huber.constant) * thresholdScale(pair);
+  return loss.weight(residual, loss.constant * scale);
+}
+
+function robustWeights(model, pairs, options) {
+  return pairs.map((pair) => priorWeight(pair) * lossWeight(computeResidualMeters(model, pair), pair, options));
+}
+
+// Largest distance (meters) between two models' predictions at the pairs.
+function predictionShift(previous, model, pairs) {
+  return pairs.reduce((largest, pair) => {
+    const before = applyTransform(previous, pair.pixel);
+    const after = applyTransform(model, pair.pixel);
+    const shift = before && after ? Math.hypot(after.x - before.x, after.y - before.y) : Number.POSITIVE_INFINITY;
+    return Math.max(largest, shift);
+  }, 0);
+}
+
+/**
+ * IRLS: fits with the prior weights, then refits with prior × loss weights until no prediction
+ * moves by more than `irlsToleranceMeters` or `irlsIterations` reweightings were done. A refit that
+ * degenerates (e.g. Tukey zeroing too many pairs) keeps the previous iterate.
+ */
 function runReweightedFit(kind, pairs, options) {
-  let weights = Array.from({ length: pairs.length }, () => 1);
-  let model = null;
+  let weights = pairs.map(priorWeight);
+  let previous = null;
 
   for (let iteration = 0; iteration <= options.irlsIterations; iteration += 1) {
-    model = fitModel(kind, pairs, weights);
+    const model = fitModel(kind, pairs, weights, options);
     if (!model) {
-      return null;
+      return previous;
     }
-    if (iteration === options.irlsIterations) {
-      return { model, weights };
+    const converged = previous !== null && predictionShift(previous.model, model, pairs) <= options.irlsToleranceMeters;
+    previous = { model, weights, iterations: iteration, converged };
+    if (converged || iteration === options.irlsIterations) {
+      return previous;
     }
-    const residuals = pairs.map((pair) => computeResidualMeters(model, pair));
-    weights = residuals.map((value) => huberWeight(value, options.huberDelta));
+    weights = robustWeights(model, pairs, options);
   }
 
   return null;
@@ -98,7 +296,9 @@ function runReweightedFit(kind, pairs, options) {
 
 function evaluateModel(kind, model, pairs, threshold) {
   const residuals = pairs.map((pair) => computeResidualMeters(model, pair));
-  const inliers = residuals.map((value) => value <= threshold);
+  const inliers = residuals.map(
+    (value, index) => isPairActive(pairs[index]) && value <= threshold * thresholdScale(pairs[index]),
+  );
   let inlierSum = 0;
   let inlierCount = 0;
   let maxResidual = 0;
@@ -109,7 +309,7 @@ function evaluateModel(kind, model, pairs, threshold) {
       inlierSum += value * value;
       inlierCount += 1;
     }
-    if (value > maxResidual) {
+    if (isPairActive(pairs[i]) && value > maxResidual) {
       maxResidual = value;
     }
   }
@@ -125,80 +325,201 @@ function evaluateModel(kind, model, pairs, threshold) {
   };
 }
 
-function calibrationStatus(kind) {
-  if (kind === 'homography') {
-    return { level: 'high', message: 'Accuracy high (homography).' };
+// Cross-validated RMSE thresholds (meters) for the accuracy levels; anything above is 'low'.
+const ACCURACY_LEVEL_THRESHOLDS = [
+  { level: 'high', maxRmse: 15 },
+  { level: 'medium', maxRmse: 30 },
+];
+
+function crossValidatedStatus(kind, looRmse) {
+  const match = ACCURACY_LEVEL_THRESHOLDS.find((entry) => looRmse <= entry.maxRmse);
+  const level = match ? match.level : 'low';
+  const rmseText = Number.isFinite(looRmse) ? `${looRmse.toFixed(1)} m` : 'unbounded';
+  const hint = level === 'low' ? ' Add more reference points.' : '';
+  return {
+    level,
+    message: `Accuracy ${level} (${kind}, cross-validated RMSE ${rmseText}).${hint}`,
+  };
+}
+
+// Status for calibrations without enough pairs to cross-validate: graded by model kind only,
+// never above 'medium' because an exact fit of a minimal pair set proves nothing.
+function calibrationStatus(kind, looRmse = null) {
+  if (looRmse !== null) {
+    return crossValidatedStatus(kind, looRmse);
+  }
+  if (kind === 'similarity') {
+    return { level: 'low', message: 'Accuracy low (similarity). Add more reference points.' };
   }
   if (kind === 'affine') {
     return { level: 'medium', message: 'Accuracy medium (affine).' };
   }
-  return { level: 'low', message: 'Accuracy low (similarity). Add more reference points.' };
+  return { level: 'medium', message: `Accuracy medium (${kind}, not cross-validated). Add a pair to verify.` };
+}
+
+/**
+ * Prediction error of every pair under a model refit without it. Only inliers are used for training;
+ * entries are null where the remaining pairs cannot support a fit.
+ */
+function leaveOneOutErrors(pairs, inliers, fit) {
+  return pairs.map((pair, index) => {
+    const training = pairs.filter((candidate, other) => other !== index && inliers[other]);
+    const model = fit(training);
+    return model ? computeResidualMeters(model, pair) : null;
+  });
+}
+
+function leaveOneOutRmse(errors, inliers) {
+  let sumSquares = 0;
+  let count = 0;
+  for (let i = 0; i < errors.length; i += 1) {
+    if (!inliers[i]) {
+      continue;
+    }
+    if (errors[i] === null) {
+      return null;
+    }
+    sumSquares += errors[i] * errors[i];
+    count += 1;
+  }
+  return count > 0 ? Math.sqrt(sumSquares / count) : null;
 }
 
-export function computeAccuracyRing(calibration, gpsAccuracy) {
+export function computeAccuracyRing(calibration, gpsAccuracy, localSigmaMap, sigmaModel = 0) {
   if (!calibration || !calibration.model) {
     return null;
   }
 
-  const sigmaMap = calibration.quality.rmse;
+  const sigmaMap = localSigmaMap === undefined ? calibration.quality.rmse : localSigmaMap;
   const sigmaGps = gpsAccuracy;
-  const sigmaTotal = Math.sqrt(sigmaGps * sigmaGps + sigmaMap * sigmaMap);
-  let color = 'green';
-  if (sigmaTotal > 60) {
-    color = 'red';
-  } else if (sigmaTotal > 30) {
-    color = 'orange';
-  } else if (sigmaTotal > 15) {
-    color = 'yellow';
-  }
+  const sigmaTotal = Math.sqrt(sigmaGps * sigmaGps + sigmaMap * sigmaMap + sigmaModel * sigmaModel);
 
   return {
     sigmaMap,
     sigmaGps,
+    sigmaModel,
     sigmaTotal,
-    color,
+    color: errorColor(sigmaTotal),
   };
 }
 
-function runRansacForKind(kind, pairs, options) {
-  const { minPairs } = MODEL_PREFERENCES[kind];
-  if (pairs.length < minPairs) {
-    return null;
+function countSubsets(total, size) {
+  let count = 1;
+  for (let i = 0; i < size; i += 1) {
+    count = (count * (total - i)) / (i + 1);
   }
+  return Math.round(count);
+}
 
-  let best = null;
-  const iterationBudget = Math.min(options.iterations, pairs.length === minPairs ? 1 : options.iterations);
-
-  for (let iteration = 0; iteration < iterationBudget; iteration += 1) {
-    const sampleIndexes = sampleUniqueIndexes(options.random, pairs.length, minPairs);
-    const sample = sampleIndexes.map((index) => pairs[index]);
-    const candidate = fitModel(kind, sample);
-    if (!candidate) {
-      continue;
+// Every index subset of `size` out of `total`, in lexicographic order.
+function enumerateSubsets(total, size) {
+  const subsets = [];
+  const extend = (start, current) => {
+    if (current.length === size) {
+      subsets.push(current);
+      return;
     }
-    const metrics = evaluateModel(kind, candidate, pairs, options.inlierThresholdMeters);
+    for (let index = start; index <= total - (size - current.length); index += 1) {
+      extend(index + 1, current.concat(index));
+    }
+  };
+  extend(0, []);
+  return subsets;
+}
+
+// Samples needed to draw at least one all-inlier minimal set with probability `confidence`.
+function requiredIterations(inlierRatio, sampleSize, confidence) {
+  const goodSample = inlierRatio ** sampleSize;
+  if (goodSample >= 1) {
+    return 1;
+  }
+  if (goodSample <= 0) {
+    return Number.POSITIVE_INFINITY;
+  }
+  return Math.ceil(Math.log(1 - confidence) / Math.log(1 - goodSample));
+}
+
+// MSAC score (lower is better): inliers cost their squared residual, outliers a flat threshold²,
+// so among candidates with the same support the tighter fit wins. Pairs contribute by prior weight.
+function msacCost(residuals, threshold, pairs = []) {
+  return residuals.reduce((sum, residual, index) => {
+    const pair = pairs[index] || {};
+    const cap = threshold * thresholdScale(pair);
+    return sum + priorWeight(pair) * Math.min(residual * residual, cap * cap);
+  }, 0);
+}
 
-    if (!best || metrics.inlierCount > best.metrics.inlierCount) {
-      best = { candidate, metrics };
+// Enumerates all minimal subsets when they fit in the iteration budget, otherwise samples randomly.
+function createSampler(total, size, options) {
+  if (countSubsets(total, size) <= options.iterations) {
+    const subsets = enumerateSubsets(total, size);
+    return { exhaustive: true, budget: subsets.length, next: (iteration) => subsets[iteration] };
+  }
+  return {
+    exhaustive: false,
+    budget: options.iterations,
+    next: () => sampleUniqueIndexes(options.random, total, size),
+  };
+}
+
+// Fits a minimal sample; degenerate (ill-conditioned) samples yield null.
+function fitSample(kind, pairs, sampleIndexes, options) {
+  const candidate = fitModel(kind, sampleIndexes.map((index) => pairs[index]), null, options);
+  return candidate && isWellConditioned(candidate, options) ? candidate : null;
+}
+
+/**
+ * Best minimal-sample hypothesis by MSAC cost. Random sampling stops as soon as the observed inlier
+ * ratio says another all-inlier sample is unlikely to be missed at `options.confidence`.
+ */
+function searchMinimalSamples(kind, pairs, minPairs, options) {
+  const threshold = options.inlierThresholdMeters;
+  const sampler = createSampler(pairs.length, minPairs, options);
+  let budget = sampler.budget;
+  let best = null;
+  let iteration = 0;
+
+  for (; iteration < budget; iteration += 1) {
+    const candidate = fitSample(kind, pairs, sampler.next(iteration), options);
+    const metrics = candidate ? evaluateModel(kind, candidate, pairs, threshold) : null;
+    const cost = metrics ? msacCost(metrics.residuals, threshold, pairs) : Number.POSITIVE_INFINITY;
+    if (cost < (best ? best.cost : Number.POSITIVE_INFINITY)) {
+      best = { candidate, metrics, cost };
+      const needed = requiredIterations(metrics.inlierCount / pairs.length, minPairs, options.confidence);
+      budget = sampler.exhaustive ? budget : Math.min(budget, needed);
     }
   }
 
+  return { best, iterationsUsed: iteration, exhaustive: sampler.exhaustive };
+}
+
+function refineOnInliers(kind, pairs, inliers, options) {
+  const refined = runReweightedFit(kind, pairs.filter((pair, index) => inliers[index]), options);
+  return refined && isWellConditioned(refined.model, options) ? refined : null;
+}
+
+function runRansacForKind(kind, pairs, options) {
+  const { minPairs } = MODEL_PREFERENCES[kind];
+  if (pairs.length < minPairs) {
+    return null;
+  }
+
+  const { best, iterationsUsed, exhaustive } = searchMinimalSamples(kind, pairs, minPairs, options);
   if (!best || best.metrics.inlierCount < minPairs) {
     return null;
   }
 
-  const inlierPairs = pairs.filter((pair, index) => best.metrics.inliers[index]);
-  const refined = runReweightedFit(kind, inlierPairs, options);
+  const refined = refineOnInliers(kind, pairs, best.metrics.inliers, options);
   if (!refined) {
     return null;
   }
 
-  const finalMetrics = evaluateModel(kind, refined.model, pairs, options.inlierThresholdMeters);
-
   return {
     kind,
     model: refined.model,
-    metrics: finalMetrics,
+    metrics: evaluateModel(kind, refined.model, pairs, options.inlierThresholdMeters),
+    ransac: { iterationsUsed, exhaustive },
+    irls: { iterations: refined.iterations, converged: refined.converged },
   };
 }
 
@@ -206,51 +527,337 @@ function pixelFromLocation(calibration, location) {
   if (!calibration || calibration.status !== 'ok') {
     return null;
   }
-  const enu = wgs84ToEnu(location, calibration.origin);
+  const enu = wgs84ToEnu(location, calibration.origin, calibration.enuMethod);
   const pixel = applyInverseTransform(calibration.model, enu);
   return pixel || null;
 }
 
+// Loss weights of the final fit; outliers took no part in it and weigh 0.
+function finalPairWeights(metrics, pairs, options) {
+  return metrics.inliers.map((inlier, index) => (inlier ? lossWeight(metrics.residuals[index], pairs[index], options) : 0));
+}
+
+function buildCalibration(result, enrichedPairs, origin, options) {
+  const { kind, model, metrics, ransac, irls } = result;
+  const looErrors = leaveOneOutErrors(enrichedPairs, metrics.inliers, (training) => {
+    const refit = runReweightedFit(kind, training, options);
+    return refit ? refit.model : null;
+  });
+  const looRmse = leaveOneOutRmse(looErrors, metrics.inliers);
+  return {
+    status: 'ok',
+    origin,
+    enuMethod: options.enuMethod,
+    kind,
+    model,
+    metrics,
+    quality: {
+      rmse: metrics.rmse,
+      maxResidual: metrics.maxResidual,
+      looRmse,
+      conditionNumber: reportedConditionNumber(model),
+    },
+    statusMessage: calibrationStatus(kind, looRmse),
+    residuals: metrics.residuals,
+    inliers: metrics.inliers,
+    weights: finalPairWeights(metrics, enrichedPairs, options),
+    looErrors,
+    ransac,
+    robust: { loss: options.robustLoss, ...irls },
+  };
+}
+
+// Leads with the most severe diagnostic so the user knows which pair to fix.
+function fitFailureMessage(diagnostics) {
+  const blocking = diagnostics.find((entry) => entry.severity === 'error') || diagnostics[0];
+  return blocking
+    ? `Calibration failed. ${blocking.message}`
+    : 'Calibration failed. Try adding more accurate reference pairs.';
+}
+
+/**
+ * Akaike information criterion over both coordinates of every pair. The residual sum is truncated
+ * at the inlier threshold (as in MSAC) and the per-axis variance floored at the noise floor, so an
+ * exactly determined model cannot win on a residual that is below measurement noise.
+ */
+function informationCriterion(result, options, pairs) {
+  const observations = 2 * result.metrics.residuals.length;
+  const truncated = msacCost(result.metrics.residuals, options.inlierThresholdMeters, pairs);
+  const variance = Math.max(truncated / observations, options.noiseFloorMeters * options.noiseFloorMeters);
+  return observations * Math.log(variance) + 2 * parameterCount(result.kind, result.metrics.residuals.length);
+}
+
+function rankingEntry(candidate) {
+  return {
+    kind: candidate.kind,
+    aic: candidate.aic,
+    rmse: candidate.metrics.rmse,
+    inlierCount: candidate.metrics.inlierCount,
+    parameters: parameterCount(candidate.kind, candidate.metrics.residuals.length),
+  };
+}
+
+/**
+ * Spreads per-pair results of a fit on the enabled pairs back onto every pair. A disabled pair is
+ * never an inlier; its residual is its prediction error against the model, which is already
+ * out-of-sample, so it doubles as its leave-one-out error.
+ */
+function includeDisabledPairs(calibration, enrichedPairs) {
+  const slots = enrichedPairs.map(() => null);
+  enrichedPairs.filter((pair) => pair.active).forEach((pair, slot) => {
+    slots[pair.index] = slot;
+  });
+  const residuals = enrichedPairs.map((pair, index) =>
+    slots[index] === null ? computeResidualMeters(calibration.model, pair) : calibration.residuals[slots[index]],
+  );
+  const inliers = slots.map((slot) => slot !== null && calibration.inliers[slot]);
+  const looErrors = slots.map((slot, index) => (slot === null ? residuals[index] : calibration.looErrors[slot]));
+  const weights = slots.map((slot) => (slot === null ? 0 : calibration.weights[slot]));
+  return {
+    ...calibration,
+    metrics: { ...calibration.metrics, residuals, inliers },
+    residuals,
+    inliers,
+    weights,
+    looErrors,
+    active: enrichedPairs.map((pair) => pair.active),
+  };
+}
+
+/**
+ * Fits every model kind the enabled pairs support and keeps the one with the lowest AIC, or
+ * `options.modelKind` when that kind could be fitted. `modelSelection.ranking` lists all fitted
+ * kinds, best first. Every result carries `diagnostics` (see diagnostics.js); pass `imageSize`
+ * ({ width, height }) to also check photo coverage and homography folds. `seed` records the PRNG
+ * seed used for sampling (null when a custom `random` was supplied) so the fit can be replayed.
+ * `enuMethod` picks the earth model of the ENU frame; the result records it for later projections.
+ * `origin` pins the frame's origin (by default the mean of the pairs, which moves as pairs are added);
+ * the result records the origin used, `originPinned`, and in `staleEnuPairs` the pairs whose cached
+ * `enu` (see snapshotPairEnu) belonged to another frame, or to no recorded frame, and was recomputed
+ * from their WGS84 position; only pairs without `wgs84` keep a frameless `enu` as it is.
+ * `mirrored` records whether similarities were fitted as mirror images (see the `mirrored` option);
+ * affine and higher kinds fit mirrored photos as they are. With `scaleHint` and `northHint` a single
+ * enabled pair is enough: the result is a similarity with `fromHints` set, and the hints are ignored
+ * as soon as a second pair allows a real fit. Such a fit also carries `hintError`, the map-error model
+ * built from `scaleHintSigma` and `northHintSigma` (see errorMetrics.js); it is null otherwise.
+ * `options` records the fit options (all DEFAULT_OPTIONS but the seed), with `mirrored` resolved.
+ * Pairs with `active: false` are ignored by the fit but keep their place in `residuals`,
+ * `inliers`, `weights` and `looErrors`; `active` lists which pairs took part. `weights` are the
+ * final `robustLoss` weights in [0, 1] (0 for outliers and disabled pairs, priors left out) and
+ * `robust` records the loss with the IRLS `iterations` run and whether they `converged`.
+ */
 export function calibrateMap(pairs, userOptions = {}) {
-  if (!pairs || pairs.length < 2) {
+  if (!hasEnoughPairs(pairs, userOptions)) {
     return {
       status: 'insufficient-pairs',
-      message: 'At least two reference pairs are required to calibrate the map.',
+      message: 'At least two enabled reference pairs, or one with the photo scale and north set, are required to calibrate the map.',
+      diagnostics: [],
     };
   }
 
-  const options = { ...DEFAULT_OPTIONS, ...userOptions };
-  const origin = userOptions.origin || computeOrigin(pairs);
-  const enrichedPairs = createEnrichedPairs(pairs, origin);
-
-  const modelKinds = pickModelKinds(enrichedPairs.length);
-
-  for (let i = 0; i < modelKinds.length; i += 1) {
-    const kind = modelKinds[i];
-    const result = runRansacForKind(kind, enrichedPairs, options);
-    if (result) {
-      const { metrics } = result;
-      const combined = {
-        status: 'ok',
-        origin,
-        kind: result.kind,
-        model: result.model,
-        metrics,
-        quality: {
-          rmse: metrics.rmse,
-          maxResidual: metrics.maxResidual,
-        },
-        statusMessage: calibrationStatus(result.kind),
-        residuals: metrics.residuals,
-        inliers: metrics.inliers,
-      };
-      return combined;
+  const baseOptions = { ...DEFAULT_OPTIONS, ...userOptions };
+  const origin = baseOptions.origin || computeOrigin(pairs);
+  const enrichedPairs = createEnrichedPairs(pairs, origin, baseOptions);
+  const activePairs = enrichedPairs.filter((pair) => pair.active);
+  const options = { ...baseOptions, mirrored: isMirrored(activePairs, baseOptions) };
+  const diagnostics = diagnosePairs(activePairs, { imageSize: options.imageSize });
+
+  const candidates = hintedCandidates(activePairs, options);
+
+  const seed = userOptions.random ? null : options.seed >>> 0;
+
+  pickModelKinds(activePairs.length, options.modelKind).forEach((kind) => {
+    // Each kind samples from a fresh stream, so its result does not depend on the other kinds.
+    const random = userOptions.random || createSeededRandom(seed);
+    const result = runRansacForKind(kind, activePairs, { ...options, random });
+    const fold = result ? homographyFoldDiagnostic(result.model, activePairs, options.imageSize) : null;
+    if (fold) {
+      diagnostics.push(fold);
+    } else if (result) {
+      candidates.push({ ...result, aic: informationCriterion(result, options, activePairs) });
     }
+  });
+
+  if (candidates.length === 0) {
+    return {
+      status: 'fit-failed',
+      message: fitFailureMessage(diagnostics),
+      seed,
+      diagnostics,
+    };
   }
 
+  const ranked = candidates.sort((a, b) => a.aic - b.aic);
+  const chosen = ranked.find((candidate) => candidate.kind === options.modelKind) || ranked[0];
   return {
-    status: 'fit-failed',
-    message: 'Calibration failed. Try adding more accurate reference pairs.',
+    ...includeDisabledPairs(buildCalibration(chosen, activePairs, origin, options), enrichedPairs),
+    originPinned: Boolean(options.origin),
+    mirrored: options.mirrored,
+    fromHints: activePairs.length === 1,
+    hintError: hintErrorModel(activePairs, options),
+    options: Object.fromEntries(RECORDED_OPTION_KEYS.map((key) => [key, options[key]])),
+    staleEnuPairs: staleEnuIndexes(pairs, origin, options.enuMethod),
+    seed,
+    diagnostics,
+    modelSelection: {
+      pinnedKind: options.modelKind,
+      ranking: ranked.map(rankingEntry),
+    },
+  };
+}
+
+const hasScaleAndNorth = (options) => options.scaleHint > 0 && Number.isFinite(options.northHint);
+
+function hasEnoughPairs(pairs, options) {
+  const count = pairs ? pairs.filter(isPairActive).length : 0;
+  return count >= 2 || (count === 1 && hasScaleAndNorth(options));
+}
+
+// The similarity a lone pair pins down once the photo's scale and north are known; more pairs fit normally.
+function hintedCandidates(activePairs, options) {
+  if (activePairs.length !== 1) {
+    return [];
+  }
+  const bearing = degToRad(options.northHint);
+  const model = similarityFromPair(activePairs[0], {
+    scale: options.scaleHint,
+    rotation: options.mirrored ? Math.PI - bearing : bearing,
+    reflected: options.mirrored,
+  });
+  if (!model) {
+    return [];
+  }
+  const result = {
+    kind: 'similarity',
+    model,
+    metrics: evaluateModel('similarity', model, activePairs, options.inlierThresholdMeters),
+    ransac: { iterationsUsed: 0, exhaustive: true },
+    irls: { iterations: 0, converged: true },
+  };
+  return [{ ...result, aic: informationCriterion(result, options, activePairs) }];
+}
+
+// Map-error model of a hint-only fit, which has no residuals to learn from: the pair's own sigma plus
+// the scale and north uncertainty, both of which grow with the distance from the pair.
+function hintErrorModel(activePairs, options) {
+  if (activePairs.length !== 1) {
+    return null;
+  }
+  return {
+    pixel: { x: activePairs[0].pixel.x, y: activePairs[0].pixel.y },
+    pairSigmaMeters: pairSigmaMeters(activePairs[0]),
+    metersPerPixel: options.scaleHint,
+    scaleSigma: options.scaleHintSigma,
+    rotationSigma: degToRad(options.northHintSigma),
+  };
+}
+
+function isMirrored(pairs, options) {
+  if (options.mirrored !== null) {
+    return Boolean(options.mirrored);
+  }
+  const orientation = pairOrientation(pairs);
+  return orientation !== null && orientation < MIRRORED_ORIENTATION;
+}
+
+function staleEnuIndexes(pairs, origin, enuMethod) {
+  return pairs.flatMap((pair, index) => (hasStaleEnu(pair, origin, enuMethod) ? [index] : []));
+}
+
+// Spline fitter for cross-validation. Each fold refits the base kind without the held-out pair, as the
+// base model's own leave-one-out does; the full-data base would leak that pair into every fold.
+function tpsFitter(baseKind, lambda, options) {
+  return (training) => {
+    const base = runReweightedFit(baseKind, training, options);
+    return base ? fitThinPlateSpline(training, { base: base.model, lambda }) : null;
+  };
+}
+
+// Settings the base fit ran with, so the per-fold refits reproduce it.
+function baseFitOptions(calibration, options) {
+  const robustLoss = calibration.robust ? calibration.robust.loss : options.robustLoss;
+  return { ...options, robustLoss, mirrored: Boolean(calibration.mirrored) };
+}
+
+// Picks the slider value whose spline best predicts each held-out control point.
+function chooseAutoRegularization(baseKind, controlPairs, options) {
+  if (controlPairs.length <= MIN_TPS_POINTS) {
+    return TPS_DEFAULT_REGULARIZATION;
+  }
+  const allControl = controlPairs.map(() => true);
+  let best = { regularization: TPS_DEFAULT_REGULARIZATION, rmse: Number.POSITIVE_INFINITY };
+  TPS_AUTO_CANDIDATES.forEach((regularization) => {
+    const fit = tpsFitter(baseKind, lambdaFromRegularization(regularization), options);
+    const rmse = leaveOneOutRmse(leaveOneOutErrors(controlPairs, allControl, fit), allControl);
+    if (rmse !== null && rmse < best.rmse) {
+      best = { regularization, rmse };
+    }
+  });
+  return best.regularization;
+}
+
+function tpsFailure(message) {
+  return { status: 'tps-failed', message };
+}
+
+/**
+ * Composes a thin-plate spline on top of the calibration's base model (similarity, affine or homography).
+ * `regularization` is 'auto' or a 0–100 slider value; the result carries before/after RMSE in `tps`.
+ */
+export function refineCalibrationWithTps(calibration, pairs, refineOptions = {}) {
+  if (!calibration || calibration.status !== 'ok') {
+    return tpsFailure('A valid calibration is required before refining with TPS.');
+  }
+
+  const options = baseFitOptions(calibration, { ...DEFAULT_OPTIONS, ...refineOptions });
+  const baseKind = calibration.kind === 'tps' ? calibration.baseKind : calibration.kind;
+  const baseModel = calibration.kind === 'tps' ? calibration.model.base : calibration.model;
+  const enrichedPairs = createEnrichedPairs(pairs, calibration.origin, { ...options, enuMethod: calibration.enuMethod });
+  const controlFlags = enrichedPairs.map((pair, index) => !calibration.inliers || Boolean(calibration.inliers[index]));
+  const controlPairs = enrichedPairs.filter((pair, index) => controlFlags[index]);
+
+  if (controlPairs.length < MIN_TPS_POINTS) {
+    return tpsFailure('At least three inlier pairs are required to refine with TPS.');
+  }
+
+  const requested = options.regularization === undefined ? 'auto' : options.regularization;
+  const regularization = requested === 'auto' ? chooseAutoRegularization(baseKind, controlPairs, options) : requested;
+  const lambda = lambdaFromRegularization(regularization);
+  const model = fitThinPlateSpline(controlPairs, { base: baseModel, lambda });
+
+  if (!model) {
+    return tpsFailure('TPS refinement failed. Spread the reference pairs across the photo.');
+  }
+
+  const before = evaluateModel(baseKind, baseModel, enrichedPairs, options.inlierThresholdMeters);
+  const metrics = evaluateModel('tps', model, enrichedPairs, options.inlierThresholdMeters);
+  const looErrors = leaveOneOutErrors(enrichedPairs, controlFlags, tpsFitter(baseKind, lambda, options));
+  const looRmse = leaveOneOutRmse(looErrors, controlFlags);
+
+  return {
+    ...calibration,
+    kind: 'tps',
+    baseKind,
+    model,
+    metrics,
+    quality: {
+      rmse: metrics.rmse,
+      maxResidual: metrics.maxResidual,
+      looRmse,
+      conditionNumber: reportedConditionNumber(baseModel),
+    },
+    statusMessage: calibrationStatus('tps', looRmse),
+    residuals: metrics.residuals,
+    inliers: metrics.inliers,
+    looErrors,
+    tps: {
+      regularization: requested,
+      appliedRegularization: regularization,
+      lambda,
+      rmseBefore: before.rmse,
+      rmseAfter: metrics.rmse,
+      rmseDelta: metrics.rmse - before.rmse,
+    },
   };
 }
 
@@ -258,7 +865,78 @@ export function projectLocationToPixel(calibration, location) {
   return pixelFromLocation(calibration, location);
 }
 
-export function accuracyRingRadiusPixels(calibration, location, gpsAccuracy) {
+// Forward projection: photo pixel → WGS84, for every model kind including TPS.
+export function projectPixelToLocation(calibration, pixel) {
+  if (!calibration || calibration.status !== 'ok') {
+    return null;
+  }
+  const enu = applyTransform(calibration.model, pixel);
+  if (!enu) {
+    return null;
+  }
+  return enuToWgs84(enu, calibration.origin, calibration.enuMethod);
+}
+
+function localMapError(calibration, pixel, pairs) {
+  const metrics = pairs ? createErrorMetrics(calibration, pairs) : null;
+  if (!metrics) {
+    return { source: 'global', rmse: undefined, extrapolated: false };
+  }
+  const { rmse, extrapolated } = metrics.localEstimate(pixel);
+  return { source: 'local', rmse, extrapolated };
+}
+
+function multiply2x2(left, right) {
+  return left.map((row) => [0, 1].map((col) => row[0] * right[0][col] + row[1] * right[1][col]));
+}
+
+function transpose2x2([[a, b], [c, d]]) {
+  return [
+    [a, c],
+    [b, d],
+  ];
+}
+
+/**
+ * Maps the ENU error covariance into photo pixels through the inverse Jacobian. GPS and map errors
+ * are isotropic radial sigmas (sigma²/2 per axis); semi-axes are scaled by √2 to the same radial
+ * convention, so an undistorted photo without parameter covariance gives a circle of sigmaTotal.
+ * `rotation` is the major-axis angle in radians, counter-clockwise from the photo's x axis.
+ */
+function accuracyEllipse(jacobian, ring, parameterCovariance) {
+  const [[a, b], [c, d]] = jacobian;
+  const det = a * d - b * c;
+  if (Math.abs(det) < TOLERANCE) {
+    return null;
+  }
+  const inverse = [
+    [d / det, -b / det],
+    [-c / det, a / det],
+  ];
+  const isotropic = (ring.sigmaGps * ring.sigmaGps + ring.sigmaMap * ring.sigmaMap) / 2;
+  const model = parameterCovariance || [
+    [0, 0],
+    [0, 0],
+  ];
+  const enuCovariance = [
+    [isotropic + model[0][0], model[0][1]],
+    [model[1][0], isotropic + model[1][1]],
+  ];
+  const pixelCovariance = multiply2x2(multiply2x2(inverse, enuCovariance), transpose2x2(inverse));
+  const { major, minor, angle } = symmetricEigen2x2(pixelCovariance);
+  return {
+    semiMajor: Math.sqrt(2 * major),
+    semiMinor: Math.sqrt(2 * Math.max(minor, 0)),
+    rotation: angle,
+  };
+}
+
+/**
+ * Accuracy ring at `location` in photo pixels. With `pairs`, sigma_map is the local error estimate
+ * at the projected pixel (see errorMetrics.js); without them it falls back to the global RMSE.
+ * `ellipse` propagates the errors through the full Jacobian; `pixelRadius` is the circular average.
+ */
+export function accuracyRingRadiusPixels(calibration, location, gpsAccuracy, pairs) {
   if (!calibration || calibration.status !== 'ok') {
     return null;
   }
@@ -271,27 +949,54 @@ export function accuracyRingRadiusPixels(calibration, location, gpsAccuracy) {
   if (!metersPerPixel || metersPerPixel === 0) {
     return null;
   }
-  const ring = computeAccuracyRing(calibration, gpsAccuracy);
+  const local = localMapError(calibration, pixel, pairs);
+  const parameterCovariance = predictionCovariance(calibration.model, pixel);
+  const sigmaModel = parameterCovariance ? Math.sqrt(parameterCovariance[0][0] + parameterCovariance[1][1]) : 0;
+  const ring = computeAccuracyRing(calibration, gpsAccuracy, local.rmse, sigmaModel);
   return {
     ...ring,
-    pixelRadius: ring ? ring.sigmaTotal / metersPerPixel : null,
+    sigmaMapGlobal: calibration.quality.rmse,
+    mapErrorSource: local.source,
+    extrapolated: local.extrapolated,
+    pixelRadius: ring.sigmaTotal / metersPerPixel,
+    ellipse: accuracyEllipse(jacobian, ring, parameterCovariance),
   };
 }
 
 const api = {
+  MODEL_KINDS,
+  ROBUST_LOSS_NAMES,
   calibrateMap,
+  refineCalibrationWithTps,
   computeAccuracyRing,
+  pairSigmaMeters,
+  isPairActive,
+  snapshotPairEnu,
   projectLocationToPixel,
+  projectPixelToLocation,
   accuracyRingRadiusPixels,
 };
 
 export const __internals = {
+  DEFAULT_OPTIONS,
   pickModelKinds,
   computeResidualMeters,
   huberWeight,
+  tukeyWeight,
+  cauchyWeight,
+  lossWeight,
   runReweightedFit,
   evaluateModel,
   runRansacForKind,
+  requiredIterations,
+  msacCost,
+  enumerateSubsets,
+  informationCriterion,
+  chooseAutoRegularization,
+  calibrationStatus,
+  isWellConditioned,
+  leaveOneOutErrors,
+  leaveOneOutRmse,
 };
 
 const exported = { ...api, __internals };
@@ -1,11 +1,16 @@
 import {
   calibrateMap,
+  refineCalibrationWithTps,
   computeAccuracyRing,
+  pairSigmaMeters,
   projectLocationToPixel,
+  projectPixelToLocation,
   accuracyRingRadiusPixels,
+  snapshotPairEnu,
   __internals,
 } from './calibrator.js';
-import { EARTH_RADIUS_METERS, degToRad, radToDeg } from '../geo/coordinate.js';
+import { EARTH_RADIUS_METERS, ENU_METHODS, degToRad, radToDeg, enuToWgs84, wgs84ToEnu } from '../geo/coordinate.js';
+import { fitThinPlateSpline } from '../geo/transformations.js';
 
 describe('calibrator', () => {
   const origin = { lat: 39.7392, lon: -104.9903 };
@@ -58,18 +63,368 @@ describe('calibrator', () => {
     return { pairs, transform };
   };
 
+  // Exact 2 m/px similarity over a square and its centre, except pair 4, whose location is off by
+  // (offsetMeters, 0) m.
+  const makeSquarePairs = (offsetMeters) =>
+    [[0, 0], [100, 0], [0, 100], [100, 100], [50, 50]].map(([x, y], i) => ({
+      pixel: { x, y },
+      enu: { x: 2 * x + (i === 3 ? offsetMeters : 0), y: 2 * y },
+    }));
+
   test('calibrateMap recovers affine transform and ignores outlier', () => {
     const { pairs } = makePairs();
     const randomFn = makeRandomGenerator();
     const result = calibrateMap(pairs, { origin, random: randomFn, iterations: 20 });
     expect(result.status).toBe('ok');
-    expect(result.kind).toBe('homography');
+    expect(result.kind).toBe('affine');
     expect(result.metrics.inlierCount).toBeGreaterThanOrEqual(5);
     expect(result.metrics.inliers.filter(Boolean).length).toBeGreaterThanOrEqual(5);
     expect(result.metrics.inliers.some((flag) => flag === false)).toBe(true);
     expect(result.quality.rmse).toBeLessThan(5);
   });
 
+  test('calibrateMap reports leave-one-out prediction errors', () => {
+    const { pairs } = makePairs();
+    const result = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 20 });
+    expect(result.looErrors).toHaveLength(pairs.length);
+    expect(result.quality.looRmse).toBeLessThan(5);
+    const outlierIndex = result.inliers.indexOf(false);
+    expect(result.looErrors[outlierIndex]).toBeGreaterThan(1000);
+    result.looErrors.forEach((error, index) => {
+      expect(error).toBeGreaterThanOrEqual(result.residuals[index] - 1e-6);
+    });
+    expect(result.statusMessage.level).toBe('high');
+    expect(result.statusMessage.message).toContain('cross-validated');
+  });
+
+  test('calibrateMap reports the condition number and rejects ill-conditioned fits', () => {
+    const { pairs } = makePairs();
+    const result = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 20 });
+    expect(result.quality.conditionNumber).toBeGreaterThan(1);
+    expect(result.quality.conditionNumber).toBeLessThan(1e4);
+
+    const strict = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 20, maxConditionNumber: 1 });
+    expect(strict.kind).toBe('similarity');
+    expect(strict.quality.conditionNumber).toBeNull();
+    expect(__internals.isWellConditioned({ conditionNumber: 5 }, { maxConditionNumber: 10 })).toBe(true);
+    expect(__internals.isWellConditioned({ conditionNumber: Infinity }, { maxConditionNumber: 10 })).toBe(false);
+  });
+
+  test('calibrateMap explains failures with pair diagnostics', () => {
+    const duplicated = [
+      { pixel: { x: 10, y: 10 }, wgs84: origin },
+      { pixel: { x: 10, y: 10 }, wgs84: { lat: origin.lat + 0.001, lon: origin.lon } },
+    ];
+    const result = calibrateMap(duplicated, { origin });
+    expect(result.status).toBe('fit-failed');
+    expect(result.diagnostics.map((entry) => entry.code)).toEqual(['duplicate-pixel']);
+    expect(result.message).toContain('Pairs 1 and 2 mark the same photo point');
+    expect(calibrateMap([]).diagnostics).toEqual([]);
+  });
+
+  test('calibrateMap falls back from a homography that folds inside the photo', () => {
+    // Exact data from a homography whose horizon (x = 500) crosses the photo.
+    const pixels = [[100, 100], [200, 700], [400, 300], [450, 650], [800, 400]];
+    const pairs = pixels.map(([x, y]) => {
+      const den = 0.001 * x - 0.5;
+      return { pixel: { x, y }, enu: { x: x / den, y: y / den } };
+    });
+    const result = calibrateMap(pairs, { origin, random: makeRandomGenerator(), imageSize: { width: 1000, height: 800 } });
+    expect(result.kind).not.toBe('homography');
+    const fold = result.diagnostics.find((entry) => entry.code === 'homography-fold');
+    expect(fold.pairIndexes).toEqual([4]);
+  });
+
+  test('calibrateMap enumerates minimal subsets when the pair count is small', () => {
+    const { pairs } = makePairs();
+    const result = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 20 });
+    // C(6, 3) = 20 affine samples fit in the budget of 20.
+    expect(result.kind).toBe('affine');
+    expect(result.ransac).toEqual({ iterationsUsed: 20, exhaustive: true });
+  });
+
+  test('calibrateMap stops sampling once the confidence target is reached', () => {
+    const grid = [];
+    for (let x = 0; x < 5; x += 1) {
+      for (let y = 0; y < 4; y += 1) {
+        const pixel = { x: x * 100, y: y * 100 };
+        grid.push({ pixel, enu: { x: 2 * pixel.x + 10, y: 2 * pixel.y - 5 } });
+      }
+    }
+    grid[3] = { ...grid[3], enu: { x: 5000, y: 5000 } };
+    let seed = 1;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const result = calibrateMap(grid, { origin, random, iterations: 150 });
+    expect(result.ransac.exhaustive).toBe(false);
+    expect(result.ransac.iterationsUsed).toBeLessThan(20);
+    expect(result.inliers[3]).toBe(false);
+    expect(result.quality.rmse).toBeLessThan(1e-6);
+  });
+
+  describe('model selection', () => {
+    const noise = [4, -3, -2, 5, 3, 2, -4, -1, 1, -4, -3, 3, 2, -2, -1, 4];
+    const makeEnuPairs = (project, count) =>
+      [[0, 0], [400, 0], [0, 300], [400, 300], [200, 150], [100, 250], [300, 60], [350, 200]]
+        .slice(0, count)
+        .map(([x, y], i) => {
+          const enu = project(x, y);
+          return { pixel: { x, y }, enu: { x: enu.x + noise[2 * i], y: enu.y + noise[2 * i + 1] } };
+        });
+    const affineTruth = (x, y) => ({ x: 2 * x + 0.4 * y + 30, y: -0.3 * x + 1.8 * y - 20 });
+    const perspectiveTruth = (x, y) => {
+      const den = 1 + 0.0015 * y;
+      return { x: (2 * x + 30) / den, y: (2 * y - 20) / den };
+    };
+
+    test('prefers the affine over an exactly determined homography on noisy pairs', () => {
+      const result = calibrateMap(makeEnuPairs(affineTruth, 4), { origin, random: makeRandomGenerator() });
+      expect(result.kind).toBe('affine');
+      const { ranking, pinnedKind } = result.modelSelection;
+      expect(pinnedKind).toBeNull();
+      expect(ranking.map((entry) => entry.kind)).toContain('homography');
+      expect(ranking[0].kind).toBe('affine');
+      ranking.slice(1).forEach((entry, i) => expect(entry.aic).toBeGreaterThanOrEqual(ranking[i].aic));
+    });
+
+    test('selects the homography when the perspective exceeds the noise', () => {
+      const result = calibrateMap(makeEnuPairs(perspectiveTruth, 8), { origin, random: makeRandomGenerator() });
+      expect(result.kind).toBe('homography');
+      expect(result.modelSelection.ranking[0].parameters).toBe(8);
+    });
+
+    test('honours a pinned model kind when it can be fitted', () => {
+      const pairs = makeEnuPairs(affineTruth, 8);
+      const pinned = calibrateMap(pairs, { origin, random: makeRandomGenerator(), modelKind: 'similarity' });
+      expect(pinned.kind).toBe('similarity');
+      expect(pinned.modelSelection.pinnedKind).toBe('similarity');
+      expect(pinned.modelSelection.ranking[0].kind).toBe('affine');
+
+      const unavailable = calibrateMap(pairs.slice(0, 3), { origin, random: makeRandomGenerator(), modelKind: 'homography' });
+      expect(unavailable.kind).toBe('affine');
+    });
+
+    test('fits polynomials only when pinned and with enough pairs', () => {
+      const bentTruth = (x, y) => ({ x: 2 * x + 0.4 * y + 2e-3 * x * y, y: -0.3 * x + 1.8 * y + 1.5e-3 * x * x });
+      const pairs = makeEnuPairs(bentTruth, 8);
+      const automatic = calibrateMap(pairs, { origin });
+      expect(automatic.modelSelection.ranking.map((entry) => entry.kind)).not.toContain('polynomial2');
+
+      const pinned = calibrateMap(pairs, { origin, modelKind: 'polynomial2' });
+      expect(pinned.kind).toBe('polynomial2');
+      expect(pinned.model.type).toBe('polynomial');
+      expect(pinned.quality.rmse).toBeLessThan(automatic.quality.rmse);
+      expect(pinned.modelSelection.ranking[0].kind).toBe('polynomial2');
+
+      const short = calibrateMap(pairs, { origin, modelKind: 'polynomial3' });
+      expect(short.kind).not.toBe('polynomial3');
+      expect(__internals.pickModelKinds(10, 'polynomial3')).toEqual(['polynomial3', 'homography', 'affine', 'similarity']);
+    });
+
+    test('pins a piecewise-affine rubber sheet that honours every pair', () => {
+      const pairs = makeEnuPairs(affineTruth, 8);
+      const result = calibrateMap(pairs, { origin, modelKind: 'piecewise' });
+      expect(result.kind).toBe('piecewise');
+      expect(result.quality.rmse).toBeLessThan(1e-6);
+      expect(result.quality.looRmse).toBeGreaterThan(0);
+      const entry = result.modelSelection.ranking.find((candidate) => candidate.kind === 'piecewise');
+      expect(entry.parameters).toBe(16);
+
+      const location = projectPixelToLocation(result, { x: 150, y: 120 });
+      const pixel = projectLocationToPixel(result, location);
+      expect(pixel.x).toBeCloseTo(150, 6);
+      expect(pixel.y).toBeCloseTo(120, 6);
+    });
+  });
+
+  test('ellipsoidal ENU keeps a regional map exact and is used for projections', () => {
+    const regionOrigin = { lat: 64.5, lon: 25 };
+    const pixels = [[0, 0], [3000, 0], [0, 3000], [3000, 3000], [1400, 1700]];
+    // 20 m per pixel: the map spans about 60 km.
+    const pairs = pixels.map(([x, y]) => ({
+      pixel: { x, y },
+      wgs84: enuToWgs84({ x: 20 * x - 30000, y: 20 * y - 30000 }, regionOrigin, ENU_METHODS.ELLIPSOIDAL),
+    }));
+    const options = { origin: regionOrigin, modelKind: 'similarity' };
+    const ellipsoidal = calibrateMap(pairs, { ...options, enuMethod: ENU_METHODS.ELLIPSOIDAL });
+    const spherical = calibrateMap(pairs, options);
+    expect(ellipsoidal.enuMethod).toBe('ellipsoidal');
+    expect(spherical.enuMethod).toBe('spherical');
+    expect(ellipsoidal.quality.rmse).toBeLessThan(1e-3);
+    expect(ellipsoidal.metrics.inlierCount).toBe(5);
+    expect(spherical.quality.maxResidual).toBeGreaterThan(1);
+
+    const location = projectPixelToLocation(ellipsoidal, { x: 1400, y: 1700 });
+    expect(location.lat).toBeCloseTo(pairs[4].wgs84.lat, 8);
+    expect(location.lon).toBeCloseTo(pairs[4].wgs84.lon, 8);
+    const pixel = projectLocationToPixel(ellipsoidal, pairs[1].wgs84);
+    expect(pixel.x).toBeCloseTo(3000, 3);
+    expect(pixel.y).toBeCloseTo(0, 3);
+  });
+
+  test('calibrateMap is reproducible and records its seed', () => {
+    const grid = [];
+    for (let x = 0; x < 5; x += 1) {
+      for (let y = 0; y < 4; y += 1) {
+        const pixel = { x: x * 100, y: y * 100 };
+        grid.push({ pixel, enu: { x: 2 * pixel.x + 3 * ((x * y) % 5), y: 2 * pixel.y - 4 * ((x + y) % 3) } });
+      }
+    }
+    grid[7] = { ...grid[7], enu: { x: -900, y: 4000 } };
+    const first = calibrateMap(grid, { origin });
+    const second = calibrateMap(grid, { origin });
+    expect(first.ransac.exhaustive).toBe(false);
+    expect(second.residuals).toEqual(first.residuals);
+    expect(second.inliers).toEqual(first.inliers);
+    expect(first.seed).toBe(0x5eed);
+
+    expect(calibrateMap(grid, { origin, seed: 7 }).seed).toBe(7);
+    expect(calibrateMap(grid, { origin, random: makeRandomGenerator() }).seed).toBeNull();
+  });
+
+  describe('per-pair accuracy', () => {
+    const makeWeightedPairs = (decorate) => makeSquarePairs(20).map(decorate);
+
+    test('pairSigmaMeters prefers GPS accuracy over tap confidence', () => {
+      expect(pairSigmaMeters({ accuracy: 3, confidence: 'low' })).toBe(3);
+      expect(pairSigmaMeters({ confidence: 'low' })).toBe(40);
+      expect(pairSigmaMeters({ confidence: 'high' })).toBe(5);
+      expect(pairSigmaMeters({ accuracy: null })).toBe(15);
+    });
+
+    test('precise pairs pull the fit harder than rough taps', () => {
+      const options = { origin, modelKind: 'similarity' };
+      const roughOutlier = calibrateMap(
+        makeWeightedPairs((pair, i) => (i === 3 ? { ...pair, confidence: 'low' } : { ...pair, accuracy: 3 })),
+        options,
+      );
+      const preciseOutlier = calibrateMap(
+        makeWeightedPairs((pair, i) => (i === 3 ? { ...pair, accuracy: 3 } : { ...pair, confidence: 'low' })),
+        options,
+      );
+      expect(roughOutlier.residuals[3]).toBeGreaterThan(18);
+      expect(preciseOutlier.residuals[3]).toBeLessThan(roughOutlier.residuals[3] / 2);
+    });
+
+    test('rough taps get a wider inlier threshold', () => {
+      const shifted = (decorate) =>
+        makeWeightedPairs((pair, i) => decorate(i === 3 ? { ...pair, enu: { x: pair.enu.x + 40, y: pair.enu.y } } : pair, i));
+      const options = { origin, modelKind: 'similarity', inlierThresholdMeters: 40 };
+      const rough = calibrateMap(shifted((pair, i) => (i === 3 ? { ...pair, confidence: 'low' } : pair)), options);
+      const unrated = calibrateMap(shifted((pair) => pair), options);
+      expect(rough.inliers[3]).toBe(true);
+      expect(unrated.inliers[3]).toBe(false);
+    });
+  });
+
+  describe('disabled pairs', () => {
+    const options = { origin, modelKind: 'similarity' };
+
+    test('are left out of the fit but keep their predicted residual', () => {
+      const pairs = makeSquarePairs(30);
+      pairs[3] = { ...pairs[3], active: false };
+      const result = calibrateMap(pairs, options);
+      expect(result.status).toBe('ok');
+      expect(result.active).toEqual([true, true, true, false, true]);
+      expect(result.quality.rmse).toBeLessThan(1e-6);
+      expect(result.quality.maxResidual).toBeLessThan(1e-6);
+      expect(result.residuals).toHaveLength(5);
+      expect(result.residuals[3]).toBeCloseTo(30, 6);
+      expect(result.looErrors[3]).toBeCloseTo(30, 6);
+      expect(result.inliers[3]).toBe(false);
+      expect(result.metrics.inlierCount).toBe(4);
+    });
+
+    test('count against the minimum pair requirement', () => {
+      const pairs = makeSquarePairs(30).slice(0, 2);
+      pairs[1] = { ...pairs[1], active: false };
+      const result = calibrateMap(pairs, options);
+      expect(result.status).toBe('insufficient-pairs');
+      expect(result.message).toContain('enabled');
+    });
+
+    test('do not raise diagnostics and diagnostics keep the caller pair numbers', () => {
+      const pairs = makeSquarePairs(30);
+      pairs.push({ ...pairs[4], enu: { x: 300, y: 300 } });
+      pairs[0] = { ...pairs[0], active: false };
+      const result = calibrateMap(pairs, options);
+      const duplicate = result.diagnostics.find((entry) => entry.code === 'duplicate-pixel');
+      expect(duplicate.pairIndexes).toEqual([4, 5]);
+      expect(duplicate.message).toContain('Pairs 5 and 6');
+
+      pairs[5] = { ...pairs[5], active: false };
+      expect(calibrateMap(pairs, options).diagnostics).toEqual([]);
+    });
+
+    test('stay out of the TPS control points', () => {
+      const pairs = makeSquarePairs(30);
+      pairs[3] = { ...pairs[3], active: false };
+      const refined = refineCalibrationWithTps(calibrateMap(pairs, options), pairs, { regularization: 0 });
+      expect(refined.status).toBe('ok');
+      expect(refined.inliers[3]).toBe(false);
+      expect(refined.residuals[3]).toBeGreaterThan(1);
+    });
+  });
+
+  describe('robust losses', () => {
+    // Pair 4's 30 m offset is inside the 40 m inlier threshold.
+    const fit = (options) => calibrateMap(makeSquarePairs(30), { origin, modelKind: 'similarity', ...options });
+
+    test('Huber keeps small residuals at full weight and converges at once', () => {
+      const result = fit({});
+      expect(result.robust).toEqual({ loss: 'huber', iterations: 1, converged: true });
+      expect(result.weights).toEqual([1, 1, 1, 1, 1]);
+      expect(result.residuals[3]).toBeGreaterThan(15);
+    });
+
+    test('Tukey drops a pair beyond its constant; Cauchy only down-weights it', () => {
+      const huber = fit({});
+      const tukey = fit({ robustLoss: 'tukey', huberDelta: 5 });
+      expect(tukey.robust).toMatchObject({ loss: 'tukey', converged: true });
+      expect(tukey.residuals[3]).toBeCloseTo(30, 3);
+      expect(tukey.inliers[3]).toBe(true);
+      expect(tukey.weights[3]).toBe(0);
+      expect(tukey.weights[0]).toBeCloseTo(1, 6);
+
+      const cauchy = fit({ robustLoss: 'cauchy' });
+      expect(cauchy.residuals[3]).toBeGreaterThan(huber.residuals[3]);
+      expect(cauchy.weights[3]).toBeGreaterThan(0);
+      expect(cauchy.weights[3]).toBeLessThan(cauchy.weights[0]);
+      expect(cauchy.weights[0]).toBeLessThan(1);
+    });
+
+    test('outliers, disabled pairs and the iteration cap', () => {
+      const pairs = makeSquarePairs(30);
+      pairs[1] = { ...pairs[1], active: false };
+      pairs.push({ pixel: { x: 80, y: 20 }, enu: { x: 400, y: 40 } });
+      const result = calibrateMap(pairs, { origin, modelKind: 'similarity', robustLoss: 'cauchy', irlsIterations: 1 });
+      expect(result.weights).toHaveLength(6);
+      expect(result.weights[1]).toBe(0);
+      expect(result.inliers[5]).toBe(false);
+      expect(result.weights[5]).toBe(0);
+      expect(result.robust).toEqual({ loss: 'cauchy', iterations: 1, converged: false });
+      expect(() => fit({ robustLoss: 'l1' })).toThrow('Unknown robust loss: l1');
+    });
+  });
+
+  test('minimal homography is not reported as high accuracy without cross-validation', () => {
+    const { pairs } = makePairs();
+    const result = calibrateMap(pairs.slice(0, 4), {
+      origin,
+      random: makeRandomGenerator(),
+      iterations: 5,
+      modelKind: 'homography',
+    });
+    expect(result.kind).toBe('homography');
+    expect(result.quality.rmse).toBeLessThan(1e-3);
+    expect(result.quality.looRmse).toBeNull();
+    expect(result.looErrors.every((error) => error === null)).toBe(true);
+    expect(result.statusMessage.level).toBe('medium');
+    expect(result.statusMessage.message).toContain('not cross-validated');
+  });
+
   test('computeAccuracyRing merges gps and map accuracy', () => {
     const { pairs } = makePairs();
     const randomFn = makeRandomGenerator();
@@ -90,6 +445,45 @@ describe('calibrator', () => {
     expect(pixel.y).toBeCloseTo(pairs[2].pixel.y, 0);
   });
 
+  test('projectPixelToLocation is the inverse of projectLocationToPixel', () => {
+    const { pairs } = makePairs();
+    const calibration = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 15 });
+    const location = projectPixelToLocation(calibration, pairs[3].pixel);
+    expect(location.lat).toBeCloseTo(pairs[3].wgs84.lat, 6);
+    expect(location.lon).toBeCloseTo(pairs[3].wgs84.lon, 6);
+
+    const pixel = { x: 37, y: -12 };
+    const roundTrip = projectLocationToPixel(calibration, projectPixelToLocation(calibration, pixel));
+    expect(roundTrip.x).toBeCloseTo(pixel.x, 4);
+    expect(roundTrip.y).toBeCloseTo(pixel.y, 4);
+  });
+
+  test('projectPixelToLocation handles invalid calibrations and singular pixels', () => {
+    expect(projectPixelToLocation(null, { x: 0, y: 0 })).toBeNull();
+    expect(projectPixelToLocation({ status: 'fit-failed' }, { x: 0, y: 0 })).toBeNull();
+    const calibration = {
+      status: 'ok',
+      origin,
+      model: {
+        type: 'homography',
+        matrix: [
+          [1, 0, 0],
+          [0, 1, 0],
+          [1, 0, -1],
+        ],
+      },
+    };
+    expect(projectPixelToLocation(calibration, { x: 1, y: 0 })).toBeNull();
+    const similarity = {
+      status: 'ok',
+      origin,
+      model: { type: 'similarity', scale: 2, cos: 1, sin: 0, translation: { x: 0, y: 0 } },
+    };
+    const location = projectPixelToLocation(similarity, { x: 0, y: 0 });
+    expect(location.lat).toBeCloseTo(origin.lat, 9);
+    expect(location.lon).toBeCloseTo(origin.lon, 9);
+  });
+
   test('accuracyRingRadiusPixels converts meters to pixels', () => {
     const { pairs } = makePairs();
     const randomFn = makeRandomGenerator();
@@ -100,6 +494,64 @@ describe('calibrator', () => {
     expect(ring.pixelRadius).toBeLessThan(1000);
   });
 
+  test('accuracyRingRadiusPixels uses the local map error when pairs are supplied', () => {
+    const { pairs } = makePairs();
+    const calibration = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 12 });
+    const global = accuracyRingRadiusPixels(calibration, pairs[1].wgs84, 10);
+    expect(global.mapErrorSource).toBe('global');
+    expect(global.sigmaMap).toBeCloseTo(calibration.quality.rmse);
+
+    const nearPair = accuracyRingRadiusPixels(calibration, pairs[1].wgs84, 10, pairs);
+    expect(nearPair.mapErrorSource).toBe('local');
+    expect(nearPair.extrapolated).toBe(false);
+    expect(nearPair.sigmaMapGlobal).toBeCloseTo(calibration.quality.rmse);
+
+    const farLocation = { lat: origin.lat - 0.01, lon: origin.lon - 0.01 };
+    const far = accuracyRingRadiusPixels(calibration, farLocation, 10, pairs);
+    expect(far.extrapolated).toBe(true);
+    expect(far.sigmaMap).toBeGreaterThan(nearPair.sigmaMap);
+    expect(far.sigmaTotal).toBeCloseTo(Math.hypot(10, far.sigmaMap));
+  });
+
+  test('accuracyRingRadiusPixels orients an ellipse along the sheared axis', () => {
+    const sheared = {
+      status: 'ok',
+      origin,
+      quality: { rmse: 0, maxResidual: 0 },
+      model: { type: 'affine', matrix: [[2, 1, 0], [0, 1, 0]], covariance: null },
+    };
+    const ring = accuracyRingRadiusPixels(sheared, origin, 10);
+    // Singular values of the Jacobian [[2, 1], [0, 1]] are sqrt(3 ± sqrt(5)).
+    expect(ring.ellipse.semiMajor).toBeCloseTo(10 / Math.sqrt(3 - Math.sqrt(5)), 6);
+    expect(ring.ellipse.semiMinor).toBeCloseTo(10 / Math.sqrt(3 + Math.sqrt(5)), 6);
+    expect(ring.sigmaModel).toBe(0);
+
+    const conformal = {
+      status: 'ok',
+      origin,
+      quality: { rmse: 3, maxResidual: 0 },
+      model: { type: 'similarity', scale: 2, cos: 1, sin: 0, translation: { x: 0, y: 0 } },
+    };
+    const circle = accuracyRingRadiusPixels(conformal, origin, 10);
+    expect(circle.ellipse.semiMajor).toBeCloseTo(circle.pixelRadius, 9);
+    expect(circle.ellipse.semiMinor).toBeCloseTo(circle.pixelRadius, 9);
+  });
+
+  test('accuracyRingRadiusPixels adds the parameter covariance to the ring', () => {
+    const covariance = Array.from({ length: 6 }, (unused, i) => Array.from({ length: 6 }, (ignored, j) => (i === j ? 4 : 0)));
+    const calibration = {
+      status: 'ok',
+      origin,
+      quality: { rmse: 0, maxResidual: 0 },
+      model: { type: 'affine', matrix: [[1, 0, 0], [0, 1, 0]], covariance },
+    };
+    const ring = accuracyRingRadiusPixels(calibration, origin, 10);
+    // Only the translation terms contribute at pixel (0, 0): variance 4 per axis.
+    expect(ring.sigmaModel).toBeCloseTo(Math.sqrt(8));
+    expect(ring.sigmaTotal).toBeCloseTo(Math.sqrt(108));
+    expect(ring.ellipse.semiMajor).toBeCloseTo(ring.sigmaTotal);
+  });
+
   test('calibrateMap handles insufficient pairs', () => {
     const result = calibrateMap([{ pixel: { x: 0, y: 0 }, wgs84: origin }]);
     expect(result.status).toBe('insufficient-pairs');
@@ -120,7 +572,7 @@ describe('calibrator', () => {
     const pairs = [
       { pixel: { x: 0, y: 0 }, wgs84: { lat: origin.lat, lon: origin.lon } },
       { pixel: { x: 100, y: 0 }, wgs84: { lat: origin.lat, lon: origin.lon + 0.001 } },
-      { pixel: { x: 0, y: 60 }, wgs84: { lat: origin.lat + 0.0005, lon: origin.lon } },
+      { pixel: { x: 0, y: 60 }, wgs84: { lat: origin.lat + 0.002, lon: origin.lon } },
     ];
     const result = calibrateMap(pairs, { origin, iterations: 10, random: makeRandomGenerator() });
     expect(result.status).toBe('ok');
@@ -226,6 +678,23 @@ describe('calibrator', () => {
 
     expect(pickModelKinds(1)).toEqual([]);
 
+    const { requiredIterations, msacCost, enumerateSubsets } = __internals;
+    expect(requiredIterations(1, 4, 0.98)).toBe(1);
+    expect(requiredIterations(0, 4, 0.98)).toBe(Number.POSITIVE_INFINITY);
+    // log(0.02) / log(1 - 0.5^2) ≈ 13.6
+    expect(requiredIterations(0.5, 2, 0.98)).toBe(14);
+    expect(msacCost([1, 2, 100, Number.POSITIVE_INFINITY], 10)).toBe(1 + 4 + 100 + 100);
+    expect(enumerateSubsets(4, 2)).toEqual([[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]);
+
+    const { calibrationStatus, leaveOneOutRmse } = __internals;
+    expect(calibrationStatus('affine', 22).level).toBe('medium');
+    expect(calibrationStatus('homography', 45).level).toBe('low');
+    expect(calibrationStatus('homography', 45).message).toContain('Add more reference points');
+    expect(calibrationStatus('affine', Number.POSITIVE_INFINITY).message).toContain('unbounded');
+    expect(leaveOneOutRmse([3, null], [true, false])).toBeCloseTo(3);
+    expect(leaveOneOutRmse([3, null], [true, true])).toBeNull();
+    expect(leaveOneOutRmse([3], [false])).toBeNull();
+
     const infinityTransform = {
       type: 'homography',
       matrix: [
@@ -239,6 +708,14 @@ describe('calibrator', () => {
 
     expect(huberWeight(10, 35)).toBe(1);
     expect(huberWeight(100, 35)).toBeCloseTo(0.35);
+    const { tukeyWeight, cauchyWeight, lossWeight } = __internals;
+    expect(tukeyWeight(0, 10)).toBe(1);
+    expect(tukeyWeight(-5, 10)).toBeCloseTo(0.5625);
+    expect(tukeyWeight(10, 10)).toBe(0);
+    expect(cauchyWeight(-10, 10)).toBeCloseTo(0.5);
+    // Every loss shares the Huber scale: 35 m / 1.345 ≈ 26 m.
+    expect(lossWeight(4.685 * 26.0223, {}, { robustLoss: 'tukey', huberDelta: 35 })).toBeCloseTo(0, 6);
+    expect(lossWeight(40, { thresholdScale: 2 }, { robustLoss: 'huber', huberDelta: 35 })).toBe(1);
 
     const dummyModel = {
       type: 'similarity',
@@ -267,6 +744,21 @@ describe('calibrator', () => {
     const degenerateRun = runReweightedFit('similarity', [singularPair], options);
     expect(degenerateRun).toBeNull();
     expect(runRansacForKind('homography', [singularPair], options)).toBeNull();
+    const exactPairs = [
+      { pixel: { x: 0, y: 0 }, enu: { x: 0, y: 0 } },
+      { pixel: { x: 10, y: 0 }, enu: { x: 20, y: 0 } },
+      { pixel: { x: 0, y: 10 }, enu: { x: 0, y: 20 } },
+    ];
+    const irlsOptions = { ...options, irlsToleranceMeters: 0.01, robustLoss: 'huber' };
+    expect(runReweightedFit('similarity', exactPairs, irlsOptions)).toMatchObject({ iterations: 1, converged: true });
+    expect(runReweightedFit('similarity', exactPairs, { ...irlsOptions, irlsIterations: 0 })).toMatchObject({
+      iterations: 0,
+      converged: false,
+    });
+    // Tukey zeroes every pair of an inconsistent set, so the reweighted fit fails and the first fit stands.
+    const inconsistent = exactPairs.concat({ pixel: { x: 10, y: 10 }, enu: { x: -50, y: 90 } });
+    const tukeyOptions = { ...irlsOptions, robustLoss: 'tukey', huberDelta: 1e-3 };
+    expect(runReweightedFit('similarity', inconsistent, tukeyOptions)).toMatchObject({ iterations: 0, converged: false });
     const skipOptions = { ...options, irlsIterations: -1 };
     const simplePairs = [
       singularPair,
@@ -275,4 +767,249 @@ describe('calibrator', () => {
     expect(runReweightedFit('similarity', simplePairs, skipOptions)).toBeNull();
     expect(runRansacForKind('similarity', simplePairs, { ...skipOptions, iterations: 1 })).toBeNull();
   });
+
+  describe('ENU origin', () => {
+    const distant = { pixel: { x: 900, y: 900 }, wgs84: { lat: origin.lat + 0.05, lon: origin.lon + 0.05 } };
+    const options = { random: makeRandomGenerator(), iterations: 20 };
+
+    test('follows the pairs unless pinned', () => {
+      const { pairs } = makePairs();
+      const first = calibrateMap(pairs, options);
+      expect(first.originPinned).toBe(false);
+      expect(first.staleEnuPairs).toEqual([]);
+      const grown = calibrateMap([...pairs, distant], options);
+      expect(grown.origin.lat).toBeGreaterThan(first.origin.lat);
+
+      const pinned = calibrateMap([...pairs, distant], { ...options, origin: first.origin });
+      expect(pinned.origin).toEqual(first.origin);
+      expect(pinned.originPinned).toBe(true);
+    });
+
+    test('recomputes ENU snapshots taken in another frame', () => {
+      const { pairs } = makePairs();
+      const first = calibrateMap(pairs, { ...options, random: makeRandomGenerator() });
+      const snapshots = snapshotPairEnu(pairs, first);
+      expect(snapshots[0].enuFrame).toEqual({ origin: first.origin, enuMethod: 'spherical' });
+
+      const fresh = calibrateMap(snapshots, { ...options, random: makeRandomGenerator(), origin: first.origin });
+      expect(fresh.staleEnuPairs).toEqual([]);
+      expect(fresh.residuals).toEqual(first.residuals);
+
+      const moved = [...snapshots, distant];
+      const refit = calibrateMap(moved, { ...options, random: makeRandomGenerator() });
+      const expected = calibrateMap([...pairs, distant], { ...options, random: makeRandomGenerator() });
+      expect(refit.staleEnuPairs).toEqual(pairs.map((pair, index) => index));
+      expect(refit.residuals).toEqual(expected.residuals);
+
+      const ellipsoidal = calibrateMap(snapshots, { ...options, origin: first.origin, enuMethod: 'ellipsoidal' });
+      expect(ellipsoidal.staleEnuPairs).toHaveLength(pairs.length);
+      expect(snapshotPairEnu(pairs.slice(0, 1), { origin })[0].enuFrame.enuMethod).toBe('spherical');
+    });
+
+    test('recomputes frameless ENU from WGS84 and keeps it only for pairs without WGS84', () => {
+      const { pairs } = makePairs();
+      const expected = calibrateMap(pairs, { ...options, random: makeRandomGenerator(), origin });
+      // Saved before ENU frames were recorded, in a frame that no longer matches.
+      const legacy = pairs.map((pair) => ({ ...pair, enu: { x: 0, y: 0 } }));
+      const recomputed = calibrateMap(legacy, { ...options, random: makeRandomGenerator(), origin });
+      expect(recomputed.staleEnuPairs).toEqual(pairs.map((pair, index) => index));
+      expect(recomputed.residuals).toEqual(expected.residuals);
+
+      const bare = pairs.map((pair) => ({ pixel: pair.pixel, enu: wgs84ToEnu(pair.wgs84, origin) }));
+      const kept = calibrateMap(bare, { ...options, random: makeRandomGenerator(), origin });
+      expect(kept.staleEnuPairs).toEqual([]);
+      expect(kept.residuals).toEqual(expected.residuals);
+    });
+  });
+
+  describe('mirrored photos', () => {
+    // A north-up, 2 m/px photo that was scanned mirrored left to right.
+    const mirroredPairs = [
+      [0, 0],
+      [200, 0],
+      [0, 150],
+      [200, 150],
+      [90, 60],
+    ].map(([x, y]) => ({ pixel: { x, y }, wgs84: enuToWgs84({ x: -2 * x, y: 2 * y }, origin) }));
+    const options = { origin, modelKind: 'similarity', iterations: 20, random: makeRandomGenerator() };
+
+    test('fits a reflected similarity and warns about the mirror image', () => {
+      const result = calibrateMap(mirroredPairs, options);
+      expect(result.mirrored).toBe(true);
+      expect(result.model.reflected).toBe(true);
+      expect(result.quality.rmse).toBeLessThan(0.01);
+      expect(result.diagnostics.map((diagnostic) => diagnostic.code)).toContain('mirrored');
+      const pixel = projectLocationToPixel(result, mirroredPairs[4].wgs84);
+      expect(pixel.x).toBeCloseTo(90, 4);
+      expect(pixel.y).toBeCloseTo(60, 4);
+    });
+
+    test('detects the mirror image only from three pairs unless told', () => {
+      expect(calibrateMap(mirroredPairs.slice(0, 2), options).mirrored).toBe(false);
+      const forced = calibrateMap(mirroredPairs.slice(0, 2), { ...options, mirrored: true });
+      expect(forced.mirrored).toBe(true);
+      expect(forced.quality.rmse).toBeLessThan(0.01);
+      const refused = calibrateMap(mirroredPairs, { ...options, mirrored: false });
+      expect(refused.model.reflected).toBeUndefined();
+      expect(refused.quality.rmse).toBeGreaterThan(10);
+    });
+  });
+
+  describe('scale and north hints', () => {
+    // A trailboard at 0.5 m/px whose north arrow points to the right edge of the photo.
+    const anchor = { pixel: { x: 300, y: 200 }, wgs84: origin };
+    const hints = { origin, scaleHint: 0.5, northHint: 90 };
+    const locate = (calibration, pixel) => wgs84ToEnu(projectPixelToLocation(calibration, pixel), origin);
+
+    test('calibrate a single pair as a similarity', () => {
+      const result = calibrateMap([anchor], hints);
+      expect(result).toMatchObject({ status: 'ok', kind: 'similarity', fromHints: true, residuals: [0], looErrors: [null] });
+      expect(result.statusMessage.level).toBe('low');
+      const north = locate(result, { x: 400, y: 200 });
+      expect(north.x).toBeCloseTo(0, 3);
+      expect(north.y).toBeCloseTo(50, 3);
+      const west = locate(result, { x: 300, y: 300 });
+      expect(west.x).toBeCloseTo(-50, 3);
+      expect(west.y).toBeCloseTo(0, 3);
+
+      const mirrored = calibrateMap([anchor], { ...hints, mirrored: true });
+      expect(mirrored.model.reflected).toBe(true);
+      expect(locate(mirrored, { x: 400, y: 200 }).y).toBeCloseTo(50, 3);
+      expect(locate(mirrored, { x: 300, y: 300 }).x).toBeCloseTo(50, 3);
+    });
+
+    test('need both hints and an enabled pair', () => {
+      expect(calibrateMap([anchor], { origin, scaleHint: 0.5 }).status).toBe('insufficient-pairs');
+      expect(calibrateMap([anchor], { origin, northHint: 0 }).status).toBe('insufficient-pairs');
+      expect(calibrateMap([{ ...anchor, active: false }], hints).status).toBe('insufficient-pairs');
+      expect(calibrateMap([anchor], { ...hints, scaleHint: Infinity })).toMatchObject({ status: 'fit-failed' });
+    });
+
+    test('are ignored once a second pair arrives', () => {
+      const second = { pixel: { x: 500, y: 200 }, wgs84: { lat: origin.lat + 0.001, lon: origin.lon } };
+      const upgraded = calibrateMap([anchor, second], { ...hints, iterations: 5, random: makeRandomGenerator() });
+      const plain = calibrateMap([anchor, second], { origin, iterations: 5, random: makeRandomGenerator() });
+      expect(upgraded.fromHints).toBe(false);
+      expect(upgraded.model).toEqual(plain.model);
+      expect(upgraded.hintError).toBeNull();
+    });
+
+    test('give the ring a map error that grows away from the pair', () => {
+      const result = calibrateMap([anchor], hints);
+      const ringAt = (pixel) => accuracyRingRadiusPixels(result, projectPixelToLocation(result, pixel), 0, [anchor]);
+      const atPair = ringAt(anchor.pixel);
+      expect(atPair.sigmaMap).toBeCloseTo(15, 6);
+      expect(atPair.pixelRadius).toBeGreaterThan(0);
+
+      const near = ringAt({ x: 400, y: 200 });
+      const far = ringAt({ x: 1300, y: 200 });
+      expect(near.sigmaMap).toBeGreaterThan(atPair.sigmaMap);
+      expect(far.sigmaMap).toBeGreaterThan(near.sigmaMap);
+      expect(far.extrapolated).toBe(true);
+      // 2% scale and 2° north uncertainty at 500 m from the pair, added to the pair's 15 m.
+      expect(far.sigmaMap).toBeCloseTo(Math.hypot(15, 500 * Math.hypot(0.02, degToRad(2))), 6);
+    });
+  });
+
+  describe('TPS refinement', () => {
+    const makeWarpedPairs = () => {
+      const pixels = [];
+      for (let x = 0; x <= 400; x += 100) {
+        for (let y = 0; y <= 300; y += 100) {
+          pixels.push({ x, y });
+        }
+      }
+      return pixels.map((pixel) => {
+        const east = 1.5 * pixel.x + 8 * Math.sin(pixel.y / 70);
+        const north = 1.5 * pixel.y + 8 * Math.cos(pixel.x / 90);
+        return {
+          pixel,
+          wgs84: {
+            lat: origin.lat + radToDeg(north / EARTH_RADIUS_METERS),
+            lon: origin.lon + radToDeg(east / (EARTH_RADIUS_METERS * Math.cos(degToRad(origin.lat)))),
+          },
+        };
+      });
+    };
+
+    test('refineCalibrationWithTps lowers RMSE and reports the delta', () => {
+      const pairs = makeWarpedPairs();
+      const base = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 20 });
+      expect(base.status).toBe('ok');
+      const refined = refineCalibrationWithTps(base, pairs, { regularization: 0 });
+      expect(refined.status).toBe('ok');
+      expect(refined.kind).toBe('tps');
+      expect(refined.baseKind).toBe(base.kind);
+      expect(refined.tps.rmseBefore).toBeCloseTo(base.quality.rmse, 6);
+      expect(refined.tps.rmseAfter).toBeLessThan(refined.tps.rmseBefore);
+      expect(refined.tps.rmseDelta).toBeCloseTo(refined.tps.rmseAfter - refined.tps.rmseBefore);
+      expect(refined.statusMessage.level).toBe('high');
+
+      const pixel = projectLocationToPixel(refined, pairs[6].wgs84);
+      expect(pixel.x).toBeCloseTo(pairs[6].pixel.x, 1);
+      expect(pixel.y).toBeCloseTo(pairs[6].pixel.y, 1);
+      const location = projectPixelToLocation(refined, pairs[9].pixel);
+      expect(location.lat).toBeCloseTo(pairs[9].wgs84.lat, 6);
+      expect(location.lon).toBeCloseTo(pairs[9].wgs84.lon, 6);
+      const ring = accuracyRingRadiusPixels(refined, pairs[6].wgs84, 10);
+      expect(ring.pixelRadius).toBeGreaterThan(0);
+    });
+
+    test('auto regularization picks a slider value and can be re-applied to a refined calibration', () => {
+      const pairs = makeWarpedPairs();
+      const base = calibrateMap(pairs, { origin, random: makeRandomGenerator(), iterations: 20 });
+      const refined = refineCalibrationWithTps(base, pairs);
+      expect(refined.tps.regularization).toBe('auto');
+      expect(refined.tps.appliedRegularization).toBeGreaterThanOrEqual(0);
+      expect(refined.tps.appliedRegularization).toBeLessThanOrEqual(100);
+
+      const stiffer = refineCalibrationWithTps(refined, pairs, { regularization: 100 });
+      expect(stiffer.baseKind).toBe(base.kind);
+      expect(stiffer.tps.rmseBefore).toBeCloseTo(refined.tps.rmseBefore, 6);
+      expect(stiffer.tps.rmseAfter).toBeGreaterThan(refined.tps.rmseAfter - 1e-9);
+    });
+
+    test('cross-validates the spline against a base refitted without the held-out pair', () => {
+      const { runReweightedFit, computeResidualMeters } = __internals;
+      const pairs = makeWarpedPairs();
+      // The spline's own affine part would absorb any difference in an affine base, so use a homography.
+      const base = calibrateMap(pairs, { origin, modelKind: 'homography', random: makeRandomGenerator(), iterations: 20 });
+      const refined = refineCalibrationWithTps(base, pairs, { regularization: 20 });
+      const enuPairs = snapshotPairEnu(pairs, base);
+      const heldOut = 5;
+      const training = enuPairs.filter((pair, index) => index !== heldOut);
+      const fold = runReweightedFit('homography', training, { ...__internals.DEFAULT_OPTIONS, robustLoss: base.robust.loss, mirrored: false });
+      const spline = fitThinPlateSpline(training, { base: fold.model, lambda: refined.tps.lambda });
+      expect(refined.looErrors[heldOut]).toBeCloseTo(computeResidualMeters(spline, enuPairs[heldOut]), 9);
+    });
+
+    test('a piecewise base does not make the spline look exact under cross-validation', () => {
+      const pairs = makeWarpedPairs();
+      const base = calibrateMap(pairs, { origin, modelKind: 'piecewise', random: makeRandomGenerator(), iterations: 20 });
+      expect(base.kind).toBe('piecewise');
+      expect(base.quality.rmse).toBeLessThan(1e-6);
+      const refined = refineCalibrationWithTps(base, pairs);
+      expect(refined.kind).toBe('tps');
+      expect(refined.quality.looRmse).toBeGreaterThan(0.5);
+      expect(refined.quality.looRmse).toBeCloseTo(base.quality.looRmse, -1);
+    });
+
+    test('refineCalibrationWithTps reports failures', () => {
+      const pairs = makeWarpedPairs();
+      expect(refineCalibrationWithTps(null, pairs).status).toBe('tps-failed');
+      expect(refineCalibrationWithTps({ status: 'fit-failed' }, pairs).status).toBe('tps-failed');
+
+      const base = calibrateMap(pairs.slice(0, 2), { origin, random: makeRandomGenerator(), iterations: 5 });
+      expect(refineCalibrationWithTps(base, pairs.slice(0, 2)).status).toBe('tps-failed');
+
+      const collinear = [pairs[0], pairs[1], pairs[2]];
+      const lineBase = { ...base, inliers: [true, true, true] };
+      expect(refineCalibrationWithTps(lineBase, collinear, { regularization: 0 }).status).toBe('tps-failed');
+    });
+
+    test('chooseAutoRegularization falls back to the default for tiny control sets', () => {
+      const { chooseAutoRegularization } = __internals;
+      expect(chooseAutoRegularization(null, [{}, {}, {}])).toBe(50);
+    });
+  });
 });
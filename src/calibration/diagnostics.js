@@ -0,0 +1,246 @@
+import { symmetricEigen2x2 } from '../geo/linearAlgebra.js';
+
+export const DIAGNOSTIC_CODES = {
+  DUPLICATE_PIXEL: 'duplicate-pixel',
+  DUPLICATE_LOCATION: 'duplicate-location',
+  COLLINEAR: 'collinear',
+  CLUSTERED: 'clustered',
+  HOMOGRAPHY_FOLD: 'homography-fold',
+  MIRRORED: 'mirrored',
+};
+
+const DUPLICATE_PIXEL_TOLERANCE = 3; // pixels
+const DUPLICATE_LOCATION_TOLERANCE_METERS = 1;
+// Minor/major spread of the photo points below which they count as lying on one line.
+const COLLINEAR_SPREAD_RATIO = 0.05;
+// Share of the photo the pairs' bounding box must cover before they stop counting as clustered.
+const CLUSTER_AREA_FRACTION = 0.1;
+// Pair orientation below which the photo counts as mirrored (-1 is a perfect mirror image).
+export const MIRRORED_ORIENTATION = -0.5;
+
+// Pair numbers as shown in the pair table (1-based).
+function describePairs(indexes) {
+  const numbers = indexes.map((index) => index + 1);
+  if (numbers.length === 1) {
+    return `Pair ${numbers[0]}`;
+  }
+  return `Pairs ${numbers.slice(0, -1).join(', ')} and ${numbers[numbers.length - 1]}`;
+}
+
+// Positions within `pairs` mapped back to the caller's pair list when the pairs carry their `index`.
+function sourceIndexes(pairs, positions) {
+  return positions.map((position) => (pairs[position].index === undefined ? position : pairs[position].index));
+}
+
+function joinWords(words) {
+  if (words.length === 1) {
+    return words[0];
+  }
+  return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
+
+// Groups of indexes whose points lie within `tolerance` of an earlier point of the group.
+function groupNearby(points, tolerance) {
+  const groupOf = points.map(() => null);
+  const groups = [];
+  points.forEach((point, i) => {
+    for (let j = i + 1; j < points.length; j += 1) {
+      if (groupOf[j] === null && Math.hypot(point.x - points[j].x, point.y - points[j].y) <= tolerance) {
+        if (groupOf[i] === null) {
+          groupOf[i] = groups.length;
+          groups.push([i]);
+        }
+        groupOf[j] = groupOf[i];
+        groups[groupOf[i]].push(j);
+      }
+    }
+  });
+  return groups;
+}
+
+function duplicateDiagnostics(pairs) {
+  const pixelGroups = groupNearby(pairs.map((pair) => pair.pixel), DUPLICATE_PIXEL_TOLERANCE);
+  const locationGroups = groupNearby(pairs.map((pair) => pair.enu), DUPLICATE_LOCATION_TOLERANCE_METERS);
+  return pixelGroups
+    .map((positions) => sourceIndexes(pairs, positions))
+    .map((pairIndexes) => ({
+      code: DIAGNOSTIC_CODES.DUPLICATE_PIXEL,
+      severity: 'error',
+      message: `${describePairs(pairIndexes)} mark the same photo point. Remove one or move it elsewhere.`,
+      pairIndexes,
+    }))
+    .concat(
+      locationGroups.map((positions) => sourceIndexes(pairs, positions)).map((pairIndexes) => ({
+        code: DIAGNOSTIC_CODES.DUPLICATE_LOCATION,
+        severity: 'error',
+        message: `${describePairs(pairIndexes)} use the same map location. Remove one or move it elsewhere.`,
+        pairIndexes,
+      })),
+    );
+}
+
+function collinearDiagnostic(pairs) {
+  if (pairs.length < 3) {
+    return null;
+  }
+  const count = pairs.length;
+  const cx = pairs.reduce((sum, pair) => sum + pair.pixel.x, 0) / count;
+  const cy = pairs.reduce((sum, pair) => sum + pair.pixel.y, 0) / count;
+  const spread = pairs.reduce(
+    (acc, pair) => {
+      const dx = pair.pixel.x - cx;
+      const dy = pair.pixel.y - cy;
+      return [acc[0] + dx * dx, acc[1] + dx * dy, acc[2] + dy * dy];
+    },
+    [0, 0, 0],
+  );
+  const { major, minor } = symmetricEigen2x2([
+    [spread[0], spread[1]],
+    [spread[1], spread[2]],
+  ]);
+  if (!(major > 0) || Math.sqrt(Math.max(minor, 0) / major) >= COLLINEAR_SPREAD_RATIO) {
+    return null;
+  }
+  return {
+    code: DIAGNOSTIC_CODES.COLLINEAR,
+    severity: 'warning',
+    message: 'The reference points lie almost on one line, so the photo can only be scaled and rotated. Add a point away from that line.',
+    pairIndexes: sourceIndexes(pairs, pairs.map((pair, index) => index)),
+  };
+}
+
+// Photo quadrants without a reference point; y grows upwards in the photo's CRS.Simple frame.
+function emptyQuadrants(pairs, imageSize) {
+  const quadrants = [
+    { name: 'top-left', test: (p) => p.x < imageSize.width / 2 && p.y >= imageSize.height / 2 },
+    { name: 'top-right', test: (p) => p.x >= imageSize.width / 2 && p.y >= imageSize.height / 2 },
+    { name: 'bottom-left', test: (p) => p.x < imageSize.width / 2 && p.y < imageSize.height / 2 },
+    { name: 'bottom-right', test: (p) => p.x >= imageSize.width / 2 && p.y < imageSize.height / 2 },
+  ];
+  return quadrants.filter((quadrant) => !pairs.some((pair) => quadrant.test(pair.pixel))).map((quadrant) => quadrant.name);
+}
+
+function clusteredDiagnostic(pairs, imageSize) {
+  if (!imageSize || pairs.length < 2) {
+    return null;
+  }
+  const xs = pairs.map((pair) => pair.pixel.x);
+  const ys = pairs.map((pair) => pair.pixel.y);
+  const coverage =
+    ((Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys))) / (imageSize.width * imageSize.height);
+  if (coverage >= CLUSTER_AREA_FRACTION) {
+    return null;
+  }
+  const missing = emptyQuadrants(pairs, imageSize);
+  const hint = missing.length > 0 ? `Add points in the ${joinWords(missing)} of the photo.` : 'Add points near the photo edges.';
+  return {
+    code: DIAGNOSTIC_CODES.CLUSTERED,
+    severity: 'warning',
+    message: `The reference points cover only ${Math.round(coverage * 100)}% of the photo. ${hint}`,
+    pairIndexes: sourceIndexes(pairs, pairs.map((pair, index) => index)),
+  };
+}
+
+// Sums of the centered products a·bᵀ over the pairs, as [xx, xy, yx, yy].
+function crossSpread(pairs, a, b) {
+  const mean = (key, axis) => pairs.reduce((sum, pair) => sum + pair[key][axis], 0) / pairs.length;
+  const centers = { [a]: { x: mean(a, 'x'), y: mean(a, 'y') }, [b]: { x: mean(b, 'x'), y: mean(b, 'y') } };
+  return pairs.reduce((acc, pair) => {
+    const ax = pair[a].x - centers[a].x;
+    const ay = pair[a].y - centers[a].y;
+    const bx = pair[b].x - centers[b].x;
+    const by = pair[b].y - centers[b].y;
+    return [acc[0] + ax * bx, acc[1] + ax * by, acc[2] + ay * bx, acc[3] + ay * by];
+  }, [0, 0, 0, 0]);
+}
+
+const determinant = ([xx, xy, yx, yy]) => xx * yy - xy * yx;
+
+/**
+ * How the map turns relative to the photo: +1 when the ENU points are a rotated and scaled copy of
+ * the photo points, -1 when they are a mirror image, in between for sheared or noisy pairs. Both
+ * frames have y pointing up, so a correctly oriented photo scores near +1. Null for fewer than three
+ * pairs or when either point set is collinear.
+ */
+export function pairOrientation(pairs) {
+  if (pairs.length < 3) {
+    return null;
+  }
+  const spread = determinant(crossSpread(pairs, 'pixel', 'pixel')) * determinant(crossSpread(pairs, 'enu', 'enu'));
+  if (!(spread > 0)) {
+    return null;
+  }
+  return determinant(crossSpread(pairs, 'enu', 'pixel')) / Math.sqrt(spread);
+}
+
+function mirroredDiagnostic(pairs) {
+  const orientation = pairOrientation(pairs);
+  if (orientation === null || orientation >= MIRRORED_ORIENTATION) {
+    return null;
+  }
+  return {
+    code: DIAGNOSTIC_CODES.MIRRORED,
+    severity: 'warning',
+    message: 'The photo appears to be mirrored relative to the map. Use Flip photo to turn it the right way round.',
+    pairIndexes: sourceIndexes(pairs, pairs.map((pair, index) => index)),
+  };
+}
+
+/**
+ * Structural problems of a pair set that no fit can compensate for. Each entry carries a `code`
+ * from DIAGNOSTIC_CODES, a `severity` ('error' or 'warning'), a user-facing `message` and the
+ * affected `pairIndexes` (the pairs' own `index` when present, else their position). `pairs` need
+ * `pixel` and `enu`; `imageSize` enables the coverage check.
+ */
+export function diagnosePairs(pairs, { imageSize } = {}) {
+  return duplicateDiagnostics(pairs).concat(
+    [collinearDiagnostic(pairs), clusteredDiagnostic(pairs, imageSize), mirroredDiagnostic(pairs)].filter(Boolean),
+  );
+}
+
+function homographyDenominator(model, point) {
+  const [, , [h31, h32, h33]] = model.matrix;
+  return h31 * point.x + h32 * point.y + h33;
+}
+
+/**
+ * A homography whose horizon (zero denominator) crosses the photo maps part of it through infinity
+ * and folds the rest over. Pairs on the minority side of the horizon are reported as the offenders.
+ */
+export function homographyFoldDiagnostic(model, pairs, imageSize) {
+  if (!model || model.type !== 'homography' || !imageSize) {
+    return null;
+  }
+  const corners = [
+    { x: 0, y: 0 },
+    { x: imageSize.width, y: 0 },
+    { x: 0, y: imageSize.height },
+    { x: imageSize.width, y: imageSize.height },
+  ];
+  const cornerSigns = corners.map((corner) => Math.sign(homographyDenominator(model, corner)));
+  if (cornerSigns.every((sign) => sign === cornerSigns[0] && sign !== 0)) {
+    return null;
+  }
+  const signs = pairs.map((pair) => Math.sign(homographyDenominator(model, pair.pixel)));
+  const positive = signs.filter((sign) => sign > 0).length;
+  const minoritySign = positive * 2 >= signs.length ? -1 : 1;
+  const positions = signs.map((sign, index) => (sign === minoritySign ? index : -1)).filter((index) => index >= 0);
+  const pairIndexes = sourceIndexes(pairs, positions);
+  const blame = pairIndexes.length > 0 ? `${describePairs(pairIndexes)} disagree with the others; move or remove them.` : 'Add points near the far edge of the photo.';
+  return {
+    code: DIAGNOSTIC_CODES.HOMOGRAPHY_FOLD,
+    severity: 'error',
+    message: `The perspective fit folds over inside the photo. ${blame}`,
+    pairIndexes,
+  };
+}
+
+const api = {
+  DIAGNOSTIC_CODES,
+  MIRRORED_ORIENTATION,
+  pairOrientation,
+  diagnosePairs,
+  homographyFoldDiagnostic,
+};
+
+export default api;
@@ -0,0 +1,79 @@
+import { DIAGNOSTIC_CODES, diagnosePairs, homographyFoldDiagnostic, pairOrientation } from './diagnostics.js';
+
+const pair = (x, y, ex = x, ey = y) => ({ pixel: { x, y }, enu: { x: ex, y: ey } });
+const codes = (diagnostics) => diagnostics.map((diagnostic) => diagnostic.code);
+
+describe('pair diagnostics', () => {
+  const imageSize = { width: 1000, height: 800 };
+
+  test('well spread pairs produce no diagnostics', () => {
+    const pairs = [pair(50, 50), pair(950, 60), pair(900, 750), pair(80, 700)];
+    expect(diagnosePairs(pairs, { imageSize })).toEqual([]);
+  });
+
+  test('duplicate photo points and map locations name the offending pairs', () => {
+    const pairs = [pair(10, 10, 0, 0), pair(500, 400, 100, 100), pair(11, 10, 300, 300), pair(900, 700, 100.5, 100)];
+    const diagnostics = diagnosePairs(pairs);
+    const pixel = diagnostics.find((diagnostic) => diagnostic.code === DIAGNOSTIC_CODES.DUPLICATE_PIXEL);
+    expect(pixel.pairIndexes).toEqual([0, 2]);
+    expect(pixel.severity).toBe('error');
+    expect(pixel.message).toContain('Pairs 1 and 3');
+    const location = diagnostics.find((diagnostic) => diagnostic.code === DIAGNOSTIC_CODES.DUPLICATE_LOCATION);
+    expect(location.pairIndexes).toEqual([1, 3]);
+
+    const triple = diagnosePairs([pair(0, 0, 0, 0), pair(1, 0, 50, 0), pair(2, 0, 90, 0)]);
+    expect(triple[0].message).toContain('Pairs 1, 2 and 3');
+  });
+
+  test('collinear photo points are flagged', () => {
+    const pairs = [pair(0, 0), pair(300, 301), pair(600, 598), pair(900, 900)];
+    expect(codes(diagnosePairs(pairs))).toContain(DIAGNOSTIC_CODES.COLLINEAR);
+    expect(codes(diagnosePairs(pairs.slice(0, 2)))).not.toContain(DIAGNOSTIC_CODES.COLLINEAR);
+  });
+
+  test('clustered points suggest the empty parts of the photo', () => {
+    const pairs = [pair(800, 700), pair(900, 650), pair(850, 780)];
+    const clustered = diagnosePairs(pairs, { imageSize }).find((diagnostic) => diagnostic.code === DIAGNOSTIC_CODES.CLUSTERED);
+    expect(clustered.message).toContain('top-left, bottom-left and bottom-right');
+    expect(clustered.pairIndexes).toEqual([0, 1, 2]);
+    expect(codes(diagnosePairs(pairs))).not.toContain(DIAGNOSTIC_CODES.CLUSTERED);
+
+    const central = diagnosePairs([pair(490, 390), pair(510, 390), pair(490, 410), pair(510, 410)], { imageSize });
+    expect(central[0].message).toContain('Add points near the photo edges');
+    const threeQuadrants = diagnosePairs([pair(510, 390), pair(490, 410), pair(510, 410)], { imageSize });
+    expect(threeQuadrants[0].message).toContain('Add points in the bottom-left of the photo');
+  });
+
+  test('mirror-image pairs are flagged by their orientation', () => {
+    const pixels = [[50, 50], [950, 60], [900, 750], [80, 700]];
+    const turned = pixels.map(([x, y]) => pair(x, y, -2 * y, 2 * x));
+    const mirrored = pixels.map(([x, y]) => pair(x, y, -3 * x, 3 * y));
+    expect(pairOrientation(turned)).toBeCloseTo(1, 9);
+    expect(pairOrientation(mirrored)).toBeCloseTo(-1, 9);
+    expect(codes(diagnosePairs(turned, { imageSize }))).toEqual([]);
+    const [diagnostic] = diagnosePairs(mirrored, { imageSize });
+    expect(diagnostic).toMatchObject({ code: DIAGNOSTIC_CODES.MIRRORED, severity: 'warning', pairIndexes: [0, 1, 2, 3] });
+    expect(diagnostic.message).toContain('Flip photo');
+
+    expect(pairOrientation(mirrored.slice(0, 2))).toBeNull();
+    expect(pairOrientation([pair(0, 0), pair(1, 1), pair(2, 2)])).toBeNull();
+  });
+
+  test('homographyFoldDiagnostic reports pairs beyond the horizon', () => {
+    const folding = { type: 'homography', matrix: [[1, 0, 0], [0, 1, 0], [0.001, 0, -0.5]] };
+    const pairs = [pair(100, 100), pair(200, 300), pair(300, 500), pair(800, 400)];
+    const fold = homographyFoldDiagnostic(folding, pairs, imageSize);
+    expect(fold.code).toBe(DIAGNOSTIC_CODES.HOMOGRAPHY_FOLD);
+    expect(fold.pairIndexes).toEqual([3]);
+    expect(fold.message).toContain('Pair 4');
+
+    const beyond = homographyFoldDiagnostic(folding, pairs.slice(0, 3), imageSize);
+    expect(beyond.pairIndexes).toEqual([]);
+    expect(beyond.message).toContain('far edge');
+
+    const safe = { type: 'homography', matrix: [[1, 0, 0], [0, 1, 0], [0.0001, 0, 1]] };
+    expect(homographyFoldDiagnostic(safe, pairs, imageSize)).toBeNull();
+    expect(homographyFoldDiagnostic(folding, pairs)).toBeNull();
+    expect(homographyFoldDiagnostic({ type: 'affine' }, pairs, imageSize)).toBeNull();
+  });
+});
@@ -0,0 +1,245 @@
+// Color bands (meters) shared by the accuracy ring and the error heatmap; anything above is red.
+const ERROR_COLOR_BANDS = [
+  { maxMeters: 15, color: 'green' },
+  { maxMeters: 30, color: 'yellow' },
+  { maxMeters: 60, color: 'orange' },
+];
+
+export const MIN_HEATMAP_COLUMNS = 8;
+export const MAX_HEATMAP_COLUMNS = 64;
+export const HEATMAP_TIME_BUDGET_MS = 40;
+// Points this close to the hull (pixels) still count as inside; absorbs projection round-off.
+const HULL_TOLERANCE_PIXELS = 1e-6;
+// Error (meters) added per pair spacing of distance from the pairs. Exactly determined fits have
+// zero pair errors, so inflating those alone would leave the estimate at zero far from every pair.
+const DISTANCE_ERROR_METERS = 5;
+
+export function errorColor(meters) {
+  const band = ERROR_COLOR_BANDS.find((entry) => meters <= entry.maxMeters);
+  return band ? band.color : 'red';
+}
+
+function isUsableError(value) {
+  return value !== null && value !== undefined && Number.isFinite(value);
+}
+
+// Error observed at one pair: its leave-one-out error (never below its own residual) when the
+// calibration could be cross-validated, otherwise its residual, otherwise the global RMSE.
+function pairError(calibration, index) {
+  const loo = calibration.looErrors ? calibration.looErrors[index] : null;
+  const residual = calibration.residuals ? calibration.residuals[index] : null;
+  if (isUsableError(loo)) {
+    return isUsableError(residual) ? Math.max(loo, residual) : loo;
+  }
+  return isUsableError(residual) ? residual : calibration.quality.rmse;
+}
+
+function collectControlPoints(calibration, pairs) {
+  const inliers = calibration.inliers || [];
+  return pairs
+    .map((pair, index) => ({
+      pixel: pair.pixel,
+      inlier: Boolean(inliers[index]),
+      error: pairError(calibration, index),
+    }))
+    .filter((point) => point.inlier && Number.isFinite(point.error));
+}
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// Andrew's monotone chain; returns the hull counter-clockwise without repeating the first vertex.
+export function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) {
+    return sorted;
+  }
+  const buildChain = (list) => {
+    const chain = [];
+    list.forEach((point) => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+        chain.pop();
+      }
+      chain.push(point);
+    });
+    chain.pop();
+    return chain;
+  };
+  return buildChain(sorted).concat(buildChain(sorted.slice().reverse()));
+}
+
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared, 0), 1);
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+// Distance from `point` to the hull, 0 when inside. Degenerate hulls (1–2 vertices or collinear
+// points) have no inside, so any distance from them counts as extrapolation.
+export function distanceOutsideHull(hull, point) {
+  if (hull.length === 1) {
+    return Math.hypot(point.x - hull[0].x, point.y - hull[0].y);
+  }
+  let inside = hull.length >= 3;
+  let distance = Number.POSITIVE_INFINITY;
+  hull.forEach((vertex, index) => {
+    const next = hull[(index + 1) % hull.length];
+    if (cross(vertex, next, point) < 0) {
+      inside = false;
+    }
+    distance = Math.min(distance, distanceToSegment(point, vertex, next));
+  });
+  return inside ? 0 : distance;
+}
+
+function nearestNeighbourSpacing(points) {
+  if (points.length < 2) {
+    return 1;
+  }
+  const total = points.reduce((sum, point, index) => {
+    let nearest = Number.POSITIVE_INFINITY;
+    points.forEach((other, otherIndex) => {
+      if (otherIndex !== index) {
+        nearest = Math.min(nearest, Math.hypot(point.pixel.x - other.pixel.x, point.pixel.y - other.pixel.y));
+      }
+    });
+    return sum + nearest;
+  }, 0);
+  return Math.max(total / points.length, 1);
+}
+
+function pairsEstimator(points) {
+  const spacing = nearestNeighbourSpacing(points);
+  const smoothingSquared = (spacing / 2) ** 2;
+  const hull = convexHull(points.map((point) => point.pixel));
+
+  return (pixel) => {
+    let weightedSquares = 0;
+    let weightSum = 0;
+    let nearest = Number.POSITIVE_INFINITY;
+
+    points.forEach((point) => {
+      const distance = Math.hypot(pixel.x - point.pixel.x, pixel.y - point.pixel.y);
+      const weight = 1 / (distance * distance + smoothingSquared);
+      weightedSquares += weight * point.error * point.error;
+      weightSum += weight;
+      nearest = Math.min(nearest, distance);
+    });
+
+    const outside = distanceOutsideHull(hull, pixel);
+    const pairError = Math.sqrt(weightedSquares / weightSum) * (1 + nearest / spacing) * (1 + outside / spacing);
+    const rmse = pairError + (DISTANCE_ERROR_METERS * (nearest + outside)) / spacing;
+    return {
+      rmse,
+      nearestPairDistance: nearest,
+      extrapolated: outside > HULL_TOLERANCE_PIXELS,
+    };
+  };
+}
+
+// A hint-only fit (see calibrateMap's `hintError`) has one pair and no residuals. A scale error moves a
+// point along its bearing from the pair and a north error moves it across, both in proportion to the
+// distance, so they add in quadrature to the pair's own sigma.
+function hintEstimator(hintError) {
+  const metersPerPixelError = hintError.metersPerPixel * Math.hypot(hintError.scaleSigma, hintError.rotationSigma);
+  return (pixel) => {
+    const distance = Math.hypot(pixel.x - hintError.pixel.x, pixel.y - hintError.pixel.y);
+    return {
+      rmse: Math.hypot(hintError.pairSigmaMeters, metersPerPixelError * distance),
+      nearestPairDistance: distance,
+      extrapolated: distance > HULL_TOLERANCE_PIXELS,
+    };
+  };
+}
+
+/**
+ * Local projection-error estimator (ErrorMetrics in the spec). The error at a pixel is the
+ * inverse-distance weighted error of nearby pairs, inflated with the distance to the closest pair
+ * and, outside the convex hull of the pairs, with the extrapolation distance, both relative to the
+ * typical pair spacing. The same distances also add DISTANCE_ERROR_METERS per spacing, so the error
+ * grows away from the pairs even when they fit exactly. Hint-only fits use their `hintError` model.
+ */
+export function createErrorMetrics(calibration, pairs) {
+  if (!calibration || calibration.status !== 'ok' || !pairs) {
+    return null;
+  }
+
+  const points = collectControlPoints(calibration, pairs);
+  if (points.length === 0) {
+    return null;
+  }
+  const localEstimate = calibration.hintError ? hintEstimator(calibration.hintError) : pairsEstimator(points);
+
+  function localRMSE(pixel) {
+    return localEstimate(pixel).rmse;
+  }
+
+  function heatmap(samples) {
+    const values = new Float32Array(samples.length);
+    samples.forEach((sample, index) => {
+      values[index] = localRMSE(sample);
+    });
+    return values;
+  }
+
+  return { localEstimate, localRMSE, heatmap };
+}
+
+/**
+ * Cell-centre samples over a width × height image, row 0 at the top edge (largest y in the
+ * photo's CRS.Simple coordinates).
+ */
+export function heatmapGrid(width, height, columns) {
+  const safeColumns = Math.max(1, Math.round(columns));
+  const cellWidth = width / safeColumns;
+  const rows = Math.max(1, Math.round(height / cellWidth));
+  const cellHeight = height / rows;
+  const samples = [];
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < safeColumns; column += 1) {
+      samples.push({
+        x: (column + 0.5) * cellWidth,
+        y: height - (row + 0.5) * cellHeight,
+      });
+    }
+  }
+
+  return { columns: safeColumns, rows, cellWidth, cellHeight, samples };
+}
+
+export function initialHeatmapColumns(hardwareConcurrency) {
+  if (!hardwareConcurrency || hardwareConcurrency <= 2) {
+    return 16;
+  }
+  return hardwareConcurrency <= 4 ? 24 : 40;
+}
+
+// Thins the grid when the last render blew the time budget and densifies it when there is headroom.
+export function nextHeatmapColumns(columns, elapsedMs) {
+  if (elapsedMs > HEATMAP_TIME_BUDGET_MS) {
+    return Math.max(MIN_HEATMAP_COLUMNS, Math.floor(columns * 0.7));
+  }
+  if (elapsedMs < HEATMAP_TIME_BUDGET_MS / 4) {
+    return Math.min(MAX_HEATMAP_COLUMNS, Math.ceil(columns * 1.25));
+  }
+  return columns;
+}
+
+const api = {
+  MIN_HEATMAP_COLUMNS,
+  MAX_HEATMAP_COLUMNS,
+  HEATMAP_TIME_BUDGET_MS,
+  errorColor,
+  convexHull,
+  distanceOutsideHull,
+  createErrorMetrics,
+  heatmapGrid,
+  initialHeatmapColumns,
+  nextHeatmapColumns,
+};
+
+export default api;
@@ -0,0 +1,152 @@
+import {
+  MIN_HEATMAP_COLUMNS,
+  MAX_HEATMAP_COLUMNS,
+  HEATMAP_TIME_BUDGET_MS,
+  errorColor,
+  convexHull,
+  distanceOutsideHull,
+  createErrorMetrics,
+  heatmapGrid,
+  initialHeatmapColumns,
+  nextHeatmapColumns,
+} from './errorMetrics.js';
+
+describe('error metrics', () => {
+  const pairs = [
+    { pixel: { x: 0, y: 0 } },
+    { pixel: { x: 100, y: 0 } },
+    { pixel: { x: 0, y: 100 } },
+    { pixel: { x: 100, y: 100 } },
+    { pixel: { x: 500, y: 500 } },
+  ];
+
+  const calibration = {
+    status: 'ok',
+    quality: { rmse: 4 },
+    inliers: [true, true, true, true, false],
+    looErrors: [2, 3, 10, 2, 900],
+  };
+
+  test('errorColor follows the accuracy ring bands', () => {
+    expect(errorColor(15)).toBe('green');
+    expect(errorColor(15.1)).toBe('yellow');
+    expect(errorColor(30)).toBe('yellow');
+    expect(errorColor(45)).toBe('orange');
+    expect(errorColor(61)).toBe('red');
+  });
+
+  test('localRMSE is close to the nearest pair error and ignores outliers', () => {
+    const metrics = createErrorMetrics(calibration, pairs);
+    expect(metrics.localRMSE({ x: 0, y: 100 })).toBeGreaterThan(metrics.localRMSE({ x: 0, y: 0 }));
+    expect(metrics.localRMSE({ x: 0, y: 0 })).toBeLessThan(5);
+    const withTameOutlier = createErrorMetrics({ ...calibration, looErrors: [2, 3, 10, 2, 5] }, pairs);
+    expect(withTameOutlier.localRMSE({ x: 500, y: 500 })).toBeCloseTo(metrics.localRMSE({ x: 500, y: 500 }));
+  });
+
+  test('residuals raise the local error and replace missing cross-validation', () => {
+    const base = createErrorMetrics(calibration, pairs);
+    const withResiduals = createErrorMetrics({ ...calibration, residuals: [9, 0, 0, 0, 0] }, pairs);
+    expect(withResiduals.localRMSE({ x: 0, y: 0 })).toBeGreaterThan(base.localRMSE({ x: 0, y: 0 }));
+    const residualOnly = createErrorMetrics({ ...calibration, looErrors: undefined, residuals: [6, 6, 6, 6, 6] }, pairs);
+    expect(residualOnly.localRMSE({ x: 0, y: 0 })).toBeCloseTo(6);
+  });
+
+  test('localEstimate flags and penalises extrapolation outside the pair hull', () => {
+    const metrics = createErrorMetrics(calibration, pairs);
+    const inside = metrics.localEstimate({ x: 50, y: 50 });
+    expect(inside.extrapolated).toBe(false);
+    expect(inside.nearestPairDistance).toBeCloseTo(Math.hypot(50, 50));
+    const outside = metrics.localEstimate({ x: 50, y: -50 });
+    expect(outside.extrapolated).toBe(true);
+    expect(outside.rmse).toBeGreaterThan(inside.rmse);
+  });
+
+  test('convexHull and distanceOutsideHull handle regular and degenerate sets', () => {
+    const square = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 5, y: 5 },
+      { x: 10, y: 10 },
+      { x: 0, y: 10 },
+    ];
+    const hull = convexHull(square);
+    expect(hull).toHaveLength(4);
+    expect(distanceOutsideHull(hull, { x: 5, y: 5 })).toBe(0);
+    expect(distanceOutsideHull(hull, { x: 15, y: 5 })).toBeCloseTo(5);
+    expect(convexHull([{ x: 1, y: 1 }])).toEqual([{ x: 1, y: 1 }]);
+    expect(distanceOutsideHull([{ x: 1, y: 1 }], { x: 4, y: 5 })).toBeCloseTo(5);
+    const segment = convexHull([{ x: 0, y: 0 }, { x: 10, y: 0 }]);
+    expect(distanceOutsideHull(segment, { x: 5, y: 0 })).toBe(0);
+    expect(distanceOutsideHull(segment, { x: 5, y: 3 })).toBeCloseTo(3);
+    expect(distanceOutsideHull([{ x: 2, y: 2 }, { x: 2, y: 2 }], { x: 2, y: 6 })).toBeCloseTo(4);
+  });
+
+  test('localRMSE grows with distance from the pairs', () => {
+    const metrics = createErrorMetrics(calibration, pairs);
+    const inside = metrics.localRMSE({ x: 50, y: 50 });
+    const near = metrics.localRMSE({ x: 250, y: 250 });
+    const far = metrics.localRMSE({ x: 1000, y: 1000 });
+    expect(near).toBeGreaterThan(inside);
+    expect(far).toBeGreaterThan(near);
+  });
+
+  test('exactly determined fits still grow their error away from the pairs', () => {
+    const exact = { status: 'ok', quality: { rmse: 0 }, inliers: [true, true, true], residuals: [0, 0, 0], looErrors: [null, null, null] };
+    const metrics = createErrorMetrics(exact, pairs.slice(0, 3));
+    expect(metrics.localRMSE({ x: 0, y: 0 })).toBe(0);
+    const inside = metrics.localRMSE({ x: 30, y: 30 });
+    const outside = metrics.localEstimate({ x: 300, y: 300 });
+    const far = metrics.localEstimate({ x: 5000, y: 5000 });
+    expect(inside).toBeGreaterThan(0);
+    expect(outside.extrapolated).toBe(true);
+    expect(outside.rmse).toBeGreaterThan(inside);
+    expect(far.rmse).toBeGreaterThan(outside.rmse);
+  });
+
+  test('falls back to the global RMSE when pairs were not cross-validated', () => {
+    const metrics = createErrorMetrics({ ...calibration, looErrors: undefined, inliers: undefined }, pairs.slice(0, 2));
+    expect(metrics).toBeNull();
+    const fallback = createErrorMetrics(
+      { status: 'ok', quality: { rmse: 4 }, inliers: [true, true], looErrors: [null, Number.POSITIVE_INFINITY] },
+      pairs.slice(0, 2),
+    );
+    expect(fallback.localRMSE({ x: 0, y: 0 })).toBeCloseTo(4);
+    const single = createErrorMetrics({ status: 'ok', quality: { rmse: 4 }, inliers: [true], looErrors: [3] }, pairs.slice(0, 1));
+    expect(single.localRMSE({ x: 0, y: 0 })).toBeCloseTo(3);
+  });
+
+  test('heatmap evaluates every sample', () => {
+    const metrics = createErrorMetrics(calibration, pairs);
+    const samples = [{ x: 0, y: 0 }, { x: 50, y: 50 }];
+    const values = metrics.heatmap(samples);
+    expect(values).toBeInstanceOf(Float32Array);
+    expect(values[1]).toBeCloseTo(metrics.localRMSE(samples[1]), 4);
+  });
+
+  test('createErrorMetrics rejects invalid calibrations', () => {
+    expect(createErrorMetrics(null, pairs)).toBeNull();
+    expect(createErrorMetrics({ status: 'fit-failed' }, pairs)).toBeNull();
+    expect(createErrorMetrics(calibration, null)).toBeNull();
+  });
+
+  test('heatmapGrid covers the image with square-ish cells from the top row down', () => {
+    const grid = heatmapGrid(400, 200, 8);
+    expect(grid.columns).toBe(8);
+    expect(grid.rows).toBe(4);
+    expect(grid.samples).toHaveLength(32);
+    expect(grid.samples[0]).toEqual({ x: 25, y: 175 });
+    expect(grid.samples[31]).toEqual({ x: 375, y: 25 });
+    expect(heatmapGrid(10, 1, 0).rows).toBe(1);
+  });
+
+  test('heatmap resolution adapts to device and render time', () => {
+    expect(initialHeatmapColumns(undefined)).toBe(16);
+    expect(initialHeatmapColumns(4)).toBe(24);
+    expect(initialHeatmapColumns(8)).toBe(40);
+    expect(nextHeatmapColumns(40, HEATMAP_TIME_BUDGET_MS * 2)).toBe(28);
+    expect(nextHeatmapColumns(MIN_HEATMAP_COLUMNS, HEATMAP_TIME_BUDGET_MS * 2)).toBe(MIN_HEATMAP_COLUMNS);
+    expect(nextHeatmapColumns(40, 1)).toBe(50);
+    expect(nextHeatmapColumns(MAX_HEATMAP_COLUMNS, 1)).toBe(MAX_HEATMAP_COLUMNS);
+    expect(nextHeatmapColumns(40, HEATMAP_TIME_BUDGET_MS / 2)).toBe(40);
+  });
+});
@@ -0,0 +1,24 @@
+// Seed used when calibrateMap is not given one, so identical pairs always calibrate identically.
+export const DEFAULT_SEED = 0x5eed;
+
+/**
+ * Mulberry32: a small 32-bit PRNG returning floats in [0, 1), drop-in for Math.random. The same
+ * seed always yields the same sequence, which makes RANSAC sampling reproducible.
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const api = {
+  DEFAULT_SEED,
+  createSeededRandom,
+};
+
+export default api;
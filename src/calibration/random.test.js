@@ -0,0 +1,20 @@
+import { DEFAULT_SEED, createSeededRandom } from './random.js';
+
+describe('seeded random', () => {
+  test('the same seed replays the same sequence', () => {
+    const first = createSeededRandom(42);
+    const second = createSeededRandom(42);
+    const values = Array.from({ length: 20 }, () => first());
+    expect(Array.from({ length: 20 }, () => second())).toEqual(values);
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('different seeds give different sequences', () => {
+    const a = createSeededRandom(DEFAULT_SEED);
+    const b = createSeededRandom(DEFAULT_SEED + 1);
+    expect(a()).not.toBe(b());
+  });
+});
@@ -0,0 +1,289 @@
+import { MODEL_KINDS, ROBUST_LOSS_NAMES } from './calibrator.js';
+import { ENU_METHODS } from '../geo/coordinate.js';
+import { polynomialTermCount } from '../geo/transformations.js';
+import { MIN_TPS_POINTS } from '../geo/tps.js';
+
+export const CALIBRATION_SCHEMA = 'snap2map.calibration';
+export const CALIBRATION_SCHEMA_VERSION = 2;
+
+// JSON has no Infinity, NaN or -0 (e.g. an unbounded leave-one-out error); they are written as
+// `{ "$number": "Infinity" }` so that no string, whatever its key, is ever read back as a number.
+const SPECIAL_NUMBERS = new Set(['Infinity', '-Infinity', 'NaN', '-0']);
+const NUMBER_TAG = '$number';
+
+function writeNumber(key, value) {
+  if (typeof value !== 'number' || (Number.isFinite(value) && !Object.is(value, -0))) {
+    return value;
+  }
+  return { [NUMBER_TAG]: Object.is(value, -0) ? '-0' : String(value) };
+}
+
+function isNumberTag(value) {
+  return Boolean(value) && typeof value === 'object' && Object.keys(value).length === 1 && SPECIAL_NUMBERS.has(value[NUMBER_TAG]);
+}
+
+function readNumber(key, value) {
+  return isNumberTag(value) ? Number(value[NUMBER_TAG]) : value;
+}
+
+// Version 1 wrote special numbers as bare strings; only the error fields could hold them.
+const readLegacyNumber = (value) => (SPECIAL_NUMBERS.has(value) ? Number(value) : value);
+const readLegacyNumbers = (values) => (Array.isArray(values) ? values.map(readLegacyNumber) : values);
+
+function readLegacyFields(record) {
+  return record ? Object.fromEntries(Object.entries(record).map(([key, value]) => [key, readLegacyNumber(value)])) : record;
+}
+
+/**
+ * Upgrades a document from each older schema version to the next. Version 0 is a bare calibration
+ * result saved with JSON.stringify before the schema existed; fits then predated ellipsoidal ENU
+ * frames and did not always record their seed. Version 1 documents predate recorded fit `options`
+ * (null once migrated) and tagged special numbers.
+ */
+export const CALIBRATION_MIGRATIONS = {
+  0: (calibration) => ({
+    schema: CALIBRATION_SCHEMA,
+    version: 1,
+    calibration: { enuMethod: ENU_METHODS.SPHERICAL, seed: null, ...calibration },
+  }),
+  1: ({ calibration = {} }) => ({
+    schema: CALIBRATION_SCHEMA,
+    version: 2,
+    calibration: {
+      options: null,
+      ...calibration,
+      residuals: readLegacyNumbers(calibration.residuals),
+      looErrors: readLegacyNumbers(calibration.looErrors),
+      quality: readLegacyFields(calibration.quality),
+      tps: readLegacyFields(calibration.tps),
+    },
+  }),
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (value) => Boolean(value) && isFiniteNumber(value.x) && isFiniteNumber(value.y);
+const isArrayOf = (value, length, isItem) => Array.isArray(value) && value.length === length && value.every(isItem);
+const isMatrix = (value, rows, columns) => isArrayOf(value, rows, (row) => isArrayOf(row, columns, isFiniteNumber));
+const isNormalization = (value) => Boolean(value) && isFiniteNumber(value.cx) && isFiniteNumber(value.cy) && value.scale > 0;
+
+// Parameter covariance (see parameterJacobian); exactly determined fits carry none.
+const hasCovariance = (model, parameters) =>
+  model.covariance === undefined || model.covariance === null || isMatrix(model.covariance, parameters, parameters);
+
+function isPolynomial(model) {
+  const terms = [2, 3].includes(model.order) ? polynomialTermCount(model.order) : 0;
+  const coefficients = model.coefficients || {};
+  return (
+    terms > 0 &&
+    hasCovariance(model, 2 * terms) &&
+    isNormalization(model.normalization) &&
+    isArrayOf(coefficients.x, terms, isFiniteNumber) &&
+    isArrayOf(coefficients.y, terms, isFiniteNumber)
+  );
+}
+
+function isTriangleList(triangles, vertexCount) {
+  const isVertex = (index) => Number.isInteger(index) && index >= 0 && index < vertexCount;
+  return Array.isArray(triangles) && triangles.length > 0 && triangles.every((triangle) => isArrayOf(triangle, 3, isVertex));
+}
+
+function isPiecewise(model) {
+  const count = Array.isArray(model.vertices) ? model.vertices.length : 0;
+  return (
+    isModelOfType(model.base, 'affine') &&
+    isArrayOf(model.vertices, count, isPoint) &&
+    isArrayOf(model.targets, count, isPoint) &&
+    isTriangleList(model.triangles, count)
+  );
+}
+
+function isSpline(spline) {
+  if (!spline || !Array.isArray(spline.centers) || spline.centers.length < MIN_TPS_POINTS) {
+    return false;
+  }
+  const affine = spline.affine || {};
+  return (
+    isNormalization(spline.normalization) &&
+    isArrayOf(spline.centers, spline.centers.length, isPoint) &&
+    isArrayOf(spline.weights, spline.centers.length, isPoint) &&
+    isArrayOf(affine.x, 3, isFiniteNumber) &&
+    isArrayOf(affine.y, 3, isFiniteNumber)
+  );
+}
+
+// The spline warps a base model of any other type.
+function isThinPlateSpline(model) {
+  return Boolean(model.base) && model.base.type !== 'tps' && isValidModel(model.base) && isSpline(model.spline) && isFiniteNumber(model.lambda);
+}
+
+const MODEL_VALIDATORS = {
+  similarity: (model) =>
+    ['scale', 'rotation', 'cos', 'sin'].every((key) => isFiniteNumber(model[key])) &&
+    isPoint(model.translation) &&
+    [undefined, true, false].includes(model.reflected) &&
+    hasCovariance(model, 4),
+  affine: (model) => isMatrix(model.matrix, 2, 3) && hasCovariance(model, 6),
+  homography: (model) => isMatrix(model.matrix, 3, 3) && hasCovariance(model, 8),
+  polynomial: isPolynomial,
+  piecewise: isPiecewise,
+  tps: isThinPlateSpline,
+};
+
+function isValidModel(model) {
+  return Boolean(model) && Object.hasOwn(MODEL_VALIDATORS, model.type) && MODEL_VALIDATORS[model.type](model);
+}
+
+// Calibration kinds are stored as model types; both polynomial orders share one.
+function modelType(kind) {
+  return kind.startsWith('polynomial') ? 'polynomial' : kind;
+}
+
+function isModelOfType(model, type) {
+  return isValidModel(model) && model.type === type;
+}
+
+function modelMatchesKind({ kind, baseKind, model }) {
+  if (kind === 'tps') {
+    return MODEL_KINDS.includes(baseKind) && isModelOfType(model, 'tps') && model.base.type === modelType(baseKind);
+  }
+  return MODEL_KINDS.includes(kind) && isModelOfType(model, modelType(kind));
+}
+
+const isLocation = (value) =>
+  Boolean(value) && isFiniteNumber(value.lat) && isFiniteNumber(value.lon) && Math.abs(value.lat) <= 90 && Math.abs(value.lon) <= 180;
+const isSeed = (value) => value === null || (Number.isInteger(value) && value >= 0 && value <= 0xffffffff);
+const isRegularization = (value) => value === 'auto' || (isFiniteNumber(value) && value >= 0 && value <= 100);
+const isPositive = (value) => isFiniteNumber(value) && value > 0;
+const isNonNegative = (value) => isFiniteNumber(value) && value >= 0;
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isNullOr = (check) => (value, calibration) => value === null || check(value, calibration);
+
+// Fit options a calibration records (see calibrateMap), each with its check.
+const OPTION_CHECKS = {
+  iterations: isCount,
+  inlierThresholdMeters: isPositive,
+  confidence: (value) => isFiniteNumber(value) && value > 0 && value < 1,
+  robustLoss: (value) => ROBUST_LOSS_NAMES.includes(value),
+  huberDelta: isPositive,
+  irlsIterations: isCount,
+  irlsToleranceMeters: isPositive,
+  // Infinity turns the conditioning check off.
+  maxConditionNumber: (value) => typeof value === 'number' && value > 0,
+  noiseFloorMeters: isNonNegative,
+  modelKind: isNullOr((value) => MODEL_KINDS.includes(value)),
+  // The frame options must agree with the frame the calibration was fitted in.
+  enuMethod: (value, calibration) => value === calibration.enuMethod,
+  origin: isNullOr((value, calibration) => isLocation(value) && value.lat === calibration.origin.lat && value.lon === calibration.origin.lon),
+  mirrored: (value) => typeof value === 'boolean',
+  scaleHint: isNullOr(isPositive),
+  northHint: isNullOr(isFiniteNumber),
+  scaleHintSigma: isNonNegative,
+  northHintSigma: isNonNegative,
+};
+
+// Documents migrated from version 1 have null options; otherwise every recorded option must be valid.
+const optionChecks = Object.entries(OPTION_CHECKS).map(([key, check]) => [
+  `options.${key}`,
+  (calibration) => calibration.options === null || check(calibration.options[key], calibration),
+]);
+
+const isHintError = (value) =>
+  Boolean(value) &&
+  isPoint(value.pixel) &&
+  [value.pairSigmaMeters, value.scaleSigma, value.rotationSigma].every(isNonNegative) &&
+  isPositive(value.metersPerPixel);
+
+// [field, check] pairs; the first failing field names the problem.
+const CALIBRATION_CHECKS = [
+  ['status', (calibration) => calibration.status === 'ok'],
+  ['origin', (calibration) => isLocation(calibration.origin)],
+  ['enuMethod', (calibration) => Object.values(ENU_METHODS).includes(calibration.enuMethod)],
+  ['model', modelMatchesKind],
+  ['seed', (calibration) => isSeed(calibration.seed)],
+  ['options', ({ options }) => options === null || (typeof options === 'object' && !Array.isArray(options))],
+  ...optionChecks,
+  ['hintError', ({ hintError }) => hintError === undefined || hintError === null || isHintError(hintError)],
+  ['robust.loss', ({ robust }) => !robust || ROBUST_LOSS_NAMES.includes(robust.loss)],
+  ['modelSelection.pinnedKind', ({ modelSelection }) => !modelSelection || modelSelection.pinnedKind === null || MODEL_KINDS.includes(modelSelection.pinnedKind)],
+  ['tps.regularization', ({ kind, tps }) => kind !== 'tps' || (Boolean(tps) && isRegularization(tps.regularization))],
+  ['residuals', ({ residuals, inliers }) => Array.isArray(residuals) && isArrayOf(inliers, residuals.length, (value) => typeof value === 'boolean')],
+];
+
+function assertValidCalibration(calibration) {
+  if (!calibration || typeof calibration !== 'object') {
+    throw new Error('Invalid calibration: not an object.');
+  }
+  const failed = CALIBRATION_CHECKS.find(([, check]) => !check(calibration));
+  if (failed) {
+    throw new Error(`Invalid calibration: bad ${failed[0]}.`);
+  }
+}
+
+/**
+ * JSON text of a successful calibration (from calibrateMap or refineCalibrationWithTps) wrapped in a
+ * `{ schema, version, calibration }` envelope. Throws when the calibration failed or is malformed.
+ */
+export function serializeCalibration(calibration) {
+  assertValidCalibration(calibration);
+  return JSON.stringify({ schema: CALIBRATION_SCHEMA, version: CALIBRATION_SCHEMA_VERSION, calibration }, writeNumber);
+}
+
+function parseDocument(json) {
+  let envelope;
+  try {
+    envelope = JSON.parse(json, readNumber);
+  } catch {
+    throw new Error('Calibration is not valid JSON.');
+  }
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    throw new Error('Calibration is not a JSON object.');
+  }
+  return envelope;
+}
+
+function schemaVersion(envelope) {
+  if (envelope.schema === undefined && envelope.status !== undefined) {
+    return 0;
+  }
+  if (envelope.schema !== CALIBRATION_SCHEMA || !Number.isInteger(envelope.version) || envelope.version < 1) {
+    throw new Error('Not a Snap2Map calibration.');
+  }
+  return envelope.version;
+}
+
+/**
+ * Reads text written by serializeCalibration, or by an older version of it, back into a calibration
+ * that projects exactly like the saved one. Older documents are upgraded one version at a time
+ * through `migrations` (version → function returning the next version's document); documents from a
+ * newer schema, unreadable text and calibrations failing validation throw.
+ */
+export function deserializeCalibration(json, { migrations = CALIBRATION_MIGRATIONS } = {}) {
+  let envelope = parseDocument(json);
+  let version = schemaVersion(envelope);
+  if (version > CALIBRATION_SCHEMA_VERSION) {
+    throw new Error(`Calibration schema version ${version} is newer than this app supports (${CALIBRATION_SCHEMA_VERSION}).`);
+  }
+  while (version < CALIBRATION_SCHEMA_VERSION) {
+    if (!Object.hasOwn(migrations, version)) {
+      throw new Error(`No migration from calibration schema version ${version}.`);
+    }
+    envelope = migrations[version](envelope);
+    const next = schemaVersion(envelope);
+    if (next <= version) {
+      throw new Error(`Migration from calibration schema version ${version} did not upgrade it.`);
+    }
+    version = next;
+  }
+  assertValidCalibration(envelope.calibration);
+  return envelope.calibration;
+}
+
+const api = {
+  CALIBRATION_SCHEMA,
+  CALIBRATION_SCHEMA_VERSION,
+  CALIBRATION_MIGRATIONS,
+  serializeCalibration,
+  deserializeCalibration,
+};
+
+export default api;
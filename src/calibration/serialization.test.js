@@ -0,0 +1,185 @@
+import {
+  CALIBRATION_SCHEMA,
+  CALIBRATION_SCHEMA_VERSION,
+  CALIBRATION_MIGRATIONS,
+  serializeCalibration,
+  deserializeCalibration,
+} from './serialization.js';
+import { calibrateMap, refineCalibrationWithTps, projectLocationToPixel, projectPixelToLocation } from './calibrator.js';
+
+describe('serialization', () => {
+  const origin = { lat: 46.948, lon: 7.4474 };
+  const pixels = [[0, 0], [400, 0], [0, 300], [400, 300], [200, 150], [100, 250], [300, 60], [350, 200], [60, 120], [250, 280]];
+  // Gently curved photo so every model kind fits with non-zero residuals.
+  const pairs = pixels.map(([x, y], i) => ({
+    pixel: { x, y },
+    enu: { x: 2 * x + 0.4 * y + 0.0008 * x * y + (i % 3), y: -0.3 * x + 1.8 * y + 0.0005 * x * x - (i % 2) },
+  }));
+  const fit = (modelKind, options = {}) => calibrateMap(pairs, { origin, modelKind, ...options });
+  const probes = [{ x: 10, y: 20 }, { x: 210, y: 140 }, { x: 520, y: -80 }];
+
+  const expectSameProjections = (loaded, saved) => {
+    probes.forEach((pixel) => {
+      const location = projectPixelToLocation(saved, pixel);
+      expect(projectPixelToLocation(loaded, pixel)).toEqual(location);
+      expect(projectLocationToPixel(loaded, location)).toEqual(projectLocationToPixel(saved, location));
+    });
+  };
+
+  test.each(['similarity', 'affine', 'homography', 'polynomial2', 'polynomial3', 'piecewise'])(
+    'round-trips a %s calibration exactly',
+    (kind) => {
+      const saved = fit(kind);
+      expect(saved.kind).toBe(kind);
+      const loaded = deserializeCalibration(serializeCalibration(saved));
+      expect(loaded).toEqual(saved);
+      expectSameProjections(loaded, saved);
+    },
+  );
+
+  test('round-trips TPS refinements, ellipsoidal frames and custom seeds', () => {
+    const base = fit('affine', { enuMethod: 'ellipsoidal', seed: 0xffffffff, robustLoss: 'cauchy' });
+    const saved = refineCalibrationWithTps(base, pairs, { regularization: 'auto' });
+    const loaded = deserializeCalibration(serializeCalibration(saved));
+    expect(loaded).toEqual(saved);
+    expect(loaded).toMatchObject({ kind: 'tps', enuMethod: 'ellipsoidal', seed: 0xffffffff, robust: { loss: 'cauchy' } });
+    expectSameProjections(loaded, saved);
+  });
+
+  test('round-trips similarities fitted to a mirrored photo', () => {
+    const mirroredPairs = pairs.map((pair) => ({ ...pair, pixel: { x: pair.pixel.x, y: -pair.pixel.y } }));
+    const saved = calibrateMap(mirroredPairs, { origin, modelKind: 'similarity' });
+    expect(saved.model.reflected).toBe(true);
+    const loaded = deserializeCalibration(serializeCalibration(saved));
+    expect(loaded).toEqual(saved);
+    expect(() => serializeCalibration({ ...saved, model: { ...saved.model, reflected: 'yes' } })).toThrow('Invalid calibration: bad model.');
+  });
+
+  test('writes a versioned envelope and keeps numbers JSON cannot hold', () => {
+    const saved = { ...fit('similarity'), looErrors: pairs.map((pair, i) => [Infinity, -Infinity, NaN, -0][i % 4]) };
+    const text = serializeCalibration(saved);
+    expect(JSON.parse(text)).toMatchObject({ schema: CALIBRATION_SCHEMA, version: CALIBRATION_SCHEMA_VERSION });
+    expect(JSON.parse(text).calibration.looErrors[0]).toEqual({ $number: 'Infinity' });
+    expect(deserializeCalibration(text).looErrors).toEqual(saved.looErrors);
+  });
+
+  test('reads special numbers only from their tagged form', () => {
+    const saved = fit('similarity');
+    const text = serializeCalibration({ ...saved, statusMessage: { ...saved.statusMessage, message: 'NaN' } });
+    expect(deserializeCalibration(text).statusMessage.message).toBe('NaN');
+    const envelope = JSON.parse(text);
+    envelope.calibration.model.scale = { $number: 'Infinity', note: 'extra key' };
+    expect(() => deserializeCalibration(JSON.stringify(envelope))).toThrow('Invalid calibration: bad model.');
+  });
+
+  test('refuses to save failed or malformed calibrations', () => {
+    expect(() => serializeCalibration(calibrateMap(pairs.slice(0, 1)))).toThrow('Invalid calibration: bad status.');
+    expect(() => serializeCalibration(null)).toThrow('Invalid calibration: not an object.');
+    const saved = fit('homography');
+    const broken = { ...saved, model: { ...saved.model, matrix: saved.model.matrix.slice(0, 2) } };
+    expect(() => serializeCalibration(broken)).toThrow('Invalid calibration: bad model.');
+  });
+
+  test('rejects tampered documents with the failing field', () => {
+    const text = serializeCalibration(fit('affine'));
+    const tamper = (change) => {
+      const envelope = JSON.parse(text);
+      change(envelope.calibration);
+      return JSON.stringify(envelope);
+    };
+    const cases = [
+      [(calibration) => { calibration.model.matrix[1][2] = 'NaN'; }, 'model'],
+      [(calibration) => { calibration.model.type = 'homography'; }, 'model'],
+      [(calibration) => { calibration.model.type = 'constructor'; }, 'model'],
+      [(calibration) => { calibration.kind = 'polynomial4'; }, 'model'],
+      [(calibration) => { calibration.origin.lat = 95; }, 'origin'],
+      [(calibration) => { calibration.enuMethod = 'flat'; }, 'enuMethod'],
+      [(calibration) => { calibration.seed = -1; }, 'seed'],
+      [(calibration) => { calibration.seed = 2 ** 32; }, 'seed'],
+      [(calibration) => { delete calibration.seed; }, 'seed'],
+      [(calibration) => { calibration.robust.loss = 'l1'; }, 'robust.loss'],
+      [(calibration) => { calibration.modelSelection.pinnedKind = 'spline'; }, 'modelSelection.pinnedKind'],
+      [(calibration) => { calibration.model.covariance = [[1, 2], [3, 4]]; }, 'model'],
+      [(calibration) => { delete calibration.options; }, 'options'],
+      [(calibration) => { calibration.options = []; }, 'options'],
+      [(calibration) => { calibration.options.inlierThresholdMeters = -40; }, 'options.inlierThresholdMeters'],
+      [(calibration) => { calibration.options.confidence = 1; }, 'options.confidence'],
+      [(calibration) => { calibration.options.iterations = 1.5; }, 'options.iterations'],
+      [(calibration) => { calibration.options.robustLoss = 'l1'; }, 'options.robustLoss'],
+      [(calibration) => { calibration.options.enuMethod = 'ellipsoidal'; }, 'options.enuMethod'],
+      [(calibration) => { calibration.options.origin = { lat: 0, lon: 0 }; }, 'options.origin'],
+      [(calibration) => { calibration.options.mirrored = null; }, 'options.mirrored'],
+      [(calibration) => { calibration.options.scaleHint = 0; }, 'options.scaleHint'],
+      [(calibration) => { calibration.hintError = { pixel: { x: 0, y: 0 } }; }, 'hintError'],
+      [(calibration) => { calibration.inliers.pop(); }, 'residuals'],
+    ];
+    cases.forEach(([change, field]) => {
+      expect(() => deserializeCalibration(tamper(change))).toThrow(`Invalid calibration: bad ${field}.`);
+    });
+  });
+
+  test('validates every model kind in depth', () => {
+    const tps = refineCalibrationWithTps(fit('similarity'), pairs, { regularization: 40 });
+    const piecewise = fit('piecewise');
+    const polynomial = fit('polynomial2');
+    const broken = [
+      { ...tps, tps: { ...tps.tps, regularization: 140 } },
+      { ...tps, baseKind: 'affine' },
+      { ...tps, model: { ...tps.model, spline: { ...tps.model.spline, weights: [] } } },
+      { ...tps, model: { ...tps.model, spline: { ...tps.model.spline, centers: tps.model.spline.centers.slice(0, 2) } } },
+      { ...tps, model: { ...tps.model, base: tps.model } },
+      { ...piecewise, model: { ...piecewise.model, triangles: [[0, 1, pixels.length]] } },
+      { ...piecewise, model: { ...piecewise.model, targets: piecewise.model.targets.slice(1) } },
+      { ...polynomial, model: { ...polynomial.model, order: 4 } },
+      { ...polynomial, model: { ...polynomial.model, normalization: { cx: 0, cy: 0, scale: 0 } } },
+    ];
+    broken.forEach((calibration) => expect(() => serializeCalibration(calibration)).toThrow(/^Invalid calibration: bad/));
+  });
+
+  test('rejects text that is not a calibration document', () => {
+    expect(() => deserializeCalibration('{')).toThrow('Calibration is not valid JSON.');
+    expect(() => deserializeCalibration('[1]')).toThrow('Calibration is not a JSON object.');
+    expect(() => deserializeCalibration('{"schema":"other","version":1}')).toThrow('Not a Snap2Map calibration.');
+    expect(() => deserializeCalibration(`{"schema":"${CALIBRATION_SCHEMA}","version":0}`)).toThrow('Not a Snap2Map calibration.');
+    expect(() => deserializeCalibration(`{"schema":"${CALIBRATION_SCHEMA}","version":3,"calibration":{}}`)).toThrow(
+      'Calibration schema version 3 is newer than this app supports (2).',
+    );
+  });
+
+  test('migrates bare calibrations saved before the schema', () => {
+    const { enuMethod, seed, options, ...legacy } = fit('similarity');
+    expect(enuMethod).toBe('spherical');
+    expect(seed).not.toBeNull();
+    expect(options).not.toBeNull();
+    const loaded = deserializeCalibration(JSON.stringify(legacy));
+    expect(loaded).toMatchObject({ enuMethod: 'spherical', seed: null, options: null, kind: 'similarity' });
+    expectSameProjections(loaded, { ...legacy, enuMethod });
+  });
+
+  test('migrates version 1 documents with bare special-number strings', () => {
+    const { options, ...saved } = fit('similarity');
+    expect(options).toMatchObject({ origin, enuMethod: 'spherical', mirrored: false, inlierThresholdMeters: 40 });
+    const looErrors = saved.looErrors.map((error, i) => (i === 0 ? 'Infinity' : error));
+    const text = JSON.stringify({ schema: CALIBRATION_SCHEMA, version: 1, calibration: { ...saved, looErrors } });
+    const loaded = deserializeCalibration(text);
+    expect(loaded.options).toBeNull();
+    expect(loaded.looErrors).toEqual([Infinity, ...saved.looErrors.slice(1)]);
+    expect(() => deserializeCalibration(JSON.stringify({ schema: CALIBRATION_SCHEMA, version: 1 }))).toThrow(
+      'Invalid calibration: bad status.',
+    );
+  });
+
+  test('runs migration hooks in order and stops on missing or stalled ones', () => {
+    const legacy = JSON.stringify(fit('similarity'));
+    const migrations = {
+      ...CALIBRATION_MIGRATIONS,
+      0: jest.fn((calibration) => ({ schema: CALIBRATION_SCHEMA, version: 1, calibration: { ...calibration, note: 'migrated' } })),
+    };
+    expect(deserializeCalibration(legacy, { migrations }).note).toBe('migrated');
+    expect(migrations[0]).toHaveBeenCalledTimes(1);
+    expect(() => deserializeCalibration(legacy, { migrations: {} })).toThrow('No migration from calibration schema version 0.');
+    expect(() => deserializeCalibration(legacy, { migrations: { 0: (calibration) => calibration } })).toThrow(
+      'Migration from calibration schema version 0 did not upgrade it.',
+    );
+  });
+});
@@ -1,4 +1,19 @@
 export const EARTH_RADIUS_METERS = 6378137;
+// WGS84 ellipsoid: the semi-major axis is the sphere radius above; flattening and eccentricity².
+export const WGS84_FLATTENING = 1 / 298.257223563;
+export const WGS84_ELLIPSOID = { a: EARTH_RADIUS_METERS, f: WGS84_FLATTENING };
+
+// 'spherical' is the equirectangular approximation around the origin, fine for a few kilometres;
+// 'ellipsoidal' goes through ECEF and holds for regional maps and high latitudes.
+export const ENU_METHODS = {
+  SPHERICAL: 'spherical',
+  ELLIPSOIDAL: 'ellipsoidal',
+};
+
+const GEODETIC_MAX_ITERATIONS = 10;
+const GEODETIC_TOLERANCE_RADIANS = 1e-14;
+// Tangent-plane points are dropped onto the ellipsoid along the origin's up axis in a few steps.
+const SURFACE_ITERATIONS = 4;
 
 export function degToRad(degrees) {
   return (degrees * Math.PI) / 180;
@@ -8,6 +23,11 @@ export function radToDeg(radians) {
   return (radians * 180) / Math.PI;
 }
 
+// Longitude in [-180, 180).
+export function wrapLongitude(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
 export function computeOrigin(pairs) {
   if (!pairs || pairs.length === 0) {
     throw new Error('At least one coordinate is required to compute an origin');
@@ -27,11 +47,7 @@ export function computeOrigin(pairs) {
   };
 }
 
-export function wgs84ToEnu(position, origin) {
-  if (!origin) {
-    throw new Error('Origin is required to convert to ENU');
-  }
-
+function sphericalToEnu(position, origin) {
   const latRad = degToRad(position.lat);
   const lonRad = degToRad(position.lon);
   const originLatRad = degToRad(origin.lat);
@@ -45,11 +61,7 @@ export function wgs84ToEnu(position, origin) {
   return { x: east, y: north };
 }
 
-export function enuToWgs84(vector, origin) {
-  if (!origin) {
-    throw new Error('Origin is required to convert from ENU');
-  }
-
+function sphericalToWgs84(vector, origin) {
   const originLatRad = degToRad(origin.lat);
   const lat = origin.lat + radToDeg(vector.y / EARTH_RADIUS_METERS);
   const lon = origin.lon + radToDeg(vector.x / (EARTH_RADIUS_METERS * Math.cos(originLatRad)));
@@ -57,13 +69,124 @@ export function enuToWgs84(vector, origin) {
   return { lat, lon };
 }
 
+function eccentricitySquared(ellipsoid) {
+  return ellipsoid.f * (2 - ellipsoid.f);
+}
+
+/**
+ * Earth-centred, earth-fixed coordinates (meters) of a geodetic position at `height` above the
+ * ellipsoid ({ a, f }; WGS84 unless given).
+ */
+export function geodeticToEcef(position, height = 0, ellipsoid = WGS84_ELLIPSOID) {
+  const e2 = eccentricitySquared(ellipsoid);
+  const lat = degToRad(position.lat);
+  const lon = degToRad(position.lon);
+  const sinLat = Math.sin(lat);
+  const primeVertical = ellipsoid.a / Math.sqrt(1 - e2 * sinLat * sinLat);
+  const radial = (primeVertical + height) * Math.cos(lat);
+  return {
+    x: radial * Math.cos(lon),
+    y: radial * Math.sin(lon),
+    z: (primeVertical * (1 - e2) + height) * sinLat,
+  };
+}
+
+// Inverse of geodeticToEcef by fixed-point iteration on the latitude; returns { lat, lon, height }.
+export function ecefToGeodetic({ x, y, z }, ellipsoid = WGS84_ELLIPSOID) {
+  const e2 = eccentricitySquared(ellipsoid);
+  const p = Math.hypot(x, y);
+  let lat = Math.atan2(z, p * (1 - e2));
+  let height = 0;
+  for (let iteration = 0; iteration < GEODETIC_MAX_ITERATIONS; iteration += 1) {
+    const sinLat = Math.sin(lat);
+    const primeVertical = ellipsoid.a / Math.sqrt(1 - e2 * sinLat * sinLat);
+    height = Math.abs(sinLat) < Math.SQRT1_2 ? p / Math.cos(lat) - primeVertical : z / sinLat - primeVertical * (1 - e2);
+    const next = Math.atan2(z, p * (1 - (e2 * primeVertical) / (primeVertical + height)));
+    const converged = Math.abs(next - lat) < GEODETIC_TOLERANCE_RADIANS;
+    lat = next;
+    if (converged) {
+      break;
+    }
+  }
+  return { lat: radToDeg(lat), lon: radToDeg(Math.atan2(y, x)), height };
+}
+
+// Rows are the east, north and up unit vectors at the origin, in ECEF.
+function enuAxes(origin) {
+  const lat = degToRad(origin.lat);
+  const lon = degToRad(origin.lon);
+  const [sinLat, cosLat, sinLon, cosLon] = [Math.sin(lat), Math.cos(lat), Math.sin(lon), Math.cos(lon)];
+  return [
+    [-sinLon, cosLon, 0],
+    [-sinLat * cosLon, -sinLat * sinLon, cosLat],
+    [cosLat * cosLon, cosLat * sinLon, sinLat],
+  ];
+}
+
+function ellipsoidalToEnu(position, origin) {
+  const point = geodeticToEcef(position);
+  const base = geodeticToEcef(origin);
+  const delta = [point.x - base.x, point.y - base.y, point.z - base.z];
+  const [east, north] = enuAxes(origin).map((axis) => axis[0] * delta[0] + axis[1] * delta[1] + axis[2] * delta[2]);
+  return { x: east, y: north };
+}
+
+// ENU keeps only east and north, so the inverse finds the surface point below (x, y) along the origin's up axis.
+function ellipsoidalToWgs84(vector, origin) {
+  const base = geodeticToEcef(origin);
+  const axes = enuAxes(origin);
+  let up = 0;
+  let geodetic = null;
+  for (let iteration = 0; iteration < SURFACE_ITERATIONS; iteration += 1) {
+    const local = [vector.x, vector.y, up];
+    geodetic = ecefToGeodetic({
+      x: base.x + axes[0][0] * local[0] + axes[1][0] * local[1] + axes[2][0] * local[2],
+      y: base.y + axes[0][1] * local[0] + axes[1][1] * local[1] + axes[2][1] * local[2],
+      z: base.z + axes[0][2] * local[0] + axes[1][2] * local[1] + axes[2][2] * local[2],
+    });
+    up -= geodetic.height;
+  }
+  return { lat: geodetic.lat, lon: geodetic.lon };
+}
+
+/**
+ * East/north offsets (meters) of `position` from `origin`. `method` is one of ENU_METHODS; the
+ * spherical default keeps calibrations made before the ellipsoidal option unchanged.
+ */
+export function wgs84ToEnu(position, origin, method = ENU_METHODS.SPHERICAL) {
+  if (!origin) {
+    throw new Error('Origin is required to convert to ENU');
+  }
+  return method === ENU_METHODS.ELLIPSOIDAL ? ellipsoidalToEnu(position, origin) : sphericalToEnu(position, origin);
+}
+
+export function enuToWgs84(vector, origin, method = ENU_METHODS.SPHERICAL) {
+  if (!origin) {
+    throw new Error('Origin is required to convert from ENU');
+  }
+  return method === ENU_METHODS.ELLIPSOIDAL ? ellipsoidalToWgs84(vector, origin) : sphericalToWgs84(vector, origin);
+}
+
+// Distance in meters between two nearby WGS84 positions, on the local tangent plane of the first.
+export function distanceMeters(from, to) {
+  const { x, y } = wgs84ToEnu(to, from);
+  return Math.hypot(x, y);
+}
+
 const api = {
   EARTH_RADIUS_METERS,
+  WGS84_FLATTENING,
+  WGS84_ELLIPSOID,
+  ENU_METHODS,
   degToRad,
   radToDeg,
+  wrapLongitude,
   computeOrigin,
   wgs84ToEnu,
   enuToWgs84,
+  distanceMeters,
+  geodeticToEcef,
+  ecefToGeodetic,
 };
 
 export default api;
@@ -1,10 +1,16 @@
 import {
   EARTH_RADIUS_METERS,
+  WGS84_FLATTENING,
+  ENU_METHODS,
   degToRad,
   radToDeg,
+  wrapLongitude,
   computeOrigin,
   wgs84ToEnu,
   enuToWgs84,
+  distanceMeters,
+  geodeticToEcef,
+  ecefToGeodetic,
 } from './coordinate.js';
 
 describe('coordinate utilities', () => {
@@ -14,6 +20,14 @@ describe('coordinate utilities', () => {
     expect(radToDeg(radians)).toBeCloseTo(degrees);
   });
 
+  test('wrapLongitude folds longitudes into [-180, 180)', () => {
+    expect(wrapLongitude(8.5)).toBe(8.5);
+    expect(wrapLongitude(181)).toBe(-179);
+    expect(wrapLongitude(-181)).toBe(179);
+    expect(wrapLongitude(180)).toBe(-180);
+    expect(wrapLongitude(540)).toBe(-180);
+  });
+
   test('computeOrigin averages coordinates', () => {
     const pairs = [
       { wgs84: { lat: 40, lon: -105 } },
@@ -36,6 +50,13 @@ describe('coordinate utilities', () => {
     expect(roundTrip.lon).toBeCloseTo(point.lon, 5);
   });
 
+  test('distanceMeters measures along the tangent plane', () => {
+    const origin = { lat: 60, lon: 10 };
+    expect(distanceMeters(origin, origin)).toBe(0);
+    expect(distanceMeters(origin, { lat: 60, lon: 10.001 })).toBeCloseTo(EARTH_RADIUS_METERS * degToRad(0.001) * 0.5, 6);
+    expect(distanceMeters(origin, { lat: 60.001, lon: 10 })).toBeCloseTo(EARTH_RADIUS_METERS * degToRad(0.001), 6);
+  });
+
   test('computeOrigin throws on empty input', () => {
     expect(() => computeOrigin([])).toThrow('At least one coordinate is required to compute an origin');
   });
@@ -44,4 +65,56 @@ describe('coordinate utilities', () => {
     expect(() => wgs84ToEnu({ lat: 0, lon: 0 })).toThrow('Origin is required to convert to ENU');
     expect(() => enuToWgs84({ x: 0, y: 0 })).toThrow('Origin is required to convert from ENU');
   });
+
+  describe('ellipsoidal ENU', () => {
+    const e2 = WGS84_FLATTENING * (2 - WGS84_FLATTENING);
+    // Meridian arc length between two latitudes by Simpson's rule over the meridional radius.
+    const meridianArc = (fromLat, toLat) => {
+      const steps = 200;
+      const h = degToRad(toLat - fromLat) / steps;
+      const radius = (lat) => (EARTH_RADIUS_METERS * (1 - e2)) / (1 - e2 * Math.sin(lat) ** 2) ** 1.5;
+      let sum = 0;
+      for (let i = 0; i <= steps; i += 1) {
+        const factor = i === 0 || i === steps ? 1 : 2 + 2 * (i % 2);
+        sum += factor * radius(degToRad(fromLat) + i * h);
+      }
+      return (sum * h) / 3;
+    };
+
+    test('ECEF conversion round-trips, including near the pole', () => {
+      [{ lat: 47.3, lon: 8.5 }, { lat: -33.9, lon: 151.2 }, { lat: 89.5, lon: -40 }].forEach((position) => {
+        const back = ecefToGeodetic(geodeticToEcef(position, 250));
+        expect(back.lat).toBeCloseTo(position.lat, 10);
+        expect(back.lon).toBeCloseTo(position.lon, 10);
+        expect(back.height).toBeCloseTo(250, 4);
+      });
+      expect(geodeticToEcef({ lat: 0, lon: 0 }).x).toBeCloseTo(EARTH_RADIUS_METERS, 6);
+    });
+
+    test('round-trips a 50 km offset at high latitude to the millimetre', () => {
+      const origin = { lat: 68.4, lon: 17.4 };
+      const enu = { x: 35000, y: -36000 };
+      const location = enuToWgs84(enu, origin, ENU_METHODS.ELLIPSOIDAL);
+      const back = wgs84ToEnu(location, origin, ENU_METHODS.ELLIPSOIDAL);
+      expect(Math.hypot(back.x - enu.x, back.y - enu.y)).toBeLessThan(1e-3);
+    });
+
+    test('stays within a metre of the meridian arc where the sphere drifts by tens of metres', () => {
+      const origin = { lat: 60, lon: 10 };
+      const north = { lat: 60.45, lon: 10 };
+      const arc = meridianArc(origin.lat, north.lat);
+      expect(arc).toBeGreaterThan(50000);
+      // The tangent plane shortens the arc by about s³ / 6R², half a metre at this distance.
+      expect(Math.abs(wgs84ToEnu(north, origin, ENU_METHODS.ELLIPSOIDAL).y - arc)).toBeLessThan(1);
+      expect(Math.abs(wgs84ToEnu(north, origin).y - arc)).toBeGreaterThan(30);
+    });
+
+    test('matches the spherical approximation for a small town map', () => {
+      const origin = { lat: 46.95, lon: 7.45 };
+      const point = { lat: 46.953, lon: 7.454 };
+      const spherical = wgs84ToEnu(point, origin, ENU_METHODS.SPHERICAL);
+      const ellipsoidal = wgs84ToEnu(point, origin, ENU_METHODS.ELLIPSOIDAL);
+      expect(Math.hypot(spherical.x - ellipsoidal.x, spherical.y - ellipsoidal.y)).toBeLessThan(2);
+    });
+  });
 });
@@ -0,0 +1,363 @@
+import { wrapLongitude } from './coordinate.js';
+import { wgs84ToGrid, gridToWgs84 } from './projection.js';
+
+export const COORDINATE_FORMATS = [
+  { id: 'dd', name: 'Decimal degrees' },
+  { id: 'dms', name: 'Degrees, minutes, seconds' },
+  { id: 'ddm', name: 'Degrees, decimal minutes' },
+  { id: 'utm', name: 'UTM' },
+  { id: 'mgrs', name: 'MGRS' },
+  { id: 'olc', name: 'Open Location Code' },
+];
+
+// Sexagesimal parts and decimals of the last part; 6 decimal degrees, 4 decimal minutes and 2 decimal seconds are all well below a meter.
+const ANGLE_STYLES = {
+  dd: { parts: 1, decimals: 6 },
+  ddm: { parts: 2, decimals: 4 },
+  dms: { parts: 3, decimals: 2 },
+};
+const ANGLE_MARKS = ['°', "'", '"'];
+const ANGLE_TOKENS = /[NSEW]|[-+]?\d+(?:\.\d+)?|,/g;
+const ANGLE_DECORATION = /[°º'′"″\s]/g;
+const HEMISPHERE_LETTER = /^[NSEW]$/;
+
+// UTM (and so MGRS) covers 80° S to 84° N; the polar caps use UPS, which is not supported.
+const UTM_SOUTH_LIMIT = -80;
+const UTM_NORTH_LIMIT = 84;
+const UTM_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*M?\s+(\d+(?:\.\d+)?)\s*M?$/;
+
+const MGRS_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_BAND_HEIGHT = 8; // degrees; band X stretches to 84° N
+const MGRS_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+const MGRS_SQUARE = 100000;
+const MGRS_ROW_CYCLE = MGRS_ROWS.length * MGRS_SQUARE;
+// Even zones start their row letters five squares later (the AA lettering scheme used with WGS84).
+const MGRS_EVEN_ZONE_ROW_SHIFT = 5;
+const MGRS_DIGITS = 5;
+// Latitude slack (degrees, about a metre) when checking a typed band against the northing's latitude.
+const MGRS_BAND_TOLERANCE = 1e-5;
+// A parallel bends away from the central meridian by at most a few kilometres within a zone.
+const MGRS_BAND_MARGIN = MGRS_SQUARE;
+const MGRS_PATTERN = /^(\d{1,2})([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/;
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_BASE = OLC_ALPHABET.length;
+const OLC_PAIR_LENGTH = 10;
+const OLC_SEPARATOR_POSITION = 8;
+// Size of the first pair's cells in degrees, and the 4 × 5 grid refining a cell per digit after the pairs.
+const OLC_FIRST_CELL = 20;
+const OLC_GRID_COLUMNS = 4;
+const OLC_GRID_ROWS = 5;
+const OLC_UNITS_PER_DEGREE = OLC_BASE ** (OLC_PAIR_LENGTH / 2 - 1) / OLC_FIRST_CELL;
+const OLC_PATTERN = /^([2-9CFGHJMPQRVWX]{2,8})(0*)\+([2-9CFGHJMPQRVWX]*)$/;
+
+// Whole degrees (and minutes) plus the last part rounded to `decimals`, so 59.999" carries into the next minute.
+function sexagesimal(value, parts, decimals) {
+  const scale = 10 ** decimals;
+  let rest = Math.round(Math.abs(value) * 60 ** (parts - 1) * scale);
+  const values = [];
+  for (let part = 1; part < parts; part += 1) {
+    values.unshift(rest % (60 * scale));
+    rest = Math.floor(rest / 60 / scale) * scale;
+  }
+  return [rest, ...values].map((part) => part / scale);
+}
+
+function formatAngle(value, [positive, negative], { parts, decimals }) {
+  const values = sexagesimal(value, parts, decimals);
+  const text = values
+    .map((part, index) => {
+      const digits = index === parts - 1 ? part.toFixed(decimals) : String(part);
+      const padded = index === 0 ? digits : digits.padStart(index === parts - 1 ? decimals + 3 : 2, '0');
+      return `${padded}${ANGLE_MARKS[index]}`;
+    })
+    .join('');
+  // A value that rounds to zero is on the equator or the prime meridian, whatever its sign.
+  return `${text} ${value < 0 && values.some((part) => part > 0) ? negative : positive}`;
+}
+
+function formatAngles(location, style) {
+  return `${formatAngle(location.lat, ['N', 'S'], style)}, ${formatAngle(location.lon, ['E', 'W'], style)}`;
+}
+
+function insideUtm({ lat }) {
+  return lat >= UTM_SOUTH_LIMIT && lat <= UTM_NORTH_LIMIT;
+}
+
+function formatUtm(location) {
+  const { zone, hemisphere, easting, northing } = wgs84ToGrid(location, 'utm');
+  return `${zone}${hemisphere} ${Math.round(easting)} ${Math.round(northing)}`;
+}
+
+function mgrsBand(lat) {
+  return MGRS_BANDS[Math.min(Math.floor((lat - UTM_SOUTH_LIMIT) / MGRS_BAND_HEIGHT), MGRS_BANDS.length - 1)];
+}
+
+function mgrsRowShift(zone) {
+  return zone % 2 === 0 ? MGRS_EVEN_ZONE_ROW_SHIFT : 0;
+}
+
+// MGRS truncates rather than rounds, so a reference always names the square the point lies in.
+function formatMgrs(location) {
+  const { zone, easting, northing } = wgs84ToGrid(location, 'utm');
+  const column = MGRS_COLUMNS[(zone - 1) % MGRS_COLUMNS.length][Math.floor(easting / MGRS_SQUARE) - 1];
+  const row = MGRS_ROWS[(Math.floor(northing / MGRS_SQUARE) + mgrsRowShift(zone)) % MGRS_ROWS.length];
+  const digits = (value) => String(Math.floor(value % MGRS_SQUARE)).padStart(MGRS_DIGITS, '0');
+  return `${zone}${mgrsBand(location.lat)} ${column}${row} ${digits(easting)} ${digits(northing)}`;
+}
+
+// Full ten-digit code (a cell of about 14 m); the pole is clipped into the topmost cell.
+function formatOpenLocationCode({ lat, lon }) {
+  const latUnits = Math.min(Math.floor((lat + 90) * OLC_UNITS_PER_DEGREE), 180 * OLC_UNITS_PER_DEGREE - 1);
+  const lonUnits = Math.floor((((lon + 180) % 360) + 360) % 360 * OLC_UNITS_PER_DEGREE);
+  let code = '';
+  for (let pair = OLC_PAIR_LENGTH / 2 - 1; pair >= 0; pair -= 1) {
+    const divisor = OLC_BASE ** pair;
+    code += OLC_ALPHABET[Math.floor(latUnits / divisor) % OLC_BASE] + OLC_ALPHABET[Math.floor(lonUnits / divisor) % OLC_BASE];
+  }
+  return `${code.slice(0, OLC_SEPARATOR_POSITION)}+${code.slice(OLC_SEPARATOR_POSITION)}`;
+}
+
+// Falls back to decimal degrees where the grid is undefined (the polar caps).
+function utmOnly(formatter) {
+  return (location) => (insideUtm(location) ? formatter(location) : formatAngles(location, ANGLE_STYLES.dd));
+}
+
+const FORMATTERS = {
+  dd: (location) => formatAngles(location, ANGLE_STYLES.dd),
+  dms: (location) => formatAngles(location, ANGLE_STYLES.dms),
+  ddm: (location) => formatAngles(location, ANGLE_STYLES.ddm),
+  utm: utmOnly(formatUtm),
+  mgrs: utmOnly(formatMgrs),
+  olc: formatOpenLocationCode,
+};
+
+/**
+ * Text for a WGS84 `location` ({ lat, lon }) in one of the COORDINATE_FORMATS ids. UTM and MGRS
+ * fall back to decimal degrees beyond their 80° S – 84° N coverage.
+ */
+export function formatCoordinate(location, format = 'dd') {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown coordinate format: ${format}`);
+  }
+  return formatter(location);
+}
+
+// Tokens of a degrees text (numbers, hemisphere letters, commas); null when anything else is present.
+function angleTokens(text) {
+  if (text.replace(ANGLE_TOKENS, '').replace(ANGLE_DECORATION, '') !== '') {
+    return null;
+  }
+  return text.match(ANGLE_TOKENS) || [];
+}
+
+// Two token groups split at the hemisphere letters, which either all lead or all trail their numbers.
+function splitAtLetters(tokens) {
+  const leading = HEMISPHERE_LETTER.test(tokens[0]);
+  const second = tokens.findIndex((token, index) => index > 0 && HEMISPHERE_LETTER.test(token));
+  const split = leading ? second : tokens.findIndex((token) => HEMISPHERE_LETTER.test(token)) + 1;
+  const groups = [tokens.slice(0, split), tokens.slice(split)];
+  const letterAt = (group) => (leading ? group[0] : group[group.length - 1]);
+  if (groups.some((group) => !HEMISPHERE_LETTER.test(letterAt(group)) || group.filter((token) => HEMISPHERE_LETTER.test(token)).length !== 1)) {
+    return null;
+  }
+  return groups.map((group) => ({ letter: letterAt(group), numbers: group.filter((token) => token !== letterAt(group)) }));
+}
+
+// Without letters the angles are latitude then longitude, split at a comma or else halfway.
+function splitUnlettered(tokens) {
+  const commas = tokens.filter((token) => token === ',').length;
+  const numbers = tokens.filter((token) => token !== ',');
+  if (commas > 1 || (commas === 0 && numbers.length % 2 !== 0)) {
+    return null;
+  }
+  const split = commas === 1 ? tokens.indexOf(',') : numbers.length / 2;
+  return [numbers.slice(0, split), numbers.slice(split)].map((group) => ({ letter: null, numbers: group }));
+}
+
+function angleGroups(tokens) {
+  const letters = tokens.filter((token) => HEMISPHERE_LETTER.test(token)).length;
+  if (letters === 2) {
+    return splitAtLetters(tokens.filter((token) => token !== ','));
+  }
+  return letters === 0 ? splitUnlettered(tokens) : null;
+}
+
+// "d", "d m" or "d m s": only the degrees may carry a sign (and not next to a letter), only the last part a fraction.
+function validAngleParts(letter, numbers) {
+  return (
+    numbers.length >= 1 &&
+    numbers.length <= 3 &&
+    !(letter && numbers[0].startsWith('-')) &&
+    numbers.slice(1).every((number) => !/^[-+]/.test(number) && Number(number) < 60) &&
+    numbers.slice(0, -1).every((number) => Number.isInteger(Number(number)))
+  );
+}
+
+function angleValue({ letter, numbers }) {
+  if (!validAngleParts(letter, numbers)) {
+    return null;
+  }
+  const magnitude = numbers.map(Number).reduce((sum, part, index) => sum + Math.abs(part) / 60 ** index, 0);
+  const negative = numbers[0].startsWith('-') || ['S', 'W'].includes(letter);
+  return negative ? -magnitude : magnitude;
+}
+
+// Latitude and longitude groups; lettered groups may come in either order but need one N/S and one E/W.
+function orderAxes([first, second]) {
+  if (!first.letter) {
+    return [first, second];
+  }
+  const [latGroup, lonGroup] = 'EW'.includes(first.letter) ? [second, first] : [first, second];
+  return 'NS'.includes(latGroup.letter) && 'EW'.includes(lonGroup.letter) ? [latGroup, lonGroup] : null;
+}
+
+function parseAngles(text) {
+  const tokens = angleTokens(text);
+  const groups = tokens && tokens.length > 0 ? angleGroups(tokens) : null;
+  if (!groups) {
+    return null;
+  }
+  const axes = orderAxes(groups);
+  const [lat, lon] = axes ? axes.map(angleValue) : [null, null];
+  if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon, format: ['dd', 'ddm', 'dms'][groups[0].numbers.length - 1] };
+}
+
+function matchesBand(letter, { lat }) {
+  return [lat - MGRS_BAND_TOLERANCE, lat + MGRS_BAND_TOLERANCE].map(mgrsBand).includes(letter);
+}
+
+// 'N' and 'S' after the zone are read as hemispheres, any other letter as an MGRS latitude band,
+// which must contain the position the northing gives.
+function parseUtm(text) {
+  const match = UTM_PATTERN.exec(text);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 60) {
+    return null;
+  }
+  const [, zone, letter, easting, northing] = match;
+  const isHemisphere = letter === 'N' || letter === 'S';
+  const hemisphere = letter === 'S' || (!isHemisphere && letter < 'N') ? 'S' : 'N';
+  const location = gridToWgs84({ easting: Number(easting), northing: Number(northing), zone: Number(zone), hemisphere }, 'utm');
+  if (!isHemisphere && !matchesBand(letter, location)) {
+    return null;
+  }
+  return { ...location, format: 'utm' };
+}
+
+// Digits as one run of even length or as two runs of equal length, expanded to meters.
+function mgrsOffsets(first, second) {
+  const digits = first + second;
+  const valid = digits.length % 2 === 0 && digits.length <= 2 * MGRS_DIGITS && (second === '' || first.length === second.length);
+  if (!valid) {
+    return null;
+  }
+  const half = digits.length / 2;
+  const meters = (run) => Number(run.padEnd(MGRS_DIGITS, '0'));
+  return { easting: meters(digits.slice(0, half)), northing: meters(digits.slice(half)) };
+}
+
+// Row letters repeat every 2000 km; the band's southern edge picks the repetition.
+function mgrsNorthing(zone, band, rowLetter, offset) {
+  const hemisphere = band < 'N' ? 'S' : 'N';
+  const south = UTM_SOUTH_LIMIT + MGRS_BANDS.indexOf(band) * MGRS_BAND_HEIGHT;
+  const bandStart = wgs84ToGrid({ lat: south, lon: zone * 6 - 183 }, 'utm', { zone, hemisphere }).northing;
+  const floor = Math.max(bandStart - MGRS_BAND_MARGIN, 0);
+  const row = (MGRS_ROWS.indexOf(rowLetter) - mgrsRowShift(zone) + MGRS_ROWS.length) % MGRS_ROWS.length;
+  const base = row * MGRS_SQUARE + offset;
+  return { hemisphere, northing: base + Math.ceil((floor - base) / MGRS_ROW_CYCLE) * MGRS_ROW_CYCLE };
+}
+
+// South-west corner of the referenced square, as MGRS references denote.
+function parseMgrs(text) {
+  const match = MGRS_PATTERN.exec(text);
+  const zone = match ? Number(match[1]) : 0;
+  const offsets = match ? mgrsOffsets(match[5], match[6]) : null;
+  const column = zone >= 1 && zone <= 60 ? MGRS_COLUMNS[(zone - 1) % MGRS_COLUMNS.length].indexOf(match[3]) : -1;
+  if (!offsets || column < 0) {
+    return null;
+  }
+  const { hemisphere, northing } = mgrsNorthing(zone, match[2], match[4], offsets.northing);
+  const easting = (column + 1) * MGRS_SQUARE + offsets.easting;
+  return { ...gridToWgs84({ easting, northing, zone, hemisphere }, 'utm'), format: 'mgrs' };
+}
+
+// Centre of the area a full code (without padding zeros) describes.
+function decodeOpenLocationCode(digits) {
+  let south = 0;
+  let west = 0;
+  let height = OLC_FIRST_CELL * OLC_BASE;
+  let width = OLC_FIRST_CELL * OLC_BASE;
+  digits.split('').forEach((digit, index) => {
+    const value = OLC_ALPHABET.indexOf(digit);
+    if (index >= OLC_PAIR_LENGTH) {
+      height /= OLC_GRID_ROWS;
+      width /= OLC_GRID_COLUMNS;
+      south += Math.floor(value / OLC_GRID_COLUMNS) * height;
+      west += (value % OLC_GRID_COLUMNS) * width;
+    } else if (index % 2 === 0) {
+      height /= OLC_BASE;
+      south += value * height;
+    } else {
+      width /= OLC_BASE;
+      west += value * width;
+    }
+  });
+  return { lat: Math.min(south + height / 2, 180) - 90, lon: west + width / 2 - 180 };
+}
+
+// A short code completed with the leading digits of `reference`, shifted by one cell when that lands nearer.
+function recoverShortCode(digits, padding, reference) {
+  const prefix = formatOpenLocationCode(reference).replace('+', '').slice(0, padding);
+  const location = decodeOpenLocationCode(prefix + digits);
+  const resolution = OLC_FIRST_CELL / OLC_BASE ** (padding / 2 - 1);
+  const nearest = (value, target) => value + Math.round((target - value) / resolution) * resolution;
+  const lat = nearest(location.lat, reference.lat);
+  const lon = nearest(location.lon, reference.lon);
+  return { lat: Math.abs(lat) > 90 ? location.lat : lat, lon: wrapLongitude(lon) };
+}
+
+// Digits come in pairs before the '+', padding zeros only complete a code with nothing after the '+'.
+function wellFormedCode([, head, zeros, tail]) {
+  const paddingValid = zeros === '' || (head.length + zeros.length === OLC_SEPARATOR_POSITION && tail === '');
+  return head.length % 2 === 0 && tail.length !== 1 && paddingValid;
+}
+
+function parseOpenLocationCode(text, reference) {
+  const match = OLC_PATTERN.exec(text.replace(/\s/g, ''));
+  if (!match || !wellFormedCode(match)) {
+    return null;
+  }
+  const [, head, zeros, tail] = match;
+  const padding = OLC_SEPARATOR_POSITION - head.length;
+  if (zeros !== '' || padding === 0) {
+    return { ...decodeOpenLocationCode(head + tail), format: 'olc' };
+  }
+  return reference && tail.length >= 2 ? { ...recoverShortCode(head + tail, padding, reference), format: 'olc' } : null;
+}
+
+/**
+ * WGS84 position ({ lat, lon, format }) of a typed coordinate in any of the COORDINATE_FORMATS:
+ * "47.3769, 8.5417", 47°22'36.8"N 8°32'30.1"E, "32T 463936 5247426", "32T MT 63936 47426" or
+ * "8FVC9G8F+6X". Short plus codes ("9G8F+6X") need a nearby `reference` ({ lat, lon }). Returns
+ * null for text that is none of these.
+ */
+export function parseCoordinate(text, { reference = null } = {}) {
+  const normalized = String(text).trim().toUpperCase();
+  if (normalized === '') {
+    return null;
+  }
+  return parseMgrs(normalized) || parseUtm(normalized) || parseOpenLocationCode(normalized, reference) || parseAngles(normalized);
+}
+
+const api = {
+  COORDINATE_FORMATS,
+  formatCoordinate,
+  parseCoordinate,
+};
+
+export default api;
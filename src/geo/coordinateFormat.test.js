@@ -0,0 +1,99 @@
+import { COORDINATE_FORMATS, formatCoordinate, parseCoordinate } from './coordinateFormat.js';
+import { distanceMeters } from './coordinate.js';
+
+describe('coordinateFormat', () => {
+  const zurich = { lat: 47.376888, lon: 8.541694 };
+
+  test('formats degrees, carrying rounded seconds and minutes', () => {
+    expect(formatCoordinate(zurich)).toBe('47.376888° N, 8.541694° E');
+    expect(formatCoordinate(zurich, 'dms')).toBe(`47°22'36.80" N, 8°32'30.10" E`);
+    expect(formatCoordinate(zurich, 'ddm')).toBe("47°22.6133' N, 8°32.5016' E");
+    expect(formatCoordinate({ lat: -33.8568, lon: -70.6693 }, 'dd')).toBe('33.856800° S, 70.669300° W');
+    expect(formatCoordinate({ lat: 10.9999999, lon: 0.5 }, 'dms')).toBe(`11°00'00.00" N, 0°30'00.00" E`);
+    expect(formatCoordinate({ lat: -1e-7, lon: -1e-7 })).toBe('0.000000° N, 0.000000° E');
+    expect(formatCoordinate({ lat: -1e-7, lon: -1e-7 }, 'dms')).toBe(`0°00'00.00" N, 0°00'00.00" E`);
+  });
+
+  test('formats UTM, MGRS and plus codes', () => {
+    expect(formatCoordinate({ lat: 45, lon: 9 }, 'utm')).toBe('32N 500000 4982950');
+    expect(formatCoordinate({ lat: 0, lon: 0 }, 'mgrs')).toBe('31N AA 66021 00000');
+    expect(formatCoordinate({ lat: 0, lon: 9 }, 'mgrs')).toBe('32N NF 00000 00000');
+    expect(formatCoordinate({ lat: 47.0000625, lon: 8.0000625 }, 'olc')).toBe('8FVC2222+22');
+    expect(formatCoordinate({ lat: 90, lon: 180 }, 'olc')).toMatch(/^C[2-9CFGHJMPQRVWX]{7}\+/);
+  });
+
+  test('UTM and MGRS fall back to degrees over the poles', () => {
+    expect(formatCoordinate({ lat: 85, lon: 10 }, 'mgrs')).toBe('85.000000° N, 10.000000° E');
+    expect(formatCoordinate({ lat: -81, lon: 10 }, 'utm')).toBe('81.000000° S, 10.000000° E');
+    expect(() => formatCoordinate(zurich, 'geohash')).toThrow('Unknown coordinate format: geohash');
+  });
+
+  test('every format parses back to the same place', () => {
+    const places = [zurich, { lat: -33.8568, lon: 151.2153 }, { lat: 64.1466, lon: -21.9426 }, { lat: 0.0004, lon: -0.0004 }];
+    const tolerance = { dd: 0.2, dms: 0.5, ddm: 0.5, utm: 1, mgrs: 1.5, olc: 10 };
+    places.forEach((place) => {
+      COORDINATE_FORMATS.forEach(({ id }) => {
+        const parsed = parseCoordinate(formatCoordinate(place, id));
+        expect(parsed.format).toBe(id);
+        expect(distanceMeters(parsed, place)).toBeLessThan(tolerance[id]);
+      });
+    });
+  });
+
+  test('parses the usual ways of writing degrees', () => {
+    expect(parseCoordinate('47.3769, 8.5417')).toEqual({ lat: 47.3769, lon: 8.5417, format: 'dd' });
+    expect(parseCoordinate('-33.86 151.21')).toMatchObject({ lat: -33.86, lon: 151.21 });
+    expect(parseCoordinate('E 8.5 N 47.25')).toMatchObject({ lat: 47.25, lon: 8.5 });
+    expect(parseCoordinate('33 51 24 s 151 12 55 e')).toMatchObject({ format: 'dms', lon: 151 + 12 / 60 + 55 / 3600 });
+    expect(parseCoordinate('33 51 24 s 151 12 55 e').lat).toBeCloseTo(-(33 + 51 / 60 + 24 / 3600), 12);
+    expect(parseCoordinate(`47° 22.6133′ N 8° 32.5016′ E`)).toMatchObject({ format: 'ddm' });
+    expect(parseCoordinate('-0 30, 10 15').lat).toBe(-0.5);
+  });
+
+  test('rejects malformed or out-of-range text', () => {
+    ['', '   ', 'Zurich', '47.5', '91, 8', '47, 181', '47 N 8 N', '47 60 N 8 E', '47 -5 N 8 E', '47.5 30 N 8 E', '-47 N 8 E', '1, 2, 3', '1 2 3', '47 N 8', '47 N E 8'].forEach((text) => {
+      expect(parseCoordinate(text)).toBeNull();
+    });
+    expect(parseCoordinate('61N 500000 0')).toBeNull();
+    expect(parseCoordinate('32U AA 12345 67890')).toBeNull();
+    expect(parseCoordinate('32U MU 123 45')).toBeNull();
+    // 5000 km north is 45.15° N, in band T rather than U.
+    expect(parseCoordinate('32U 500000 5000000')).toBeNull();
+    expect(parseCoordinate('32T 500000 5000000').lat).toBeCloseTo(45.15, 2);
+    expect(parseCoordinate('8FVC2222+2')).toBeNull();
+    expect(parseCoordinate('8FV2222+22')).toBeNull();
+    expect(parseCoordinate('8FVC0000+22')).toBeNull();
+  });
+
+  test('reads UTM bands and MGRS squares on both sides of the equator', () => {
+    const banded = parseCoordinate('32T 463936 5247426');
+    expect(banded.format).toBe('utm');
+    expect(distanceMeters(banded, parseCoordinate('32N 463936 5247426'))).toBe(0);
+    expect(parseCoordinate('56H 334369 6252309').lat).toBeLessThan(-33);
+    expect(distanceMeters(parseCoordinate('31NAA6602100000'), { lat: 0, lon: 0 })).toBeLessThan(1);
+    // One-kilometre reference: the south-west corner of its square.
+    const coarse = parseCoordinate('32T MT 6 4');
+    const fine = parseCoordinate('32T MT 60000 40000');
+    expect(distanceMeters(coarse, fine)).toBe(0);
+    expect(parseCoordinate('32TMT').lat).toBeGreaterThan(40);
+  });
+
+  test('plus codes decode to their centre; short codes need a reference', () => {
+    const full = parseCoordinate('8FVC2222+22');
+    expect(full.lat).toBeCloseTo(47.0000625, 9);
+    expect(full.lon).toBeCloseTo(8.0000625, 9);
+    const padded = parseCoordinate('8FVC0000+');
+    expect(padded.lat).toBeCloseTo(47.5, 9);
+    expect(padded.lon).toBeCloseTo(8.5, 9);
+    const grid = parseCoordinate('8FVC2222+22X');
+    expect(distanceMeters(grid, full)).toBeLessThan(10);
+    expect(parseCoordinate('9G8F+6X')).toBeNull();
+    const recovered = parseCoordinate('9G8F+6X', { reference: { lat: 47.4, lon: 8.6 } });
+    expect(distanceMeters(recovered, parseCoordinate('8FVC9G8F+6X'))).toBeLessThan(1e-6);
+    // Across the antimeridian the reference's own cell is the wrong one; the nearer neighbour wins.
+    const east = { lat: 52.0003, lon: -179.9996 };
+    const short = formatCoordinate(east, 'olc').slice(4);
+    const edge = parseCoordinate(short, { reference: { lat: 51.9999, lon: 179.9999 } });
+    expect(distanceMeters(edge, east)).toBeLessThan(10);
+  });
+});
@@ -0,0 +1,246 @@
+export const TOLERANCE = 1e-9;
+
+export function buildNormalEquations(rows, values, variableCount) {
+  const ata = Array.from({ length: variableCount }, () => Array(variableCount).fill(0));
+  const atb = Array(variableCount).fill(0);
+
+  for (let rowIndex = 0; rowIndex < rows.length; rowIndex += 1) {
+    const row = rows[rowIndex];
+    const value = values[rowIndex];
+
+    for (let i = 0; i < variableCount; i += 1) {
+      atb[i] += row[i] * value;
+      for (let j = i; j < variableCount; j += 1) {
+        ata[i][j] += row[i] * row[j];
+      }
+    }
+  }
+
+  for (let i = 0; i < variableCount; i += 1) {
+    for (let j = 0; j < i; j += 1) {
+      ata[i][j] = ata[j][i];
+    }
+  }
+
+  return { ata, atb };
+}
+
+// Normalize the pivot row so the pivot element becomes 1
+function normalizePivotRow(mat, vec, pivot, size) {
+  const pivotValue = mat[pivot][pivot];
+  for (let col = pivot; col < size; col += 1) {
+    mat[pivot][col] /= pivotValue;
+  }
+  vec[pivot] /= pivotValue;
+}
+
+// Eliminate the pivot column from all other rows
+function eliminateOtherRows(mat, vec, pivot, size) {
+  for (let row = 0; row < size; row += 1) {
+    if (row === pivot) {
+      continue;
+    }
+    const factor = mat[row][pivot];
+    if (Math.abs(factor) < TOLERANCE) {
+      continue;
+    }
+    for (let col = pivot; col < size; col += 1) {
+      mat[row][col] -= factor * mat[pivot][col];
+    }
+    vec[row] -= factor * vec[pivot];
+  }
+}
+
+export function gaussianElimination(matrix, vector) {
+  const size = vector.length;
+  const mat = matrix.map((row) => row.slice());
+  const vec = vector.slice();
+
+  for (let pivot = 0; pivot < size; pivot += 1) {
+    let maxRow = pivot;
+    for (let row = pivot + 1; row < size; row += 1) {
+      if (Math.abs(mat[row][pivot]) > Math.abs(mat[maxRow][pivot])) {
+        maxRow = row;
+      }
+    }
+
+    if (Math.abs(mat[maxRow][pivot]) < TOLERANCE) {
+      return null;
+    }
+
+    if (maxRow !== pivot) {
+      [mat[pivot], mat[maxRow]] = [mat[maxRow], mat[pivot]];
+      [vec[pivot], vec[maxRow]] = [vec[maxRow], vec[pivot]];
+    }
+
+    normalizePivotRow(mat, vec, pivot, size);
+    eliminateOtherRows(mat, vec, pivot, size);
+  }
+
+  return vec;
+}
+
+export function solveLeastSquares(rows, values, variableCount) {
+  const { ata, atb } = buildNormalEquations(rows, values, variableCount);
+  return gaussianElimination(ata, atb);
+}
+
+export function invertMatrix(matrix) {
+  const size = matrix.length;
+  const columns = [];
+  for (let col = 0; col < size; col += 1) {
+    const unit = Array.from({ length: size }, (value, index) => (index === col ? 1 : 0));
+    const column = gaussianElimination(matrix, unit);
+    if (!column) {
+      return null;
+    }
+    columns.push(column);
+  }
+  return columns[0].map((value, row) => columns.map((column) => column[row]));
+}
+
+/**
+ * Covariance of a least-squares solution, sigma² (JᵀJ)⁻¹ with sigma² estimated from the residuals.
+ * `rows` is the (already weighted) Jacobian at the solution and `residuals` the matching weighted
+ * residuals. Columns are equilibrated before inverting because pixel-scale parameters differ by
+ * many orders of magnitude. Null for exactly determined or singular systems.
+ */
+export function leastSquaresCovariance(rows, residuals) {
+  const variableCount = rows.length > 0 ? rows[0].length : 0;
+  const degreesOfFreedom = rows.length - variableCount;
+  if (degreesOfFreedom <= 0) {
+    return null;
+  }
+  const { ata } = buildNormalEquations(rows, residuals, variableCount);
+  const scales = ata.map((row, i) => (row[i] > 0 ? 1 / Math.sqrt(row[i]) : 0));
+  const inverse = invertMatrix(ata.map((row, i) => row.map((value, j) => value * scales[i] * scales[j])));
+  if (!inverse) {
+    return null;
+  }
+  const variance = residuals.reduce((sum, value) => sum + value * value, 0) / degreesOfFreedom;
+  return inverse.map((row, i) => row.map((value, j) => value * scales[i] * scales[j] * variance));
+}
+
+/**
+ * Centroid and mean distance of `points`, used to condition fits (Hartley normalization) and
+ * splines. Null when the points coincide.
+ */
+export function computeNormalization(points) {
+  const cx = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const cy = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const meanDistance = points.reduce((sum, point) => sum + Math.hypot(point.x - cx, point.y - cy), 0) / points.length;
+  if (meanDistance < TOLERANCE) {
+    return null;
+  }
+  return { cx, cy, scale: meanDistance };
+}
+
+export function normalizePoint(normalization, point) {
+  return {
+    x: (point.x - normalization.cx) / normalization.scale,
+    y: (point.y - normalization.cy) / normalization.scale,
+  };
+}
+
+const JACOBI_MAX_SWEEPS = 60;
+
+function offDiagonalSquares(matrix) {
+  let sum = 0;
+  matrix.forEach((row, i) => {
+    row.forEach((value, j) => {
+      if (i !== j) {
+        sum += value * value;
+      }
+    });
+  });
+  return sum;
+}
+
+// One Jacobi rotation zeroing matrix[p][q]; the same rotation is accumulated into `vectors`.
+function jacobiRotate(matrix, vectors, p, q) {
+  const apq = matrix[p][q];
+  if (apq === 0) {
+    return;
+  }
+  const theta = (matrix[q][q] - matrix[p][p]) / (2 * apq);
+  const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+  const c = 1 / Math.sqrt(t * t + 1);
+  const s = t * c;
+  const rotateColumns = (target) => {
+    target.forEach((row) => {
+      const kp = row[p];
+      const kq = row[q];
+      row[p] = c * kp - s * kq;
+      row[q] = s * kp + c * kq;
+    });
+  };
+  rotateColumns(matrix);
+  const rowP = matrix[p].slice();
+  const rowQ = matrix[q];
+  matrix[p] = rowP.map((value, k) => c * value - s * rowQ[k]);
+  matrix[q] = rowQ.map((value, k) => s * rowP[k] + c * value);
+  rotateColumns(vectors);
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations. Eigenvalues are returned
+ * in ascending order with `vectors[i]` the unit eigenvector of `values[i]`.
+ */
+export function symmetricEigen(matrix) {
+  const size = matrix.length;
+  const work = matrix.map((row) => row.slice());
+  const vectors = Array.from({ length: size }, (unused, i) => Array.from({ length: size }, (ignored, j) => (i === j ? 1 : 0)));
+  const threshold = (Number.EPSILON * Number.EPSILON) * matrix.reduce((sum, row) => sum + row.reduce((acc, value) => acc + value * value, 0), 0);
+
+  for (let sweep = 0; sweep < JACOBI_MAX_SWEEPS && offDiagonalSquares(work) > threshold; sweep += 1) {
+    for (let p = 0; p < size - 1; p += 1) {
+      for (let q = p + 1; q < size; q += 1) {
+        jacobiRotate(work, vectors, p, q);
+      }
+    }
+  }
+
+  const order = work.map((row, i) => i).sort((a, b) => work[a][a] - work[b][b]);
+  return {
+    values: order.map((i) => work[i][i]),
+    vectors: order.map((i) => vectors.map((row) => row[i])),
+  };
+}
+
+// Ratio of the extreme singular values of a design matrix, from the eigenvalues of its normal matrix.
+export function conditionNumber(normalEigenvalues) {
+  const smallest = normalEigenvalues[0];
+  const largest = normalEigenvalues[normalEigenvalues.length - 1];
+  if (!(smallest > 0)) {
+    return Number.POSITIVE_INFINITY;
+  }
+  return Math.sqrt(largest / smallest);
+}
+
+// Eigen-decomposition of a symmetric 2×2 matrix; `angle` is the direction of the major axis.
+export function symmetricEigen2x2(matrix) {
+  const [[a, b], [, d]] = matrix;
+  const mean = (a + d) / 2;
+  const spread = Math.hypot((a - d) / 2, b);
+  return {
+    major: mean + spread,
+    minor: mean - spread,
+    angle: 0.5 * Math.atan2(2 * b, a - d),
+  };
+}
+
+const api = {
+  TOLERANCE,
+  buildNormalEquations,
+  gaussianElimination,
+  solveLeastSquares,
+  invertMatrix,
+  leastSquaresCovariance,
+  symmetricEigen2x2,
+  computeNormalization,
+  normalizePoint,
+  symmetricEigen,
+  conditionNumber,
+};
+
+export default api;
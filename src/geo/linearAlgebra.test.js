@@ -0,0 +1,110 @@
+import {
+  buildNormalEquations,
+  gaussianElimination,
+  solveLeastSquares,
+  invertMatrix,
+  leastSquaresCovariance,
+  symmetricEigen2x2,
+  computeNormalization,
+  normalizePoint,
+  symmetricEigen,
+  conditionNumber,
+} from './linearAlgebra.js';
+
+describe('linear algebra helpers', () => {
+  test('gaussianElimination solves a well-conditioned system with pivoting', () => {
+    const solution = gaussianElimination(
+      [
+        [0, 2, 1],
+        [1, 1, 0],
+        [2, 0, 3],
+      ],
+      [7, 3, 11],
+    );
+    expect(solution[0]).toBeCloseTo(1);
+    expect(solution[1]).toBeCloseTo(2);
+    expect(solution[2]).toBeCloseTo(3);
+  });
+
+  test('gaussianElimination returns null for singular systems', () => {
+    expect(gaussianElimination([[1, 2], [2, 4]], [1, 2])).toBeNull();
+  });
+
+  test('buildNormalEquations produces a symmetric matrix', () => {
+    const { ata, atb } = buildNormalEquations([[1, 2], [3, 4], [5, 6]], [1, 2, 3], 2);
+    expect(ata[0][1]).toBe(ata[1][0]);
+    expect(ata[0][0]).toBe(35);
+    expect(atb).toEqual([22, 28]);
+  });
+
+  test('solveLeastSquares fits an overdetermined line', () => {
+    const rows = [[0, 1], [1, 1], [2, 1], [3, 1]];
+    const values = [1, 3, 5, 7];
+    const [slope, intercept] = solveLeastSquares(rows, values, 2);
+    expect(slope).toBeCloseTo(2);
+    expect(intercept).toBeCloseTo(1);
+  });
+
+  test('invertMatrix inverts a square matrix and rejects singular ones', () => {
+    const inverse = invertMatrix([[4, 7], [2, 6]]);
+    expect(inverse[0][0]).toBeCloseTo(0.6);
+    expect(inverse[0][1]).toBeCloseTo(-0.7);
+    expect(inverse[1][0]).toBeCloseTo(-0.2);
+    expect(inverse[1][1]).toBeCloseTo(0.4);
+    expect(invertMatrix([[1, 2], [2, 4]])).toBeNull();
+  });
+
+  test('leastSquaresCovariance scales the inverse normal matrix by the residual variance', () => {
+    const rows = [[0, 1], [1, 1], [2, 1], [3, 1]];
+    const values = [1, 3.2, 4.8, 7];
+    const solution = solveLeastSquares(rows, values, 2);
+    const covariance = leastSquaresCovariance(rows, values, solution);
+    expect(covariance[0][1]).toBeCloseTo(covariance[1][0]);
+    expect(covariance[0][0]).toBeGreaterThan(0);
+    expect(covariance[1][1]).toBeGreaterThan(covariance[0][0]);
+
+    expect(leastSquaresCovariance(rows.slice(0, 2), values.slice(0, 2), [2, 1])).toBeNull();
+    expect(leastSquaresCovariance([[1, 1], [1, 1], [1, 1]], [1, 2, 3], [1, 1])).toBeNull();
+  });
+
+  test('symmetricEigen2x2 returns the axes and the major-axis direction', () => {
+    expect(symmetricEigen2x2([[2, 0], [0, 1]])).toEqual({ major: 2, minor: 1, angle: 0 });
+    const diagonal = symmetricEigen2x2([[1, 1], [1, 1]]);
+    expect(diagonal.major).toBeCloseTo(2);
+    expect(diagonal.minor).toBeCloseTo(0);
+    expect(diagonal.angle).toBeCloseTo(Math.PI / 4);
+  });
+
+  test('symmetricEigen diagonalizes a symmetric matrix with sorted eigenvalues', () => {
+    const matrix = [
+      [4, 1, 2],
+      [1, 3, 0],
+      [2, 0, 5],
+    ];
+    const { values, vectors } = symmetricEigen(matrix);
+    expect(values[0]).toBeLessThanOrEqual(values[1]);
+    expect(values[1]).toBeLessThanOrEqual(values[2]);
+    values.forEach((value, i) => {
+      const vector = vectors[i];
+      expect(Math.hypot(...vector)).toBeCloseTo(1);
+      matrix.forEach((row, r) => {
+        const product = row.reduce((sum, entry, c) => sum + entry * vector[c], 0);
+        expect(product).toBeCloseTo(value * vector[r], 9);
+      });
+    });
+  });
+
+  test('conditionNumber compares the extreme singular values', () => {
+    expect(conditionNumber([1, 4, 100])).toBeCloseTo(10);
+    expect(conditionNumber([0, 1])).toBe(Number.POSITIVE_INFINITY);
+  });
+
+  test('computeNormalization centres points at unit mean distance', () => {
+    const points = [{ x: 1000, y: 2000 }, { x: 1010, y: 2000 }, { x: 1000, y: 2010 }, { x: 1010, y: 2010 }];
+    const normalization = computeNormalization(points);
+    const normalized = points.map((point) => normalizePoint(normalization, point));
+    const meanDistance = normalized.reduce((sum, point) => sum + Math.hypot(point.x, point.y), 0) / points.length;
+    expect(meanDistance).toBeCloseTo(1);
+    expect(computeNormalization([{ x: 5, y: 5 }, { x: 5, y: 5 }])).toBeNull();
+  });
+});
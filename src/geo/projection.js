@@ -0,0 +1,316 @@
+import { WGS84_ELLIPSOID, degToRad, radToDeg, wrapLongitude, geodeticToEcef, ecefToGeodetic } from './coordinate.js';
+
+export const ELLIPSOIDS = {
+  WGS84: WGS84_ELLIPSOID,
+  GRS80: { a: 6378137, f: 1 / 298.257222101 },
+  AIRY_1830: { a: 6377563.396, f: 1 / 299.3249646 },
+  BESSEL_1841: { a: 6377397.155, f: 1 / 299.1528128 },
+};
+
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_SOUTH_FALSE_NORTHING = 10000000;
+const ITERATION_LIMIT = 20;
+const ITERATION_TOLERANCE = 1e-14;
+
+/**
+ * National grids by id. `toWgs84` is the seven-parameter Helmert shift (position-vector convention:
+ * meters, arc-seconds, ppm) from the grid's datum to WGS84; grids on ETRS89/NZGD2000 need none at
+ * map accuracy. A Helmert shift is good to a few meters; OSTN15 or CHENyx06 grids would be exact.
+ */
+const NATIONAL_GRIDS = {
+  bng: {
+    name: 'British National Grid (OSGB36)',
+    ellipsoid: ELLIPSOIDS.AIRY_1830,
+    toWgs84: { tx: 446.448, ty: -125.157, tz: 542.06, rx: 0.1502, ry: 0.247, rz: 0.8421, s: -20.4894 },
+    projection: { type: 'tm', lat0: 49, lon0: -2, k0: 0.9996012717, falseEasting: 400000, falseNorthing: -100000 },
+  },
+  itm: {
+    name: 'Irish Transverse Mercator',
+    ellipsoid: ELLIPSOIDS.GRS80,
+    projection: { type: 'tm', lat0: 53.5, lon0: -8, k0: 0.99982, falseEasting: 600000, falseNorthing: 750000 },
+  },
+  lv95: {
+    name: 'Swiss LV95 (CH1903+)',
+    ellipsoid: ELLIPSOIDS.BESSEL_1841,
+    toWgs84: { tx: 674.374, ty: 15.056, tz: 405.346 },
+    projection: { type: 'swiss', falseEasting: 2600000, falseNorthing: 1200000 },
+  },
+  lv03: {
+    name: 'Swiss LV03 (CH1903)',
+    ellipsoid: ELLIPSOIDS.BESSEL_1841,
+    toWgs84: { tx: 674.374, ty: 15.056, tz: 405.346 },
+    projection: { type: 'swiss', falseEasting: 600000, falseNorthing: 200000 },
+  },
+  nztm: {
+    name: 'New Zealand TM 2000',
+    ellipsoid: ELLIPSOIDS.GRS80,
+    projection: { type: 'tm', lat0: 0, lon0: 173, k0: 0.9996, falseEasting: 1600000, falseNorthing: 10000000 },
+  },
+};
+
+// Grid systems offered for typing and displaying coordinates; 'utm' picks its zone from the position.
+export const GRID_SYSTEMS = [{ id: 'utm', name: 'UTM (WGS84)' }].concat(
+  Object.keys(NATIONAL_GRIDS).map((id) => ({ id, name: NATIONAL_GRIDS[id].name })),
+);
+
+// Datum shift in ECEF. `direction` 1 maps the grid datum to WGS84, -1 back; negating the small
+// parameters inverts the shift to well below a millimetre.
+function helmert(point, { tx, ty, tz, rx = 0, ry = 0, rz = 0, s = 0 }, direction) {
+  const [rxRad, ryRad, rzRad] = [rx, ry, rz].map((value) => direction * degToRad(value / 3600));
+  const scale = 1 + direction * s * 1e-6;
+  return {
+    x: direction * tx + scale * point.x - rzRad * point.y + ryRad * point.z,
+    y: direction * ty + rzRad * point.x + scale * point.y - rxRad * point.z,
+    z: direction * tz - ryRad * point.x + rxRad * point.y + scale * point.z,
+  };
+}
+
+function fromWgs84(location, grid) {
+  if (!grid.toWgs84) {
+    return location;
+  }
+  return ecefToGeodetic(helmert(geodeticToEcef(location), grid.toWgs84, -1), grid.ellipsoid);
+}
+
+function toWgs84(location, grid) {
+  if (!grid.toWgs84) {
+    return location;
+  }
+  const { lat, lon } = ecefToGeodetic(helmert(geodeticToEcef(location, 0, grid.ellipsoid), grid.toWgs84, 1));
+  return { lat, lon };
+}
+
+// Krüger series to sixth order in the third flattening n (Karney 2011): sub-millimetre across a UTM zone.
+function krugerSeries({ a, f }) {
+  const n = f / (2 - f);
+  const [n2, n3, n4, n5, n6] = [n ** 2, n ** 3, n ** 4, n ** 5, n ** 6];
+  return {
+    e: Math.sqrt(f * (2 - f)),
+    rectifyingRadius: (a / (1 + n)) * (1 + n2 / 4 + n4 / 64 + n6 / 256),
+    alpha: [
+      n / 2 - (2 * n2) / 3 + (5 * n3) / 16 + (41 * n4) / 180 - (127 * n5) / 288 + (7891 * n6) / 37800,
+      (13 * n2) / 48 - (3 * n3) / 5 + (557 * n4) / 1440 + (281 * n5) / 630 - (1983433 * n6) / 1935360,
+      (61 * n3) / 240 - (103 * n4) / 140 + (15061 * n5) / 26880 + (167603 * n6) / 181440,
+      (49561 * n4) / 161280 - (179 * n5) / 168 + (6601661 * n6) / 7257600,
+      (34729 * n5) / 80640 - (3418889 * n6) / 1995840,
+      (212378941 * n6) / 319334400,
+    ],
+    beta: [
+      n / 2 - (2 * n2) / 3 + (37 * n3) / 96 - n4 / 360 - (81 * n5) / 512 + (96199 * n6) / 604800,
+      n2 / 48 + n3 / 15 - (437 * n4) / 1440 + (46 * n5) / 105 - (1118711 * n6) / 3870720,
+      (17 * n3) / 480 - (37 * n4) / 840 - (209 * n5) / 4480 + (5569 * n6) / 90720,
+      (4397 * n4) / 161280 - (11 * n5) / 504 - (830251 * n6) / 7257600,
+      (4583 * n5) / 161280 - (108847 * n6) / 3991680,
+      (20648693 * n6) / 638668800,
+    ],
+  };
+}
+
+// Adds (sign 1) or removes (sign -1) the series terms between the conformal and the rectifying sphere.
+function applySeries(coefficients, xi, eta, sign) {
+  return coefficients.reduce(
+    (acc, coefficient, index) => {
+      const k = 2 * (index + 1);
+      return {
+        xi: acc.xi + sign * coefficient * Math.sin(k * xi) * Math.cosh(k * eta),
+        eta: acc.eta + sign * coefficient * Math.cos(k * xi) * Math.sinh(k * eta),
+      };
+    },
+    { xi, eta },
+  );
+}
+
+// Unscaled transverse Mercator offsets (x east, y north from the equator) for `lon` relative to `lon0`.
+function transverseMercator(series, lat, lonOffset) {
+  const sinLat = Math.sin(lat);
+  const tau = Math.sinh(Math.atanh(sinLat) - series.e * Math.atanh(series.e * sinLat));
+  const xiPrime = Math.atan2(tau, Math.cos(lonOffset));
+  const etaPrime = Math.atanh(Math.sin(lonOffset) / Math.sqrt(1 + tau * tau));
+  const { xi, eta } = applySeries(series.alpha, xiPrime, etaPrime, 1);
+  return { x: series.rectifyingRadius * eta, y: series.rectifyingRadius * xi };
+}
+
+// Latitude from the conformal latitude's tangent by Newton's method (Karney 2011, eq. 19–21).
+function latitudeFromConformal(series, tauPrime) {
+  const e2 = series.e * series.e;
+  let tau = tauPrime;
+  for (let iteration = 0; iteration < ITERATION_LIMIT; iteration += 1) {
+    const sigma = Math.sinh(series.e * Math.atanh((series.e * tau) / Math.sqrt(1 + tau * tau)));
+    const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+    const delta =
+      ((tauPrime - tauI) / Math.sqrt(1 + tauI * tauI)) * ((1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau)));
+    tau += delta;
+    if (Math.abs(delta) < ITERATION_TOLERANCE) {
+      break;
+    }
+  }
+  return Math.atan(tau);
+}
+
+function tmForward(ellipsoid, projection, { lat, lon }) {
+  const series = krugerSeries(ellipsoid);
+  const point = transverseMercator(series, degToRad(lat), degToRad(lon - projection.lon0));
+  const originNorthing = transverseMercator(series, degToRad(projection.lat0), 0).y;
+  return {
+    easting: projection.falseEasting + projection.k0 * point.x,
+    northing: projection.falseNorthing + projection.k0 * (point.y - originNorthing),
+  };
+}
+
+function tmInverse(ellipsoid, projection, { easting, northing }) {
+  const series = krugerSeries(ellipsoid);
+  const originNorthing = transverseMercator(series, degToRad(projection.lat0), 0).y;
+  const xi = ((northing - projection.falseNorthing) / projection.k0 + originNorthing) / series.rectifyingRadius;
+  const eta = (easting - projection.falseEasting) / projection.k0 / series.rectifyingRadius;
+  const prime = applySeries(series.beta, xi, eta, -1);
+  const tauPrime = Math.sin(prime.xi) / Math.sqrt(Math.sinh(prime.eta) ** 2 + Math.cos(prime.xi) ** 2);
+  return {
+    lat: radToDeg(latitudeFromConformal(series, tauPrime)),
+    // Eastings beyond the zone edge (e.g. typed in zone 60 for a point across the antimeridian) wrap around.
+    lon: wrapLongitude(projection.lon0 + radToDeg(Math.atan2(Math.sinh(prime.eta), Math.cos(prime.xi)))),
+  };
+}
+
+// Constants of the Swiss oblique conformal cylinder (swisstopo), centred on the old Bern observatory.
+const SWISS_ORIGIN = { lat: 46 + 57 / 60 + 8.66 / 3600, lon: 7 + 26 / 60 + 22.5 / 3600 };
+
+function swissConstants({ a, f }) {
+  const e2 = f * (2 - f);
+  const e = Math.sqrt(e2);
+  const lat0 = degToRad(SWISS_ORIGIN.lat);
+  const sin0 = Math.sin(lat0);
+  const alpha = Math.sqrt(1 + (e2 / (1 - e2)) * Math.cos(lat0) ** 4);
+  const b0 = Math.asin(sin0 / alpha);
+  const k =
+    Math.log(Math.tan(Math.PI / 4 + b0 / 2)) -
+    alpha * Math.log(Math.tan(Math.PI / 4 + lat0 / 2)) +
+    ((alpha * e) / 2) * Math.log((1 + e * sin0) / (1 - e * sin0));
+  return { e, alpha, b0, k, radius: (a * Math.sqrt(1 - e2)) / (1 - e2 * sin0 * sin0) };
+}
+
+function swissForward(ellipsoid, projection, { lat, lon }) {
+  const { e, alpha, b0, k, radius } = swissConstants(ellipsoid);
+  const phi = degToRad(lat);
+  const sinPhi = Math.sin(phi);
+  const s =
+    alpha * Math.log(Math.tan(Math.PI / 4 + phi / 2)) - ((alpha * e) / 2) * Math.log((1 + e * sinPhi) / (1 - e * sinPhi)) + k;
+  const b = 2 * (Math.atan(Math.exp(s)) - Math.PI / 4);
+  const l = alpha * degToRad(lon - SWISS_ORIGIN.lon);
+  const lBar = Math.atan(Math.sin(l) / (Math.sin(b0) * Math.tan(b) + Math.cos(b0) * Math.cos(l)));
+  const bBar = Math.asin(Math.cos(b0) * Math.sin(b) - Math.sin(b0) * Math.cos(b) * Math.cos(l));
+  return {
+    easting: projection.falseEasting + radius * lBar,
+    northing: projection.falseNorthing + (radius / 2) * Math.log((1 + Math.sin(bBar)) / (1 - Math.sin(bBar))),
+  };
+}
+
+function swissInverse(ellipsoid, projection, { easting, northing }) {
+  const { e, alpha, b0, k, radius } = swissConstants(ellipsoid);
+  const lBar = (easting - projection.falseEasting) / radius;
+  const bBar = 2 * (Math.atan(Math.exp((northing - projection.falseNorthing) / radius)) - Math.PI / 4);
+  const b = Math.asin(Math.cos(b0) * Math.sin(bBar) + Math.sin(b0) * Math.cos(bBar) * Math.cos(lBar));
+  const l = Math.atan(Math.sin(lBar) / (Math.cos(b0) * Math.cos(lBar) - Math.sin(b0) * Math.tan(bBar)));
+  const isometric = (Math.log(Math.tan(Math.PI / 4 + b / 2)) - k) / alpha;
+  let phi = b;
+  for (let iteration = 0; iteration < ITERATION_LIMIT; iteration += 1) {
+    const s = isometric + e * Math.log(Math.tan(Math.PI / 4 + Math.asin(e * Math.sin(phi)) / 2));
+    const next = 2 * Math.atan(Math.exp(s)) - Math.PI / 2;
+    const converged = Math.abs(next - phi) < ITERATION_TOLERANCE;
+    phi = next;
+    if (converged) {
+      break;
+    }
+  }
+  return { lat: radToDeg(phi), lon: SWISS_ORIGIN.lon + radToDeg(l / alpha) };
+}
+
+const PROJECTIONS = {
+  tm: { forward: tmForward, inverse: tmInverse },
+  swiss: { forward: swissForward, inverse: swissInverse },
+};
+
+/**
+ * UTM zone of a WGS84 position, including the widened zones over south-west Norway (32V) and
+ * Svalbard (31X–37X).
+ */
+export function utmZoneFor({ lat, lon }) {
+  const hemisphere = lat < 0 ? 'S' : 'N';
+  let zone = Math.min(Math.floor((wrapLongitude(lon) + 180) / 6) + 1, 60);
+  if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) {
+    zone = 32;
+  } else if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) {
+    zone = [31, 33, 35, 37][Math.min(Math.floor((lon + 3) / 12), 3)];
+  }
+  return { zone, hemisphere };
+}
+
+function utmGrid(zone, hemisphere) {
+  if (!Number.isInteger(zone) || zone < 1 || zone > 60 || !['N', 'S'].includes(hemisphere)) {
+    throw new Error(`Invalid UTM zone: ${zone}${hemisphere}`);
+  }
+  return {
+    ellipsoid: ELLIPSOIDS.WGS84,
+    projection: {
+      type: 'tm',
+      lat0: 0,
+      lon0: zone * 6 - 183,
+      k0: UTM_SCALE,
+      falseEasting: UTM_FALSE_EASTING,
+      falseNorthing: hemisphere === 'S' ? UTM_SOUTH_FALSE_NORTHING : 0,
+    },
+  };
+}
+
+function nationalGrid(gridId) {
+  const grid = NATIONAL_GRIDS[gridId];
+  if (!grid) {
+    throw new Error(`Unknown grid system: ${gridId}`);
+  }
+  return grid;
+}
+
+/**
+ * Grid coordinates of a WGS84 position. For 'utm' the zone and hemisphere come from `zone`
+ * ({ zone, hemisphere }) or from the position, and are returned alongside easting and northing.
+ */
+export function wgs84ToGrid(location, gridId, zone = null) {
+  if (gridId === 'utm') {
+    const { zone: number, hemisphere } = zone || utmZoneFor(location);
+    const grid = utmGrid(number, hemisphere);
+    return { ...tmForward(grid.ellipsoid, grid.projection, location), zone: number, hemisphere };
+  }
+  const grid = nationalGrid(gridId);
+  return PROJECTIONS[grid.projection.type].forward(grid.ellipsoid, grid.projection, fromWgs84(location, grid));
+}
+
+// WGS84 position of grid coordinates ({ easting, northing }, plus zone and hemisphere for 'utm').
+export function gridToWgs84(coordinates, gridId) {
+  if (gridId === 'utm') {
+    const grid = utmGrid(coordinates.zone, coordinates.hemisphere);
+    return tmInverse(grid.ellipsoid, grid.projection, coordinates);
+  }
+  const grid = nationalGrid(gridId);
+  return toWgs84(PROJECTIONS[grid.projection.type].inverse(grid.ellipsoid, grid.projection, coordinates), grid);
+}
+
+const api = {
+  ELLIPSOIDS,
+  GRID_SYSTEMS,
+  utmZoneFor,
+  wgs84ToGrid,
+  gridToWgs84,
+};
+
+export const __internals = {
+  NATIONAL_GRIDS,
+  helmert,
+  tmForward,
+  tmInverse,
+  swissForward,
+  swissInverse,
+};
+
+const exported = { ...api, __internals };
+
+export default exported;
@@ -0,0 +1,106 @@
+import { ELLIPSOIDS, GRID_SYSTEMS, utmZoneFor, wgs84ToGrid, gridToWgs84, __internals } from './projection.js';
+import { distanceMeters } from './coordinate.js';
+
+const dms = (degrees, minutes, seconds) => degrees + minutes / 60 + seconds / 3600;
+
+describe('projection', () => {
+  test('UTM northing on the central meridian is the scaled meridian arc', () => {
+    // Equator-to-45° meridian arc on WGS84: 4 984 944.378 m.
+    const grid = wgs84ToGrid({ lat: 45, lon: 9 }, 'utm');
+    expect(grid).toMatchObject({ zone: 32, hemisphere: 'N' });
+    expect(grid.easting).toBeCloseTo(500000, 6);
+    expect(grid.northing).toBeCloseTo(0.9996 * 4984944.378, 2);
+  });
+
+  test('UTM round-trips across a zone and in the southern hemisphere', () => {
+    [{ lat: 47.37, lon: 8.54 }, { lat: -33.86, lon: 151.21 }, { lat: 64.1, lon: -21.9 }].forEach((location) => {
+      const grid = wgs84ToGrid(location, 'utm');
+      const back = gridToWgs84(grid, 'utm');
+      expect(distanceMeters(back, location)).toBeLessThan(1e-3);
+    });
+    const forced = wgs84ToGrid({ lat: 47.37, lon: 8.54 }, 'utm', { zone: 31, hemisphere: 'N' });
+    expect(forced.zone).toBe(31);
+    expect(forced.easting).toBeGreaterThan(700000);
+    expect(wgs84ToGrid({ lat: -33.86, lon: 151.21 }, 'utm').northing).toBeGreaterThan(6e6);
+  });
+
+  test('UTM positions across the antimeridian come back with a wrapped longitude', () => {
+    const fiji = { lat: -16.5, lon: -179.5 };
+    const beyondZone60 = wgs84ToGrid(fiji, 'utm', { zone: 60, hemisphere: 'S' });
+    expect(beyondZone60.easting).toBeGreaterThan(700000);
+    const back = gridToWgs84(beyondZone60, 'utm');
+    expect(back.lon).toBeCloseTo(-179.5, 9);
+    expect(distanceMeters(back, fiji)).toBeLessThan(1e-3);
+
+    const beforeZone1 = gridToWgs84(wgs84ToGrid({ lat: 60, lon: 179.5 }, 'utm', { zone: 1, hemisphere: 'N' }), 'utm');
+    expect(beforeZone1.lon).toBeCloseTo(179.5, 9);
+  });
+
+  test('utmZoneFor applies the Norway and Svalbard exceptions', () => {
+    expect(utmZoneFor({ lat: 10, lon: -177 })).toEqual({ zone: 1, hemisphere: 'N' });
+    expect(utmZoneFor({ lat: -10, lon: 180 })).toEqual({ zone: 1, hemisphere: 'S' });
+    expect(utmZoneFor({ lat: 60.4, lon: 5.3 }).zone).toBe(32);
+    expect(utmZoneFor({ lat: 78.2, lon: 15.6 }).zone).toBe(33);
+    expect(utmZoneFor({ lat: 78.2, lon: 8 }).zone).toBe(31);
+  });
+
+  test('transverse Mercator matches the Ordnance Survey worked example', () => {
+    // Caister water tower, OSGB36 (A guide to coordinate systems in Great Britain).
+    const { ellipsoid, projection } = __internals.NATIONAL_GRIDS.bng;
+    const location = { lat: dms(52, 39, 27.2531), lon: dms(1, 43, 4.5177) };
+    const grid = __internals.tmForward(ellipsoid, projection, location);
+    expect(grid.easting).toBeCloseTo(651409.903, 2);
+    expect(grid.northing).toBeCloseTo(313177.27, 2);
+    const back = __internals.tmInverse(ellipsoid, projection, grid);
+    expect(back.lat).toBeCloseTo(location.lat, 9);
+    expect(back.lon).toBeCloseTo(location.lon, 9);
+  });
+
+  test('British National Grid applies the OSGB36 datum shift', () => {
+    const london = { lat: 51.5007, lon: -0.1246 };
+    const grid = wgs84ToGrid(london, 'bng');
+    const { ellipsoid, projection } = __internals.NATIONAL_GRIDS.bng;
+    const withoutShift = __internals.tmForward(ellipsoid, projection, london);
+    // OSGB36 and WGS84 positions differ by up to about 120 m.
+    const shift = Math.hypot(grid.easting - withoutShift.easting, grid.northing - withoutShift.northing);
+    expect(shift).toBeGreaterThan(50);
+    expect(shift).toBeLessThan(130);
+    expect(distanceMeters(gridToWgs84(grid, 'bng'), london)).toBeLessThan(0.01);
+  });
+
+  test('Swiss grids match the swisstopo reference point', () => {
+    // swisstopo: E 2 700 000 / N 1 100 000 lies at 46°02'38.87" N, 8°43'49.79" E (WGS84).
+    const location = { lat: dms(46, 2, 38.87), lon: dms(8, 43, 49.79) };
+    const lv95 = wgs84ToGrid(location, 'lv95');
+    expect(Math.abs(lv95.easting - 2700000)).toBeLessThan(1);
+    expect(Math.abs(lv95.northing - 1100000)).toBeLessThan(1);
+    const lv03 = wgs84ToGrid(location, 'lv03');
+    expect(lv03.easting - lv95.easting).toBeCloseTo(-2000000, 6);
+    expect(distanceMeters(gridToWgs84(lv95, 'lv95'), location)).toBeLessThan(0.01);
+    const origin = __internals.swissForward(ELLIPSOIDS.BESSEL_1841, __internals.NATIONAL_GRIDS.lv95.projection, {
+      lat: dms(46, 57, 8.66),
+      lon: dms(7, 26, 22.5),
+    });
+    expect(origin.easting).toBeCloseTo(2600000, 6);
+    expect(origin.northing).toBeCloseTo(1200000, 6);
+  });
+
+  test('Irish and New Zealand grids round-trip at their false origins', () => {
+    const dublin = { lat: 53.3498, lon: -6.2603 };
+    expect(distanceMeters(gridToWgs84(wgs84ToGrid(dublin, 'itm'), 'itm'), dublin)).toBeLessThan(1e-3);
+    const itmOrigin = wgs84ToGrid({ lat: 53.5, lon: -8 }, 'itm');
+    expect(itmOrigin.easting).toBeCloseTo(600000, 6);
+    expect(itmOrigin.northing).toBeCloseTo(750000, 6);
+    const wellington = { lat: -41.2865, lon: 174.7762 };
+    const nztm = wgs84ToGrid(wellington, 'nztm');
+    expect(nztm.easting).toBeGreaterThan(1.7e6);
+    expect(distanceMeters(gridToWgs84(nztm, 'nztm'), wellington)).toBeLessThan(1e-3);
+  });
+
+  test('lists the grids and rejects unknown systems and zones', () => {
+    expect(GRID_SYSTEMS.map((system) => system.id)).toEqual(['utm', 'bng', 'itm', 'lv95', 'lv03', 'nztm']);
+    expect(() => wgs84ToGrid({ lat: 0, lon: 0 }, 'mars')).toThrow('Unknown grid system: mars');
+    expect(() => gridToWgs84({ easting: 0, northing: 0 }, 'mars')).toThrow('Unknown grid system');
+    expect(() => gridToWgs84({ easting: 500000, northing: 0, zone: 61, hemisphere: 'N' }, 'utm')).toThrow('Invalid UTM zone: 61N');
+  });
+});
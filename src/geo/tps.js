@@ -0,0 +1,137 @@
+import { TOLERANCE, gaussianElimination, computeNormalization, normalizePoint } from './linearAlgebra.js';
+
+export const MIN_TPS_LAMBDA = 1e-6;
+export const MAX_TPS_LAMBDA = 1e2;
+export const MIN_TPS_POINTS = 3;
+
+// Maps the 0–100 regularization slider onto lambda in log-space (0 → exact interpolation, 100 → stiff).
+export function lambdaFromRegularization(value) {
+  const clamped = Math.min(Math.max(Number(value) || 0, 0), 100);
+  const exponent = Math.log10(MIN_TPS_LAMBDA) + (clamped / 100) * Math.log10(MAX_TPS_LAMBDA / MIN_TPS_LAMBDA);
+  return 10 ** exponent;
+}
+
+// U(r) = r² log r, written in terms of r² to avoid a square root.
+function radialBasis(distanceSquared) {
+  if (distanceSquared < TOLERANCE) {
+    return 0;
+  }
+  return 0.5 * distanceSquared * Math.log(distanceSquared);
+}
+
+function buildSplineSystem(centers, lambda) {
+  const n = centers.length;
+  const size = n + 3;
+  const matrix = Array.from({ length: size }, () => Array(size).fill(0));
+
+  for (let i = 0; i < n; i += 1) {
+    for (let j = 0; j < n; j += 1) {
+      const dx = centers[i].x - centers[j].x;
+      const dy = centers[i].y - centers[j].y;
+      matrix[i][j] = radialBasis(dx * dx + dy * dy) + (i === j ? lambda : 0);
+    }
+    const affineRow = [1, centers[i].x, centers[i].y];
+    for (let k = 0; k < 3; k += 1) {
+      matrix[i][n + k] = affineRow[k];
+      matrix[n + k][i] = affineRow[k];
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Solves the regularized thin-plate spline interpolating `values` (2D offsets) at `points`.
+ * Coordinates are normalized internally so lambda keeps the same meaning for any photo size.
+ */
+export function solveThinPlateSpline(points, values, lambda) {
+  if (points.length < MIN_TPS_POINTS || points.length !== values.length) {
+    return null;
+  }
+
+  const normalization = computeNormalization(points);
+  if (!normalization) {
+    return null;
+  }
+
+  const centers = points.map((point) => normalizePoint(normalization, point));
+  const matrix = buildSplineSystem(centers, lambda);
+  const padding = [0, 0, 0];
+  const solutionX = gaussianElimination(matrix, values.map((value) => value.x).concat(padding));
+  const solutionY = gaussianElimination(matrix, values.map((value) => value.y).concat(padding));
+
+  if (!solutionX || !solutionY) {
+    return null;
+  }
+
+  const n = centers.length;
+  return {
+    normalization,
+    centers,
+    weights: centers.map((center, index) => ({ x: solutionX[index], y: solutionY[index] })),
+    affine: {
+      x: solutionX.slice(n),
+      y: solutionY.slice(n),
+    },
+    lambda,
+  };
+}
+
+// Offsets from every spline center to `point`, in normalized coordinates.
+function offsetsFromCenters(spline, point) {
+  const p = normalizePoint(spline.normalization, point);
+  return {
+    p,
+    offsets: spline.centers.map((center) => ({ dx: p.x - center.x, dy: p.y - center.y })),
+  };
+}
+
+export function evaluateThinPlateSpline(spline, point) {
+  const { p, offsets } = offsetsFromCenters(spline, point);
+  let x = spline.affine.x[0] + spline.affine.x[1] * p.x + spline.affine.x[2] * p.y;
+  let y = spline.affine.y[0] + spline.affine.y[1] * p.x + spline.affine.y[2] * p.y;
+
+  offsets.forEach(({ dx, dy }, i) => {
+    const u = radialBasis(dx * dx + dy * dy);
+    x += spline.weights[i].x * u;
+    y += spline.weights[i].y * u;
+  });
+
+  return { x, y };
+}
+
+export function thinPlateSplineJacobian(spline, point) {
+  const { offsets } = offsetsFromCenters(spline, point);
+  const jacobian = [
+    [spline.affine.x[1], spline.affine.x[2]],
+    [spline.affine.y[1], spline.affine.y[2]],
+  ];
+
+  offsets.forEach(({ dx, dy }, i) => {
+    const distanceSquared = dx * dx + dy * dy;
+    if (distanceSquared < TOLERANCE) {
+      return;
+    }
+    // d/dx (r² log r) = x (log r² + 1)
+    const factor = Math.log(distanceSquared) + 1;
+    jacobian[0][0] += spline.weights[i].x * dx * factor;
+    jacobian[0][1] += spline.weights[i].x * dy * factor;
+    jacobian[1][0] += spline.weights[i].y * dx * factor;
+    jacobian[1][1] += spline.weights[i].y * dy * factor;
+  });
+
+  const invScale = 1 / spline.normalization.scale;
+  return jacobian.map((row) => row.map((value) => value * invScale));
+}
+
+const api = {
+  MIN_TPS_LAMBDA,
+  MAX_TPS_LAMBDA,
+  MIN_TPS_POINTS,
+  lambdaFromRegularization,
+  solveThinPlateSpline,
+  evaluateThinPlateSpline,
+  thinPlateSplineJacobian,
+};
+
+export default api;
@@ -0,0 +1,77 @@
+import {
+  MIN_TPS_LAMBDA,
+  MAX_TPS_LAMBDA,
+  lambdaFromRegularization,
+  solveThinPlateSpline,
+  evaluateThinPlateSpline,
+  thinPlateSplineJacobian,
+} from './tps.js';
+
+describe('thin-plate spline', () => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: 400, y: 0 },
+    { x: 0, y: 300 },
+    { x: 400, y: 300 },
+    { x: 200, y: 150 },
+  ];
+  const values = [
+    { x: 0, y: 0 },
+    { x: 0, y: 0 },
+    { x: 0, y: 0 },
+    { x: 0, y: 0 },
+    { x: 12, y: -8 },
+  ];
+
+  test('lambdaFromRegularization maps the slider to log-space', () => {
+    expect(lambdaFromRegularization(0)).toBeCloseTo(MIN_TPS_LAMBDA);
+    expect(lambdaFromRegularization(100)).toBeCloseTo(MAX_TPS_LAMBDA);
+    expect(lambdaFromRegularization(50)).toBeCloseTo(Math.sqrt(MIN_TPS_LAMBDA * MAX_TPS_LAMBDA));
+    expect(lambdaFromRegularization(-20)).toBeCloseTo(MIN_TPS_LAMBDA);
+    expect(lambdaFromRegularization(250)).toBeCloseTo(MAX_TPS_LAMBDA);
+    expect(lambdaFromRegularization('not-a-number')).toBeCloseTo(MIN_TPS_LAMBDA);
+  });
+
+  test('interpolates control values when lambda is tiny', () => {
+    const spline = solveThinPlateSpline(points, values, MIN_TPS_LAMBDA);
+    points.forEach((point, index) => {
+      const value = evaluateThinPlateSpline(spline, point);
+      expect(value.x).toBeCloseTo(values[index].x, 3);
+      expect(value.y).toBeCloseTo(values[index].y, 3);
+    });
+  });
+
+  test('strong regularization flattens the warp towards an affine fit', () => {
+    const loose = solveThinPlateSpline(points, values, lambdaFromRegularization(0));
+    const stiff = solveThinPlateSpline(points, values, 1e6);
+    const center = points[4];
+    expect(Math.abs(evaluateThinPlateSpline(stiff, center).x)).toBeLessThan(
+      Math.abs(evaluateThinPlateSpline(loose, center).x),
+    );
+  });
+
+  test('jacobian matches finite differences', () => {
+    const spline = solveThinPlateSpline(points, values, 1e-3);
+    const point = { x: 150, y: 120 };
+    const jacobian = thinPlateSplineJacobian(spline, point);
+    const h = 1e-3;
+    const fx1 = evaluateThinPlateSpline(spline, { x: point.x + h, y: point.y });
+    const fx0 = evaluateThinPlateSpline(spline, { x: point.x - h, y: point.y });
+    const fy1 = evaluateThinPlateSpline(spline, { x: point.x, y: point.y + h });
+    const fy0 = evaluateThinPlateSpline(spline, { x: point.x, y: point.y - h });
+    expect(jacobian[0][0]).toBeCloseTo((fx1.x - fx0.x) / (2 * h), 5);
+    expect(jacobian[0][1]).toBeCloseTo((fy1.x - fy0.x) / (2 * h), 5);
+    expect(jacobian[1][0]).toBeCloseTo((fx1.y - fx0.y) / (2 * h), 5);
+    expect(jacobian[1][1]).toBeCloseTo((fy1.y - fy0.y) / (2 * h), 5);
+    expect(thinPlateSplineJacobian(spline, points[4])).toHaveLength(2);
+  });
+
+  test('rejects degenerate control sets', () => {
+    expect(solveThinPlateSpline(points.slice(0, 2), values.slice(0, 2), 1)).toBeNull();
+    expect(solveThinPlateSpline(points, values.slice(0, 3), 1)).toBeNull();
+    const stacked = [{ x: 5, y: 5 }, { x: 5, y: 5 }, { x: 5, y: 5 }];
+    expect(solveThinPlateSpline(stacked, values.slice(0, 3), 1)).toBeNull();
+    const collinear = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }];
+    expect(solveThinPlateSpline(collinear, values.slice(0, 3), 0)).toBeNull();
+  });
+});
@@ -1,4 +1,23 @@
-export const TOLERANCE = 1e-9;
+import {
+  TOLERANCE,
+  buildNormalEquations,
+  gaussianElimination,
+  solveLeastSquares,
+  leastSquaresCovariance,
+  computeNormalization,
+  normalizePoint,
+  symmetricEigen,
+  conditionNumber,
+} from './linearAlgebra.js';
+import {
+  MIN_TPS_POINTS,
+  solveThinPlateSpline,
+  evaluateThinPlateSpline,
+  thinPlateSplineJacobian,
+} from './tps.js';
+import { delaunayTriangulation, locateTriangle } from './triangulation.js';
+
+export { TOLERANCE };
 
 function ensureWeights(length, weights) {
   if (!weights) {
@@ -10,7 +29,51 @@ function ensureWeights(length, weights) {
   return weights;
 }
 
-export function fitSimilarity(pairs, weights) {
+// A reflected similarity mirrors the photo's y axis before rotating: pixel (x, y) acts as (x, -y).
+function similarityPixel(transform, pixel) {
+  return transform.reflected ? { x: pixel.x, y: -pixel.y } : pixel;
+}
+
+/**
+ * Weighted least-squares rotation, uniform scale and translation. With `reflected`, fits the mirror
+ * image instead (for photos taken through glass or by a selfie camera); the model is then flagged
+ * `reflected` and every similarity helper mirrors the pixel first.
+ */
+export function fitSimilarity(pairs, weights, { reflected = false } = {}) {
+  if (!reflected) {
+    return fitRotationSimilarity(pairs, weights);
+  }
+  const mirrored = fitRotationSimilarity(pairs.map((pair) => ({ ...pair, pixel: similarityPixel({ reflected }, pair.pixel) })), weights);
+  return mirrored ? { ...mirrored, reflected: true } : null;
+}
+
+/**
+ * Similarity through a single pair with a known `scale` (meters per pixel) and `rotation` (radians,
+ * counter-clockwise from the photo's axes to east/north), e.g. from a scale bar and a north arrow.
+ * Exactly determined, so it carries no covariance. Null for a non-positive or non-finite input.
+ */
+export function similarityFromPair(pair, { scale, rotation, reflected = false }) {
+  if (!(scale > 0) || !Number.isFinite(scale) || !Number.isFinite(rotation)) {
+    return null;
+  }
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const pixel = similarityPixel({ reflected }, pair.pixel);
+  const model = {
+    type: 'similarity',
+    scale,
+    rotation,
+    cos,
+    sin,
+    translation: {
+      x: pair.enu.x - scale * (cos * pixel.x - sin * pixel.y),
+      y: pair.enu.y - scale * (sin * pixel.x + cos * pixel.y),
+    },
+  };
+  return reflected ? { ...model, reflected } : model;
+}
+
+function fitRotationSimilarity(pairs, weights) {
   if (pairs.length < 2) {
     return null;
   }
@@ -90,7 +153,7 @@ export function fitSimilarity(pairs, weights) {
   const translationX = enuCentroid.x - scale * (cos * pixelCentroid.x - sin * pixelCentroid.y);
   const translationY = enuCentroid.y - scale * (sin * pixelCentroid.x + cos * pixelCentroid.y);
 
-  return {
+  const model = {
     type: 'similarity',
     scale,
     rotation: theta,
@@ -98,31 +161,68 @@ export function fitSimilarity(pairs, weights) {
     sin,
     translation: { x: translationX, y: translationY },
   };
+  model.covariance = modelCovariance(model, pairs, w);
+  return model;
 }
 
-function buildNormalEquations(rows, values, variableCount) {
-  const ata = Array.from({ length: variableCount }, () => Array(variableCount).fill(0));
-  const atb = Array(variableCount).fill(0);
-
-  for (let rowIndex = 0; rowIndex < rows.length; rowIndex += 1) {
-    const row = rows[rowIndex];
-    const value = values[rowIndex];
-
-    for (let i = 0; i < variableCount; i += 1) {
-      atb[i] += row[i] * value;
-      for (let j = i; j < variableCount; j += 1) {
-        ata[i][j] += row[i] * row[j];
-      }
+// Weighted parameter Jacobian and residuals of `transform` over `pairs`; null if any pair cannot be projected.
+function linearizeAt(transform, pairs, weights) {
+  const rows = [];
+  const residuals = [];
+  for (let i = 0; i < pairs.length; i += 1) {
+    const jacobian = parameterJacobian(transform, pairs[i].pixel);
+    const predicted = applyTransform(transform, pairs[i].pixel);
+    if (!jacobian || !predicted) {
+      return null;
     }
+    const weight = Math.sqrt(weights[i]);
+    rows.push(jacobian[0].map((value) => weight * value), jacobian[1].map((value) => weight * value));
+    residuals.push(weight * (pairs[i].enu.x - predicted.x), weight * (pairs[i].enu.y - predicted.y));
   }
+  return { rows, residuals };
+}
 
-  for (let i = 0; i < variableCount; i += 1) {
-    for (let j = 0; j < i; j += 1) {
-      ata[i][j] = ata[j][i];
-    }
+// Parameter covariance from the geometric (ENU) residuals, in the order of `parameterJacobian`.
+function modelCovariance(transform, pairs, weights) {
+  const linearized = linearizeAt(transform, pairs, weights);
+  return linearized ? leastSquaresCovariance(linearized.rows, linearized.residuals) : null;
+}
+
+// Hartley conditioning: pixels and ENU are centred on their centroids and scaled to unit mean distance.
+function normalizePairs(pairs) {
+  const pixelNormalization = computeNormalization(pairs.map((pair) => pair.pixel));
+  const enuNormalization = computeNormalization(pairs.map((pair) => pair.enu));
+  if (!pixelNormalization || !enuNormalization) {
+    return null;
   }
+  return {
+    pixelNormalization,
+    enuNormalization,
+    pairs: pairs.map((pair) => ({
+      pixel: normalizePoint(pixelNormalization, pair.pixel),
+      enu: normalizePoint(enuNormalization, pair.enu),
+    })),
+  };
+}
+
+function multiply3x3(left, right) {
+  return left.map((row) => [0, 1, 2].map((col) => row[0] * right[0][col] + row[1] * right[1][col] + row[2] * right[2][col]));
+}
 
-  return { ata, atb };
+// Maps a matrix fitted between normalized coordinates back to pixel → ENU.
+function denormalize(normalized, matrix) {
+  const { pixelNormalization: pixel, enuNormalization: enu } = normalized;
+  const toNormalizedPixel = [
+    [1 / pixel.scale, 0, -pixel.cx / pixel.scale],
+    [0, 1 / pixel.scale, -pixel.cy / pixel.scale],
+    [0, 0, 1],
+  ];
+  const fromNormalizedEnu = [
+    [enu.scale, 0, enu.cx],
+    [0, enu.scale, enu.cy],
+    [0, 0, 1],
+  ];
+  return multiply3x3(multiply3x3(fromNormalizedEnu, matrix), toNormalizedPixel);
 }
 
 // Helper to build a weighted linear system for least-squares from pairs.
@@ -138,130 +238,279 @@ function buildLinearSystem(pairs, weights, pushRowValues) {
   return { rows, values };
 }
 
-// Normalize the pivot row so the pivot element becomes 1
-function normalizePivotRow(mat, vec, pivot, size) {
-  const pivotValue = mat[pivot][pivot];
-  for (let col = pivot; col < size; col += 1) {
-    mat[pivot][col] /= pivotValue;
+// Affine fit on Hartley-normalized coordinates. The model is linear, so the least-squares solution
+// already minimizes the ENU error and needs no further refinement.
+export function fitAffine(pairs, weights) {
+  if (pairs.length < 3) {
+    return null;
+  }
+
+  const w = ensureWeights(pairs.length, weights);
+  const normalized = normalizePairs(pairs);
+  if (!normalized) {
+    return null;
+  }
+
+  const { rows, values: valuesX } = buildLinearSystem(normalized.pairs, w, (rowsAcc, valuesAcc, pair, weight) => {
+    rowsAcc.push([weight * pair.pixel.x, weight * pair.pixel.y, weight]);
+    valuesAcc.push(weight * pair.enu.x);
+  });
+  const valuesY = normalized.pairs.map((pair, i) => Math.sqrt(w[i]) * pair.enu.y);
+  const rowX = solveLeastSquares(rows, valuesX, 3);
+  const rowY = solveLeastSquares(rows, valuesY, 3);
+
+  if (!rowX || !rowY) {
+    return null;
   }
-  vec[pivot] /= pivotValue;
+
+  const [first, second] = denormalize(normalized, [rowX, rowY, [0, 0, 1]]);
+  const model = {
+    type: 'affine',
+    matrix: [first, second],
+    conditionNumber: conditionNumber(symmetricEigen(buildNormalEquations(rows, valuesX, 3).ata).values),
+  };
+  model.covariance = modelCovariance(model, pairs, w);
+  return model;
 }
 
-// Eliminate the pivot column from all other rows
-function eliminateOtherRows(mat, vec, pivot, size) {
-  for (let row = 0; row < size; row += 1) {
-    if (row === pivot) {
-      continue;
-    }
-    const factor = mat[row][pivot];
-    if (Math.abs(factor) < TOLERANCE) {
-      continue;
-    }
-    for (let col = pivot; col < size; col += 1) {
-      mat[row][col] -= factor * mat[pivot][col];
-    }
-    vec[row] -= factor * vec[pivot];
+function scaleHomography(matrix) {
+  const h33 = matrix[2][2];
+  if (!(Math.abs(h33) >= TOLERANCE)) {
+    return null;
   }
+  return matrix.map((row) => row.map((value) => value / h33));
 }
 
-function gaussianElimination(matrix, vector) {
-  const size = vector.length;
-  const mat = matrix.map((row) => row.slice());
-  const vec = vector.slice();
+// Direct linear transform: the homography is the null vector of the 2n×9 design matrix, taken as the
+// eigenvector of AᵀA with the smallest eigenvalue. The condition number ignores that (ideally zero) value.
+function solveNormalizedDlt(pairs, weights) {
+  const rows = [];
+  pairs.forEach((pair, i) => {
+    const weight = Math.sqrt(weights[i]);
+    const { x, y } = pair.pixel;
+    const { x: X, y: Y } = pair.enu;
+    rows.push([x, y, 1, 0, 0, 0, -X * x, -X * y, -X].map((value) => weight * value));
+    rows.push([0, 0, 0, x, y, 1, -Y * x, -Y * y, -Y].map((value) => weight * value));
+  });
 
-  for (let pivot = 0; pivot < size; pivot += 1) {
-    let maxRow = pivot;
-    for (let row = pivot + 1; row < size; row += 1) {
-      if (Math.abs(mat[row][pivot]) > Math.abs(mat[maxRow][pivot])) {
-        maxRow = row;
-      }
-    }
+  const { ata } = buildNormalEquations(rows, rows.map(() => 0), 9);
+  const { values, vectors } = symmetricEigen(ata);
+  const h = vectors[0];
+  const matrix = scaleHomography([h.slice(0, 3), h.slice(3, 6), h.slice(6, 9)]);
+  const condition = conditionNumber(values.slice(1));
 
-    if (Math.abs(mat[maxRow][pivot]) < TOLERANCE) {
-      return null;
+  return matrix && Number.isFinite(condition) ? { matrix, conditionNumber: condition } : null;
+}
+
+const LM_MAX_ITERATIONS = 25;
+const LM_INITIAL_DAMPING = 1e-3;
+const LM_MAX_DAMPING = 1e8;
+const LM_RELATIVE_TOLERANCE = 1e-12;
+
+function weightedSquaredError(transform, pairs, weights) {
+  return pairs.reduce((sum, pair, i) => {
+    const predicted = applyTransform(transform, pair.pixel);
+    if (!predicted) {
+      return Number.POSITIVE_INFINITY;
     }
+    return sum + weights[i] * ((predicted.x - pair.enu.x) ** 2 + (predicted.y - pair.enu.y) ** 2);
+  }, 0);
+}
+
+function dampedHomographyStep(transform, pairs, weights, damping) {
+  const linearized = linearizeAt(transform, pairs, weights);
+  if (!linearized) {
+    return null;
+  }
+  const { ata, atb } = buildNormalEquations(linearized.rows, linearized.residuals, 8);
+  const delta = gaussianElimination(ata.map((row, i) => row.map((value, j) => (i === j ? value * (1 + damping) : value))), atb);
+  if (!delta) {
+    return null;
+  }
+  const flat = transform.matrix.flat();
+  const updated = flat.map((value, k) => (k < 8 ? value + delta[k] : value));
+  return { type: 'homography', matrix: [updated.slice(0, 3), updated.slice(3, 6), updated.slice(6, 9)] };
+}
 
-    if (maxRow !== pivot) {
-      [mat[pivot], mat[maxRow]] = [mat[maxRow], mat[pivot]];
-      [vec[pivot], vec[maxRow]] = [vec[maxRow], vec[pivot]];
+// Levenberg–Marquardt on the geometric ENU error, in normalized coordinates with h33 fixed at 1.
+function refineHomography(matrix, pairs, weights) {
+  let current = { type: 'homography', matrix };
+  let cost = weightedSquaredError(current, pairs, weights);
+  let damping = LM_INITIAL_DAMPING;
+
+  for (let iteration = 0; iteration < LM_MAX_ITERATIONS && damping < LM_MAX_DAMPING; iteration += 1) {
+    const candidate = dampedHomographyStep(current, pairs, weights, damping);
+    const candidateCost = candidate ? weightedSquaredError(candidate, pairs, weights) : Number.POSITIVE_INFINITY;
+    if (candidateCost < cost) {
+      const converged = cost - candidateCost <= LM_RELATIVE_TOLERANCE * cost;
+      current = candidate;
+      cost = candidateCost;
+      damping /= 10;
+      if (converged) {
+        break;
+      }
+    } else {
+      damping *= 10;
     }
+  }
+
+  return current.matrix;
+}
+
+/**
+ * Normalized DLT followed, when the pairs over-determine it, by Levenberg–Marquardt refinement of
+ * the ENU reprojection error. `conditionNumber` is measured on the normalized DLT system.
+ */
+export function fitHomography(pairs, weights) {
+  if (pairs.length < 4) {
+    return null;
+  }
 
-    normalizePivotRow(mat, vec, pivot, size);
-    eliminateOtherRows(mat, vec, pivot, size);
+  const w = ensureWeights(pairs.length, weights);
+  const normalized = normalizePairs(pairs);
+  const dlt = normalized ? solveNormalizedDlt(normalized.pairs, w) : null;
+  if (!dlt) {
+    return null;
   }
 
-  return vec;
+  const refined = pairs.length > 4 ? refineHomography(dlt.matrix, normalized.pairs, w) : dlt.matrix;
+  const matrix = scaleHomography(denormalize(normalized, refined));
+  if (!matrix) {
+    return null;
+  }
+
+  const model = { type: 'homography', matrix, conditionNumber: dlt.conditionNumber };
+  model.covariance = modelCovariance(model, pairs, w);
+  return model;
 }
 
-function solveLeastSquares(rows, values, variableCount) {
-  const { ata, atb } = buildNormalEquations(rows, values, variableCount);
-  return gaussianElimination(ata, atb);
+// Number of monomials uⁱvʲ with i + j ≤ order; a polynomial of that order needs as many pairs.
+export function polynomialTermCount(order) {
+  return ((order + 1) * (order + 2)) / 2;
 }
 
-export function fitAffine(pairs, weights) {
-  if (pairs.length < 3) {
-    return null;
+// Monomials uⁱvʲ with i + j ≤ order, by degree: 1, u, v, u², uv, v², u³, u²v, uv², v³.
+function polynomialTerms(order, u, v) {
+  const terms = [];
+  for (let degree = 0; degree <= order; degree += 1) {
+    for (let j = 0; j <= degree; j += 1) {
+      terms.push(u ** (degree - j) * v ** j);
+    }
   }
+  return terms;
+}
 
-  const { rows, values } = buildLinearSystem(pairs, weights, (rowsAcc, valuesAcc, pair, weight) => {
-    const { x, y } = pair.pixel;
-    rowsAcc.push([weight * x, weight * y, weight, 0, 0, 0]);
-    valuesAcc.push(weight * pair.enu.x);
-    rowsAcc.push([0, 0, 0, weight * x, weight * y, weight]);
-    valuesAcc.push(weight * pair.enu.y);
-  });
+// ∂/∂u and ∂/∂v of every monomial, in the order of `polynomialTerms`.
+function polynomialTermDerivatives(order, u, v) {
+  const du = [];
+  const dv = [];
+  for (let degree = 0; degree <= order; degree += 1) {
+    for (let j = 0; j <= degree; j += 1) {
+      const i = degree - j;
+      du.push(i === 0 ? 0 : i * u ** (i - 1) * v ** j);
+      dv.push(j === 0 ? 0 : j * u ** i * v ** (j - 1));
+    }
+  }
+  return { du, dv };
+}
 
-  const solution = solveLeastSquares(rows, values, 6);
+function dot(left, right) {
+  return left.reduce((sum, value, k) => sum + value * right[k], 0);
+}
 
-  if (!solution) {
+/**
+ * 2nd- or 3rd-order polynomial pixel → ENU mapping for warped photos. The monomials are taken in
+ * normalized pixel coordinates so the design matrix stays well conditioned for any photo size.
+ */
+export function fitPolynomial(pairs, weights, order = 2) {
+  const termCount = polynomialTermCount(order);
+  if (pairs.length < termCount) {
     return null;
   }
 
-  const [a, b, c, d, e, f] = solution;
+  const w = ensureWeights(pairs.length, weights);
+  const normalization = computeNormalization(pairs.map((pair) => pair.pixel));
+  if (!normalization) {
+    return null;
+  }
 
-  return {
-    type: 'affine',
-    matrix: [
-      [a, b, c],
-      [d, e, f],
-    ],
+  const roots = w.map(Math.sqrt);
+  const rows = pairs.map((pair, i) => {
+    const p = normalizePoint(normalization, pair.pixel);
+    return polynomialTerms(order, p.x, p.y).map((term) => roots[i] * term);
+  });
+  const valuesX = pairs.map((pair, i) => roots[i] * pair.enu.x);
+  const coefficientsX = solveLeastSquares(rows, valuesX, termCount);
+  const coefficientsY = solveLeastSquares(rows, pairs.map((pair, i) => roots[i] * pair.enu.y), termCount);
+  if (!coefficientsX || !coefficientsY) {
+    return null;
+  }
+
+  const model = {
+    type: 'polynomial',
+    order,
+    normalization,
+    coefficients: { x: coefficientsX, y: coefficientsY },
+    conditionNumber: conditionNumber(symmetricEigen(buildNormalEquations(rows, valuesX, termCount).ata).values),
   };
+  model.covariance = modelCovariance(model, pairs, w);
+  return model;
 }
 
-export function fitHomography(pairs, weights) {
-  if (pairs.length < 4) {
+/**
+ * Rubber-sheet model: the pixels are Delaunay-triangulated and each triangle is mapped affinely onto
+ * its pairs' ENU positions, so every pair is reproduced exactly. Outside the hull the weighted
+ * global affine fit (`base`) takes over; its condition number and covariance stand for the model.
+ */
+export function fitPiecewiseAffine(pairs, weights) {
+  const base = fitAffine(pairs, weights);
+  const triangles = base ? delaunayTriangulation(pairs.map((pair) => pair.pixel)) : [];
+  if (triangles.length === 0) {
     return null;
   }
+  return {
+    type: 'piecewise',
+    base,
+    vertices: pairs.map((pair) => pair.pixel),
+    targets: pairs.map((pair) => pair.enu),
+    triangles,
+    conditionNumber: base.conditionNumber,
+  };
+}
 
-  const { rows, values } = buildLinearSystem(pairs, weights, (rowsAcc, valuesAcc, pair, weight) => {
-    const { x, y } = pair.pixel;
-    const { x: X, y: Y } = pair.enu;
-    rowsAcc.push([weight * x, weight * y, weight, 0, 0, 0, -weight * X * x, -weight * X * y]);
-    valuesAcc.push(weight * X);
-    rowsAcc.push([0, 0, 0, weight * x, weight * y, weight, -weight * Y * x, -weight * Y * y]);
-    valuesAcc.push(weight * Y);
-  });
+// Fits a thin-plate spline to the residuals left by `base`, so the result is base + local warp.
+export function fitThinPlateSpline(pairs, { base, lambda }) {
+  if (!base || pairs.length < MIN_TPS_POINTS) {
+    return null;
+  }
 
-  const solution = solveLeastSquares(rows, values, 8);
+  const points = [];
+  const offsets = [];
+  for (let i = 0; i < pairs.length; i += 1) {
+    const predicted = applyTransform(base, pairs[i].pixel);
+    if (!predicted) {
+      return null;
+    }
+    points.push(pairs[i].pixel);
+    offsets.push({ x: pairs[i].enu.x - predicted.x, y: pairs[i].enu.y - predicted.y });
+  }
 
-  if (!solution) {
+  const spline = solveThinPlateSpline(points, offsets, lambda);
+  if (!spline) {
     return null;
   }
 
-  const [h11, h12, h13, h21, h22, h23, h31, h32] = solution;
-
   return {
-    type: 'homography',
-    matrix: [
-      [h11, h12, h13],
-      [h21, h22, h23],
-      [h31, h32, 1],
-    ],
+    type: 'tps',
+    base,
+    spline,
+    lambda,
   };
 }
 
-function applySimilarity(transform, pixel) {
+function applySimilarity(transform, source) {
   const { scale, cos, sin, translation } = transform;
+  const pixel = similarityPixel(transform, source);
   return {
     x: scale * (cos * pixel.x - sin * pixel.y) + translation.x,
     y: scale * (sin * pixel.x + cos * pixel.y) + translation.y,
@@ -290,7 +539,115 @@ function applyHomography(transform, pixel) {
   };
 }
 
+function applyPolynomial(transform, pixel) {
+  const p = normalizePoint(transform.normalization, pixel);
+  const terms = polynomialTerms(transform.order, p.x, p.y);
+  return { x: dot(transform.coefficients.x, terms), y: dot(transform.coefficients.y, terms) };
+}
+
+function polynomialJacobian(transform, pixel) {
+  const { normalization, order, coefficients } = transform;
+  const p = normalizePoint(normalization, pixel);
+  const { du, dv } = polynomialTermDerivatives(order, p.x, p.y);
+  return [
+    [dot(coefficients.x, du) / normalization.scale, dot(coefficients.x, dv) / normalization.scale],
+    [dot(coefficients.y, du) / normalization.scale, dot(coefficients.y, dv) / normalization.scale],
+  ];
+}
+
+function interpolateTriangle(points, { triangle, weights }) {
+  return {
+    x: weights.reduce((sum, weight, k) => sum + weight * points[triangle[k]].x, 0),
+    y: weights.reduce((sum, weight, k) => sum + weight * points[triangle[k]].y, 0),
+  };
+}
+
+function applyPiecewiseAffine(transform, pixel) {
+  const hit = locateTriangle(transform.vertices, transform.triangles, pixel);
+  return hit ? interpolateTriangle(transform.targets, hit) : applyTransform(transform.base, pixel);
+}
+
+// The triangle's affine map E·P⁻¹, from its pixel edge vectors P to its ENU edge vectors E.
+function piecewiseJacobian(transform, pixel) {
+  const hit = locateTriangle(transform.vertices, transform.triangles, pixel);
+  if (!hit) {
+    return jacobianForTransform(transform.base, pixel);
+  }
+  const [p0, p1, p2] = hit.triangle.map((index) => transform.vertices[index]);
+  const [e0, e1, e2] = hit.triangle.map((index) => transform.targets[index]);
+  const [a, b, c, d] = [p1.x - p0.x, p2.x - p0.x, p1.y - p0.y, p2.y - p0.y];
+  const det = a * d - b * c;
+  const edges = [
+    [e1.x - e0.x, e2.x - e0.x],
+    [e1.y - e0.y, e2.y - e0.y],
+  ];
+  return edges.map(([u, v]) => [(u * d - v * c) / det, (v * a - u * b) / det]);
+}
+
+function applyThinPlateSpline(transform, pixel) {
+  const base = applyTransform(transform.base, pixel);
+  if (!base) {
+    return null;
+  }
+  const offset = evaluateThinPlateSpline(transform.spline, pixel);
+  return { x: base.x + offset.x, y: base.y + offset.y };
+}
+
+const NEWTON_MAX_ITERATIONS = 30;
+const NEWTON_TOLERANCE = 1e-6;
+
+// Inverts a smooth forward transform numerically, starting from an approximate pixel.
+function invertByNewton(transform, vector, initialPixel) {
+  let pixel = initialPixel;
+
+  for (let iteration = 0; iteration < NEWTON_MAX_ITERATIONS; iteration += 1) {
+    const predicted = applyTransform(transform, pixel);
+    const jacobian = jacobianForTransform(transform, pixel);
+    if (!predicted || !jacobian) {
+      return null;
+    }
+    const rx = predicted.x - vector.x;
+    const ry = predicted.y - vector.y;
+    if (Math.hypot(rx, ry) < NEWTON_TOLERANCE) {
+      return pixel;
+    }
+    const [[a, b], [c, d]] = jacobian;
+    const det = a * d - b * c;
+    if (Math.abs(det) < TOLERANCE) {
+      return null;
+    }
+    pixel = {
+      x: pixel.x - (d * rx - b * ry) / det,
+      y: pixel.y - (a * ry - c * rx) / det,
+    };
+  }
+
+  return null;
+}
+
+// The inverse of a reflected similarity is reflected too, with the same rotation (F·R(-θ) = R(θ)·F).
+function invertReflectedSimilarity(transform) {
+  const { scale, cos, sin, translation } = transform;
+  const invScale = 1 / scale;
+  const mirrored = similarityPixel(transform, translation);
+  return {
+    type: 'similarity',
+    reflected: true,
+    scale: invScale,
+    rotation: transform.rotation,
+    cos,
+    sin,
+    translation: {
+      x: -invScale * (cos * mirrored.x - sin * mirrored.y),
+      y: -invScale * (sin * mirrored.x + cos * mirrored.y),
+    },
+  };
+}
+
 export function invertSimilarity(transform) {
+  if (transform.reflected) {
+    return invertReflectedSimilarity(transform);
+  }
   const { scale, cos, sin, translation } = transform;
   const invScale = 1 / scale;
   const invCos = cos;
@@ -379,9 +736,29 @@ export function applyTransform(transform, pixel) {
   if (transform.type === 'homography') {
     return applyHomography(transform, pixel);
   }
+  if (transform.type === 'polynomial') {
+    return applyPolynomial(transform, pixel);
+  }
+  if (transform.type === 'piecewise') {
+    return applyPiecewiseAffine(transform, pixel);
+  }
+  if (transform.type === 'tps') {
+    return applyThinPlateSpline(transform, pixel);
+  }
   throw new Error(`Unsupported transform type: ${transform.type}`);
 }
 
+// Newton's first step from the centroid of the fitted pixels inverts the polynomial's linear part.
+function applyInversePolynomial(transform, vector) {
+  const { cx, cy } = transform.normalization;
+  return invertByNewton(transform, vector, { x: cx, y: cy });
+}
+
+function applyInversePiecewiseAffine(transform, vector) {
+  const hit = locateTriangle(transform.targets, transform.triangles, vector);
+  return hit ? interpolateTriangle(transform.vertices, hit) : applyInverseTransform(transform.base, vector);
+}
+
 export function applyInverseTransform(transform, vector) {
   if (!transform) {
     return null;
@@ -391,21 +768,33 @@ export function applyInverseTransform(transform, vector) {
     return applySimilarity(invertSimilarity(transform), vector);
   }
   if (transform.type === 'affine') {
-    return applyAffine(invertAffine(transform), vector);
+    const inverse = invertAffine(transform);
+    return inverse ? applyAffine(inverse, vector) : null;
   }
   if (transform.type === 'homography') {
     const inverse = invertHomography(transform);
     return applyHomography(inverse, vector);
   }
+  if (transform.type === 'polynomial') {
+    return applyInversePolynomial(transform, vector);
+  }
+  if (transform.type === 'piecewise') {
+    return applyInversePiecewiseAffine(transform, vector);
+  }
+  if (transform.type === 'tps') {
+    const initial = applyInverseTransform(transform.base, vector);
+    return initial ? invertByNewton(transform, vector, initial) : null;
+  }
   throw new Error(`Unsupported transform type: ${transform.type}`);
 }
 
 export function jacobianForTransform(transform, pixel) {
   if (transform.type === 'similarity') {
     const { scale, cos, sin } = transform;
+    const flip = transform.reflected ? -1 : 1;
     return [
-      [scale * cos, -scale * sin],
-      [scale * sin, scale * cos],
+      [scale * cos, -scale * sin * flip],
+      [scale * sin, scale * cos * flip],
     ];
   }
 
@@ -438,9 +827,84 @@ export function jacobianForTransform(transform, pixel) {
     ];
   }
 
+  if (transform.type === 'polynomial') {
+    return polynomialJacobian(transform, pixel);
+  }
+
+  if (transform.type === 'piecewise') {
+    return piecewiseJacobian(transform, pixel);
+  }
+
+  if (transform.type === 'tps') {
+    const base = jacobianForTransform(transform.base, pixel);
+    if (!base) {
+      return null;
+    }
+    const warp = thinPlateSplineJacobian(transform.spline, pixel);
+    return base.map((row, i) => row.map((value, j) => value + warp[i][j]));
+  }
+
+  return null;
+}
+
+/**
+ * Derivative of the predicted ENU position with respect to the fitted parameters, in the order
+ * used by the model's `covariance` (similarity: s·cos, s·sin, tx, ty; affine and homography: row-major;
+ * polynomial: the x then the y coefficients of the normalized-pixel monomials).
+ */
+export function parameterJacobian(transform, pixel) {
+  const { x, y } = pixel;
+  if (transform.type === 'similarity') {
+    const mirrored = similarityPixel(transform, pixel);
+    return [
+      [mirrored.x, -mirrored.y, 1, 0],
+      [mirrored.y, mirrored.x, 0, 1],
+    ];
+  }
+  if (transform.type === 'affine') {
+    return [
+      [x, y, 1, 0, 0, 0],
+      [0, 0, 0, x, y, 1],
+    ];
+  }
+  if (transform.type === 'homography') {
+    const predicted = applyHomography(transform, pixel);
+    if (!predicted) {
+      return null;
+    }
+    const [, , [h31, h32, h33]] = transform.matrix;
+    const den = h31 * x + h32 * y + h33;
+    return [
+      [x / den, y / den, 1 / den, 0, 0, 0, (-predicted.x * x) / den, (-predicted.x * y) / den],
+      [0, 0, 0, x / den, y / den, 1 / den, (-predicted.y * x) / den, (-predicted.y * y) / den],
+    ];
+  }
+  if (transform.type === 'polynomial') {
+    const p = normalizePoint(transform.normalization, pixel);
+    const terms = polynomialTerms(transform.order, p.x, p.y);
+    const zeros = terms.map(() => 0);
+    return [terms.concat(zeros), zeros.concat(terms)];
+  }
   return null;
 }
 
+/**
+ * 2×2 ENU covariance of the projected position caused by parameter uncertainty (G Σ Gᵀ).
+ * TPS and piecewise-affine models use their base model's covariance. Null when the fit had no redundancy.
+ */
+export function predictionCovariance(transform, pixel) {
+  const model = transform.type === 'tps' || transform.type === 'piecewise' ? transform.base : transform;
+  const jacobian = model.covariance ? parameterJacobian(model, pixel) : null;
+  if (!jacobian) {
+    return null;
+  }
+  const { covariance } = model;
+  const weighted = jacobian.map((row) =>
+    covariance.map((unused, col) => row.reduce((sum, value, k) => sum + value * covariance[k][col], 0)),
+  );
+  return weighted.map((row) => jacobian.map((other) => row.reduce((sum, value, k) => sum + value * other[k], 0)));
+}
+
 export function averageScaleFromJacobian(jacobian) {
   if (!jacobian) {
     return null;
@@ -454,12 +918,19 @@ export function averageScaleFromJacobian(jacobian) {
 const api = {
   TOLERANCE,
   fitSimilarity,
+  similarityFromPair,
   fitAffine,
   fitHomography,
+  fitPolynomial,
+  polynomialTermCount,
+  fitPiecewiseAffine,
+  fitThinPlateSpline,
   applyTransform,
   applyInverseTransform,
   jacobianForTransform,
   averageScaleFromJacobian,
+  parameterJacobian,
+  predictionCovariance,
   invertSimilarity,
   invertAffine,
   invertHomography,
@@ -1,16 +1,29 @@
 import {
   fitSimilarity,
+  similarityFromPair,
   fitAffine,
   fitHomography,
+  fitPolynomial,
+  polynomialTermCount,
+  fitPiecewiseAffine,
+  fitThinPlateSpline,
   applyTransform,
   applyInverseTransform,
   jacobianForTransform,
   averageScaleFromJacobian,
+  parameterJacobian,
+  predictionCovariance,
   invertSimilarity,
   invertAffine,
   invertHomography,
 } from './transformations.js';
 
+const noisyAffinePairs = () =>
+  [[0, 0], [100, 0], [0, 100], [100, 100], [50, 20]].map(([x, y], i) => ({
+    pixel: { x, y },
+    enu: { x: 2 * x + 0.3 * y + (i % 2), y: -0.2 * x + 1.5 * y - (i % 3) },
+  }));
+
 describe('transformations', () => {
   test('fitSimilarity recovers known transform', () => {
     const scale = 5;
@@ -29,6 +42,61 @@ describe('transformations', () => {
     expect(transform.translation.y).toBeCloseTo(translation.y);
   });
 
+  test('a reflected similarity fits, inverts and differentiates mirror images', () => {
+    // Mirror image of a 3 m/px map rotated by 30°: pixel y is flipped before the rotation.
+    const theta = Math.PI / 6;
+    const truth = ({ x, y }) => ({
+      x: 3 * (Math.cos(theta) * x + Math.sin(theta) * y) + 40,
+      y: 3 * (Math.sin(theta) * x - Math.cos(theta) * y) - 10,
+    });
+    const pairs = [[0, 0], [50, 0], [0, 40], [30, 30]].map(([x, y]) => ({ pixel: { x, y }, enu: truth({ x, y }) }));
+
+    const proper = fitSimilarity(pairs);
+    expect(Math.abs(applyTransform(proper, pairs[3].pixel).x - pairs[3].enu.x)).toBeGreaterThan(1);
+    const reflected = fitSimilarity(pairs, null, { reflected: true });
+    expect(reflected.reflected).toBe(true);
+    expect(reflected.scale).toBeCloseTo(3, 9);
+    pairs.forEach((pair) => {
+      expect(applyTransform(reflected, pair.pixel).x).toBeCloseTo(pair.enu.x, 9);
+      expect(applyTransform(reflected, pair.pixel).y).toBeCloseTo(pair.enu.y, 9);
+    });
+
+    const inverse = invertSimilarity(reflected);
+    expect(inverse.reflected).toBe(true);
+    const restored = applyInverseTransform(reflected, truth({ x: 12, y: -7 }));
+    expect(restored.x).toBeCloseTo(12, 9);
+    expect(restored.y).toBeCloseTo(-7, 9);
+
+    const [[a, b], [c, d]] = jacobianForTransform(reflected, { x: 0, y: 0 });
+    expect(a * d - b * c).toBeCloseTo(-9, 9);
+    expect(parameterJacobian(reflected, { x: 2, y: 5 })).toEqual([
+      [2, 5, 1, 0],
+      [-5, 2, 0, 1],
+    ]);
+    expect(fitSimilarity(pairs.slice(0, 1), null, { reflected: true })).toBeNull();
+  });
+
+  test('similarityFromPair anchors a known scale and rotation on one pair', () => {
+    const pair = { pixel: { x: 40, y: 10 }, enu: { x: 500, y: -200 } };
+    const model = similarityFromPair(pair, { scale: 2, rotation: Math.PI / 2 });
+    expect(model.covariance).toBeUndefined();
+    expect(applyTransform(model, pair.pixel).x).toBeCloseTo(500, 9);
+    expect(applyTransform(model, pair.pixel).y).toBeCloseTo(-200, 9);
+    // The photo's x axis now points north.
+    const east = applyTransform(model, { x: 41, y: 10 });
+    expect(east.x).toBeCloseTo(500, 9);
+    expect(east.y).toBeCloseTo(-198, 9);
+
+    const mirrored = similarityFromPair(pair, { scale: 2, rotation: 0, reflected: true });
+    expect(mirrored.reflected).toBe(true);
+    expect(applyTransform(mirrored, pair.pixel)).toEqual(pair.enu);
+    expect(applyTransform(mirrored, { x: 40, y: 11 }).y).toBeCloseTo(-202, 9);
+
+    expect(similarityFromPair(pair, { scale: 0, rotation: 0 })).toBeNull();
+    expect(similarityFromPair(pair, { scale: Infinity, rotation: 0 })).toBeNull();
+    expect(similarityFromPair(pair, { scale: 1, rotation: NaN })).toBeNull();
+  });
+
   test('fitAffine solves general linear mapping', () => {
     const matrix = [
       [2, 0.5, 10],
@@ -175,4 +243,324 @@ describe('transformations', () => {
     expect(jacobianForTransform({ type: 'unsupported' }, { x: 0, y: 0 })).toBeNull();
     expect(averageScaleFromJacobian(null)).toBeNull();
   });
+
+  describe('thin-plate spline refinement', () => {
+    const base = {
+      type: 'affine',
+      matrix: [
+        [2, 0.1, 50],
+        [-0.2, 1.8, -20],
+      ],
+    };
+    const bump = (pixel) => ({
+      x: 6 * Math.sin(pixel.x / 60),
+      y: 4 * Math.cos(pixel.y / 50),
+    });
+    const pixels = [
+      { x: 0, y: 0 },
+      { x: 200, y: 0 },
+      { x: 0, y: 200 },
+      { x: 200, y: 200 },
+      { x: 100, y: 100 },
+      { x: 60, y: 150 },
+      { x: 160, y: 40 },
+    ];
+    const pairs = pixels.map((pixel) => {
+      const mapped = applyTransform(base, pixel);
+      const offset = bump(pixel);
+      return { pixel, enu: { x: mapped.x + offset.x, y: mapped.y + offset.y } };
+    });
+
+    test('fitThinPlateSpline interpolates control points on top of the base model', () => {
+      const transform = fitThinPlateSpline(pairs, { base, lambda: 1e-6 });
+      expect(transform.type).toBe('tps');
+      pairs.forEach((pair) => {
+        const projected = applyTransform(transform, pair.pixel);
+        expect(projected.x).toBeCloseTo(pair.enu.x, 2);
+        expect(projected.y).toBeCloseTo(pair.enu.y, 2);
+      });
+    });
+
+    test('applyInverseTransform inverts a TPS transform numerically', () => {
+      const transform = fitThinPlateSpline(pairs, { base, lambda: 1e-3 });
+      const pixel = { x: 120, y: 70 };
+      const enu = applyTransform(transform, pixel);
+      const restored = applyInverseTransform(transform, enu);
+      expect(restored.x).toBeCloseTo(pixel.x, 4);
+      expect(restored.y).toBeCloseTo(pixel.y, 4);
+    });
+
+    test('jacobianForTransform adds the warp derivative to the base Jacobian', () => {
+      const transform = fitThinPlateSpline(pairs, { base, lambda: 1e-3 });
+      const pixel = { x: 80, y: 90 };
+      const jacobian = jacobianForTransform(transform, pixel);
+      const h = 1e-3;
+      const right = applyTransform(transform, { x: pixel.x + h, y: pixel.y });
+      const left = applyTransform(transform, { x: pixel.x - h, y: pixel.y });
+      expect(jacobian[0][0]).toBeCloseTo((right.x - left.x) / (2 * h), 4);
+      expect(jacobian[1][0]).toBeCloseTo((right.y - left.y) / (2 * h), 4);
+    });
+
+    test('fitThinPlateSpline and TPS helpers handle degenerate input', () => {
+      expect(fitThinPlateSpline(pairs, { base: null, lambda: 1 })).toBeNull();
+      expect(fitThinPlateSpline(pairs.slice(0, 2), { base, lambda: 1 })).toBeNull();
+      const singularBase = {
+        type: 'homography',
+        matrix: [
+          [1, 0, 0],
+          [0, 1, 0],
+          [1, 0, -1],
+        ],
+      };
+      expect(fitThinPlateSpline([{ pixel: { x: 1, y: 0 }, enu: { x: 0, y: 0 } }, ...pairs], { base: singularBase, lambda: 1 })).toBeNull();
+      const collinear = pairs.slice(0, 3).map((pair, index) => ({ ...pair, pixel: { x: index, y: index } }));
+      expect(fitThinPlateSpline(collinear, { base, lambda: 0 })).toBeNull();
+
+      const transform = fitThinPlateSpline(pairs, { base, lambda: 1e-3 });
+      const flatBase = { ...transform, base: { type: 'affine', matrix: [[1, 1, 0], [1, 1, 0]] } };
+      expect(applyInverseTransform(flatBase, { x: 0, y: 0 })).toBeNull();
+      const singularTps = { ...transform, base: singularBase };
+      expect(applyTransform(singularTps, { x: 1, y: 0 })).toBeNull();
+      expect(jacobianForTransform(singularTps, { x: 1, y: 0 })).toBeNull();
+    });
+  });
+
+  describe('parameter covariance', () => {
+    const noise = [0.8, -1.1, 0.4, 1.3, -0.6, -0.9, 1.0, -0.2, 0.5, -1.4];
+    const gridPixels = [
+      { x: 0, y: 0 },
+      { x: 100, y: 0 },
+      { x: 0, y: 100 },
+      { x: 100, y: 100 },
+      { x: 50, y: 50 },
+    ];
+    const noisyPairs = gridPixels.map((pixel, index) => ({
+      pixel,
+      enu: {
+        x: 2 * pixel.x + 0.3 * pixel.y + 5 + noise[2 * index],
+        y: -0.2 * pixel.x + 1.5 * pixel.y - 8 + noise[2 * index + 1],
+      },
+    }));
+
+    test('fits carry a covariance only when the pairs over-determine the model', () => {
+      expect(fitAffine(noisyPairs).covariance).toHaveLength(6);
+      expect(fitSimilarity(noisyPairs).covariance).toHaveLength(4);
+      expect(fitHomography(noisyPairs).covariance).toHaveLength(8);
+
+      const minimal = fitAffine(noisyPairs.slice(0, 3));
+      expect(minimal.covariance).toBeNull();
+      expect(predictionCovariance(minimal, { x: 10, y: 10 })).toBeNull();
+    });
+
+    test('predictionCovariance grows away from the control points', () => {
+      const transform = fitAffine(noisyPairs);
+      const inside = predictionCovariance(transform, { x: 50, y: 50 });
+      const outside = predictionCovariance(transform, { x: 600, y: -400 });
+      expect(inside[0][1]).toBeCloseTo(inside[1][0]);
+      expect(outside[0][0] + outside[1][1]).toBeGreaterThan(10 * (inside[0][0] + inside[1][1]));
+
+      const tps = fitThinPlateSpline(noisyPairs, { base: transform, lambda: 0.1 });
+      expect(predictionCovariance(tps, { x: 50, y: 50 })).toEqual(inside);
+    });
+
+    test('parameterJacobian matches finite differences of the homography', () => {
+      const transform = fitHomography(noisyPairs);
+      const pixel = { x: 30, y: 70 };
+      const jacobian = parameterJacobian(transform, pixel);
+      const step = 1e-7;
+      const shift = (k, delta) => {
+        const matrix = transform.matrix.map((row) => row.slice());
+        matrix[Math.floor(k / 3)][k % 3] += delta;
+        return applyTransform({ type: 'homography', matrix }, pixel);
+      };
+      for (let k = 0; k < 8; k += 1) {
+        const forward = shift(k, step);
+        const backward = shift(k, -step);
+        expect(jacobian[0][k]).toBeCloseTo((forward.x - backward.x) / (2 * step), 2);
+        expect(jacobian[1][k]).toBeCloseTo((forward.y - backward.y) / (2 * step), 2);
+      }
+      expect(parameterJacobian({ type: 'homography', matrix: [[1, 0, 0], [0, 1, 0], [1, 0, -1]] }, { x: 1, y: 0 })).toBeNull();
+      expect(parameterJacobian({ type: 'tps' }, pixel)).toBeNull();
+    });
+  });
+
+  describe('normalized fitting', () => {
+    const truth = {
+      type: 'homography',
+      matrix: [
+        [0.9, 0.12, 3200],
+        [-0.08, 1.1, -2100],
+        [2e-5, -1.5e-5, 1],
+      ],
+    };
+    const photoPixels = [
+      [0, 0], [4096, 0], [0, 3072], [4096, 3072], [2048, 1536], [1024, 2600], [3500, 700], [600, 1200],
+    ].map(([x, y]) => ({ x, y }));
+    const noise = [3, -2, -4, 1, 2, 5, -1, -3, 4, 2, -5, 0, 1, -2, -2, 3];
+
+    test('fitHomography recovers a large-scale homography exactly', () => {
+      const pairs = photoPixels.map((pixel) => ({ pixel, enu: applyTransform(truth, pixel) }));
+      const transform = fitHomography(pairs);
+      photoPixels.forEach((pixel) => {
+        const predicted = applyTransform(transform, pixel);
+        const expected = applyTransform(truth, pixel);
+        expect(predicted.x).toBeCloseTo(expected.x, 4);
+        expect(predicted.y).toBeCloseTo(expected.y, 4);
+      });
+      expect(transform.conditionNumber).toBeGreaterThan(1);
+      expect(transform.conditionNumber).toBeLessThan(100);
+    });
+
+    test('fitHomography refines the DLT estimate to a least-squares ENU fit', () => {
+      const pairs = photoPixels.map((pixel, i) => {
+        const enu = applyTransform(truth, pixel);
+        return { pixel, enu: { x: enu.x + noise[2 * i], y: enu.y + noise[2 * i + 1] } };
+      });
+      const transform = fitHomography(pairs);
+      const sumSquares = (model) => pairs.reduce((sum, pair) => {
+        const predicted = applyTransform(model, pair.pixel);
+        return sum + (predicted.x - pair.enu.x) ** 2 + (predicted.y - pair.enu.y) ** 2;
+      }, 0);
+      // At the optimum no single-parameter nudge lowers the error.
+      const best = sumSquares(transform);
+      [[0, 2], [1, 2], [2, 0], [2, 1]].forEach(([row, col]) => {
+        [-1, 1].forEach((sign) => {
+          const matrix = transform.matrix.map((entries) => entries.slice());
+          matrix[row][col] += sign * Math.abs(matrix[row][col]) * 1e-4;
+          expect(sumSquares({ type: 'homography', matrix })).toBeGreaterThanOrEqual(best);
+        });
+      });
+      expect(transform.covariance).toHaveLength(8);
+    });
+
+    test('near-collinear pairs report a large condition number', () => {
+      const line = [[0, 0], [1000, 1000], [2000, 2000.5], [3000, 3000], [4000, 4001]].map(([x, y]) => ({
+        pixel: { x, y },
+        enu: { x: 1.2 * x + 0.1 * y, y: -0.2 * x + 0.9 * y },
+      }));
+      expect(fitAffine(line).conditionNumber).toBeGreaterThan(1e3);
+      expect(fitAffine(noisyAffinePairs()).conditionNumber).toBeLessThan(10);
+      expect(fitHomography(line.map((pair) => ({ ...pair, pixel: { x: 0, y: 0 } })))).toBeNull();
+    });
+  });
+
+  describe('polynomial transforms', () => {
+    // A trailboard photo bent around a post: the x scale grows with y and the rows sag.
+    const warp = ({ x, y }) => ({
+      x: 2 * x + 0.3 * y + 1e-3 * x * y + 5,
+      y: -0.2 * x + 1.5 * y + 5e-4 * x * x - 1e-6 * y * y * y,
+    });
+    const gridPairs = [];
+    for (let x = 0; x <= 400; x += 100) {
+      for (let y = 0; y <= 300; y += 100) {
+        gridPairs.push({ pixel: { x, y }, enu: warp({ x, y }) });
+      }
+    }
+
+    test('term counts set the minimum pair counts', () => {
+      expect(polynomialTermCount(2)).toBe(6);
+      expect(polynomialTermCount(3)).toBe(10);
+      expect(fitPolynomial(gridPairs.slice(0, 5), null, 2)).toBeNull();
+      expect(fitPolynomial(gridPairs.slice(0, 9), null, 3)).toBeNull();
+      expect(fitPolynomial(gridPairs.map((pair) => ({ ...pair, pixel: { x: 1, y: 1 } })), null, 2)).toBeNull();
+    });
+
+    test('a cubic reproduces a cubic warp and inverts it', () => {
+      const transform = fitPolynomial(gridPairs, null, 3);
+      expect(transform.type).toBe('polynomial');
+      expect(transform.conditionNumber).toBeLessThan(1e3);
+      const pixel = { x: 130, y: 260 };
+      const predicted = applyTransform(transform, pixel);
+      expect(predicted.x).toBeCloseTo(warp(pixel).x, 6);
+      expect(predicted.y).toBeCloseTo(warp(pixel).y, 6);
+      const back = applyInverseTransform(transform, predicted);
+      expect(back.x).toBeCloseTo(pixel.x, 4);
+      expect(back.y).toBeCloseTo(pixel.y, 4);
+    });
+
+    test('a quadratic fits the warp in the least-squares sense', () => {
+      const transform = fitPolynomial(gridPairs, null, 2);
+      const affineError = gridPairs.reduce((sum, pair) => sum + Math.hypot(
+        applyTransform(fitAffine(gridPairs), pair.pixel).x - pair.enu.x,
+        applyTransform(fitAffine(gridPairs), pair.pixel).y - pair.enu.y,
+      ), 0);
+      const quadraticError = gridPairs.reduce((sum, pair) => {
+        const predicted = applyTransform(transform, pair.pixel);
+        return sum + Math.hypot(predicted.x - pair.enu.x, predicted.y - pair.enu.y);
+      }, 0);
+      expect(quadraticError).toBeLessThan(affineError / 5);
+      expect(transform.covariance).toHaveLength(12);
+      expect(predictionCovariance(transform, { x: 200, y: 150 })[0][0]).toBeGreaterThan(0);
+    });
+
+    test('jacobians match finite differences', () => {
+      const transform = fitPolynomial(gridPairs, null, 3);
+      const pixel = { x: 170, y: 90 };
+      const step = 1e-4;
+      const jacobian = jacobianForTransform(transform, pixel);
+      const dx = [applyTransform(transform, { x: pixel.x + step, y: pixel.y }), applyTransform(transform, { x: pixel.x - step, y: pixel.y })];
+      const dy = [applyTransform(transform, { x: pixel.x, y: pixel.y + step }), applyTransform(transform, { x: pixel.x, y: pixel.y - step })];
+      expect(jacobian[0][0]).toBeCloseTo((dx[0].x - dx[1].x) / (2 * step), 5);
+      expect(jacobian[1][0]).toBeCloseTo((dx[0].y - dx[1].y) / (2 * step), 5);
+      expect(jacobian[0][1]).toBeCloseTo((dy[0].x - dy[1].x) / (2 * step), 5);
+      expect(jacobian[1][1]).toBeCloseTo((dy[0].y - dy[1].y) / (2 * step), 5);
+
+      const parameters = parameterJacobian(transform, pixel);
+      expect(parameters[0]).toHaveLength(20);
+      const shifted = { ...transform, coefficients: { ...transform.coefficients, y: transform.coefficients.y.map((value, k) => (k === 4 ? value + 1 : value)) } };
+      expect(applyTransform(shifted, pixel).y - applyTransform(transform, pixel).y).toBeCloseTo(parameters[1][14], 8);
+    });
+  });
+
+  describe('piecewise-affine transforms', () => {
+    // Hand-painted board: each pair is off the affine truth by a different amount.
+    const sketchPairs = [[0, 0, 3, -2], [200, 0, -6, 4], [0, 200, 5, 5], [200, 200, -4, -7], [90, 110, 12, -9]].map(
+      ([x, y, dx, dy]) => ({ pixel: { x, y }, enu: { x: 2 * x + 0.3 * y + dx, y: -0.2 * x + 1.5 * y + dy } }),
+    );
+
+    test('reproduces every pair exactly and inverts inside the hull', () => {
+      const transform = fitPiecewiseAffine(sketchPairs);
+      expect(transform.type).toBe('piecewise');
+      expect(transform.triangles).toHaveLength(4);
+      sketchPairs.forEach((pair) => {
+        const predicted = applyTransform(transform, pair.pixel);
+        expect(predicted.x).toBeCloseTo(pair.enu.x, 9);
+        expect(predicted.y).toBeCloseTo(pair.enu.y, 9);
+      });
+      const pixel = { x: 40, y: 150 };
+      const back = applyInverseTransform(transform, applyTransform(transform, pixel));
+      expect(back.x).toBeCloseTo(pixel.x, 9);
+      expect(back.y).toBeCloseTo(pixel.y, 9);
+    });
+
+    test('falls back to the global affine outside the hull', () => {
+      const transform = fitPiecewiseAffine(sketchPairs);
+      const outside = { x: 500, y: -300 };
+      expect(applyTransform(transform, outside)).toEqual(applyTransform(transform.base, outside));
+      const enu = applyTransform(transform.base, outside);
+      expect(applyInverseTransform(transform, enu).x).toBeCloseTo(outside.x, 6);
+      expect(jacobianForTransform(transform, outside)).toEqual(jacobianForTransform(transform.base, outside));
+      expect(predictionCovariance(transform, outside)).toEqual(predictionCovariance(transform.base, outside));
+    });
+
+    test('uses each triangle\'s affine map as the Jacobian', () => {
+      const transform = fitPiecewiseAffine(sketchPairs);
+      const pixel = { x: 150, y: 60 };
+      const step = 1e-3;
+      const jacobian = jacobianForTransform(transform, pixel);
+      const right = applyTransform(transform, { x: pixel.x + step, y: pixel.y });
+      const up = applyTransform(transform, { x: pixel.x, y: pixel.y + step });
+      const here = applyTransform(transform, pixel);
+      expect(jacobian[0][0]).toBeCloseTo((right.x - here.x) / step, 6);
+      expect(jacobian[1][0]).toBeCloseTo((right.y - here.y) / step, 6);
+      expect(jacobian[0][1]).toBeCloseTo((up.x - here.x) / step, 6);
+      expect(jacobian[1][1]).toBeCloseTo((up.y - here.y) / step, 6);
+    });
+
+    test('needs three non-collinear pairs', () => {
+      expect(fitPiecewiseAffine(sketchPairs.slice(0, 2))).toBeNull();
+      const line = [0, 50, 100].map((x) => ({ pixel: { x, y: x }, enu: { x, y: x } }));
+      expect(fitPiecewiseAffine(line)).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,112 @@
+// Edge of the bounding triangle relative to the point spread; large enough that it does not bend the hull.
+const SUPER_TRIANGLE_SCALE = 100;
+// Triangles whose doubled area is below this share of the spread² are slivers and dropped.
+const SLIVER_AREA_RATIO = 1e-9;
+// Barycentric slack so points on a shared edge (or the hull) still find a triangle.
+const BARYCENTRIC_TOLERANCE = 1e-9;
+
+function orientation(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+// True when `point` lies strictly inside the circumcircle of the counter-clockwise triangle.
+function inCircumcircle(points, [i, j, k], point) {
+  const rows = [points[i], points[j], points[k]].map((vertex) => {
+    const dx = vertex.x - point.x;
+    const dy = vertex.y - point.y;
+    return [dx, dy, dx * dx + dy * dy];
+  });
+  const [[a, b, c], [d, e, f], [g, h, l]] = rows;
+  return a * (e * l - f * h) - b * (d * l - f * g) + c * (d * h - e * g) > 0;
+}
+
+function triangleEdges([a, b, c]) {
+  return [
+    [a, b],
+    [b, c],
+    [c, a],
+  ];
+}
+
+// Edges of the cavity left by the removed triangles, in their counter-clockwise order.
+function cavityBoundary(removed) {
+  const edges = [];
+  removed.forEach((triangle) => {
+    triangleEdges(triangle).forEach(([a, b]) => {
+      const shared = removed.some((other) => other !== triangle && other.includes(a) && other.includes(b));
+      if (!shared) {
+        edges.push([a, b]);
+      }
+    });
+  });
+  return edges;
+}
+
+/**
+ * Delaunay triangulation (Bowyer–Watson) of `points` ({ x, y }). Returns counter-clockwise index
+ * triples; coincident points are skipped and sliver triangles along collinear runs are dropped.
+ */
+export function delaunayTriangulation(points) {
+  if (points.length < 3) {
+    return [];
+  }
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spread = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+  const midX = minX + spread / 2;
+  const midY = minY + spread / 2;
+  const size = SUPER_TRIANGLE_SCALE * spread;
+  const n = points.length;
+  const all = points.concat([
+    { x: midX - size, y: midY - size },
+    { x: midX + size, y: midY - size },
+    { x: midX, y: midY + size },
+  ]);
+
+  let triangles = [[n, n + 1, n + 2]];
+  points.forEach((point, index) => {
+    const removed = triangles.filter((triangle) => inCircumcircle(all, triangle, point));
+    const added = cavityBoundary(removed).map(([a, b]) => [a, b, index]);
+    triangles = triangles.filter((triangle) => !removed.includes(triangle)).concat(added);
+  });
+
+  const minArea = SLIVER_AREA_RATIO * spread * spread;
+  return triangles.filter(
+    (triangle) => triangle.every((index) => index < n) && orientation(...triangle.map((index) => points[index])) > minArea,
+  );
+}
+
+// Barycentric weights of `point` in the triangle (either orientation); null for degenerate triangles.
+function barycentric([a, b, c], point) {
+  const area = orientation(a, b, c);
+  if (area === 0) {
+    return null;
+  }
+  return [orientation(point, b, c) / area, orientation(a, point, c) / area, orientation(a, b, point) / area];
+}
+
+/**
+ * First triangle of `triangles` (index triples into `vertices`) containing `point`, with the
+ * point's barycentric `weights`; null outside the triangulation.
+ */
+export function locateTriangle(vertices, triangles, point) {
+  for (let t = 0; t < triangles.length; t += 1) {
+    const weights = barycentric(
+      triangles[t].map((index) => vertices[index]),
+      point,
+    );
+    if (weights && weights.every((weight) => weight >= -BARYCENTRIC_TOLERANCE)) {
+      return { triangle: triangles[t], weights };
+    }
+  }
+  return null;
+}
+
+const api = {
+  delaunayTriangulation,
+  locateTriangle,
+};
+
+export default api;
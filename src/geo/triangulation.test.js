@@ -0,0 +1,56 @@
+import { delaunayTriangulation, locateTriangle } from './triangulation.js';
+
+const signedArea = (points, [a, b, c]) =>
+  (points[b].x - points[a].x) * (points[c].y - points[a].y) - (points[b].y - points[a].y) * (points[c].x - points[a].x);
+
+describe('triangulation', () => {
+  test('splits a square with a centre point into four counter-clockwise triangles', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 10, y: 10 },
+      { x: 0, y: 10 },
+      { x: 5, y: 5 },
+    ];
+    const triangles = delaunayTriangulation(points);
+    expect(triangles).toHaveLength(4);
+    triangles.forEach((triangle) => {
+      expect(triangle).toContain(4);
+      expect(signedArea(points, triangle)).toBeGreaterThan(0);
+    });
+    const total = triangles.reduce((sum, triangle) => sum + signedArea(points, triangle) / 2, 0);
+    expect(total).toBeCloseTo(100);
+  });
+
+  test('no point lies inside another triangle of a scattered set', () => {
+    const points = [[3, 7], [91, 12], [47, 55], [12, 88], [76, 81], [60, 30], [25, 40], [88, 50]].map(([x, y]) => ({ x, y }));
+    const triangles = delaunayTriangulation(points);
+    expect(triangles.length).toBeGreaterThanOrEqual(points.length - 2);
+    triangles.forEach((triangle) => {
+      points.forEach((point, index) => {
+        if (!triangle.includes(index)) {
+          const hit = locateTriangle(points, [triangle], point);
+          expect(hit).toBeNull();
+        }
+      });
+    });
+  });
+
+  test('handles too few, coincident and collinear points', () => {
+    expect(delaunayTriangulation([{ x: 0, y: 0 }, { x: 1, y: 1 }])).toEqual([]);
+    expect(delaunayTriangulation([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }])).toEqual([]);
+    const withDuplicate = delaunayTriangulation([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 4 }, { x: 4, y: 0 }]);
+    expect(withDuplicate).toHaveLength(1);
+  });
+
+  test('locateTriangle returns barycentric weights and null outside', () => {
+    const vertices = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 4 }];
+    const hit = locateTriangle(vertices, [[0, 1, 2]], { x: 1, y: 1 });
+    expect(hit.weights[0]).toBeCloseTo(0.5);
+    expect(hit.weights[1]).toBeCloseTo(0.25);
+    expect(hit.weights[2]).toBeCloseTo(0.25);
+    expect(locateTriangle(vertices, [[0, 2, 1]], { x: 4, y: 0 }).weights[2]).toBeCloseTo(1);
+    expect(locateTriangle(vertices, [[0, 1, 2]], { x: 3, y: 3 })).toBeNull();
+    expect(locateTriangle([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }], [[0, 1, 2]], { x: 1, y: 1 })).toBeNull();
+  });
+});
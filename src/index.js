@@ -1,21 +1,61 @@
 /* istanbul ignore file */
 /* global L */
+import { computeAccuracyRing, pairSigmaMeters, isPairActive, accuracyRingRadiusPixels } from 'snap2map/calibrator';
 import {
-  calibrateMap,
-  computeAccuracyRing,
-  projectLocationToPixel,
-  accuracyRingRadiusPixels,
-} from 'snap2map/calibrator';
+  errorColor,
+  createErrorMetrics,
+  heatmapGrid,
+  initialHeatmapColumns,
+  nextHeatmapColumns,
+} from 'snap2map/errorMetrics';
+import { DIAGNOSTIC_CODES } from 'snap2map/diagnostics';
+import { createCalibrationClient } from 'snap2map/calibrationClient';
+import { createCalibrationModel } from 'snap2map/calibrationModel';
+import { GRID_SYSTEMS, wgs84ToGrid, gridToWgs84 } from 'snap2map/projection';
+import { COORDINATE_FORMATS, formatCoordinate, parseCoordinate } from 'snap2map/coordinateFormat';
 
 const GUIDED_PAIR_TARGET = 2;
 const MAX_PHOTO_DIMENSION = 2048*2; // pixels
+const TPS_SUGGEST_RMSE = 20; // meters
+const TPS_SUGGEST_MAX_RESIDUAL = 50; // meters
+const ACCURACY_ELLIPSE_VERTICES = 48;
+// OSM zoom levels from which a map tap defaults to high / medium precision; below is low.
+const HIGH_TAP_PRECISION_ZOOM = 17;
+const MEDIUM_TAP_PRECISION_ZOOM = 14;
+// Inlier pairs whose final robust weight is below this are shown in amber as down-weighted.
+const DOWNWEIGHTED_PAIR_WEIGHT = 0.8;
+// Resolved against the page, like the import map; workers do not see import maps.
+const CALIBRATION_WORKER_URL = './src/calibration/calibrationWorker.js';
+
+const KIND_BADGE_CLASSES = {
+  tps: 'bg-sky-200 text-sky-800',
+  homography: 'bg-emerald-200 text-emerald-800',
+  affine: 'bg-yellow-200 text-yellow-800',
+  similarity: 'bg-orange-200 text-orange-800',
+};
 
 const state = {
   imageDataUrl: null,
   imageSize: null,
-  pairs: [],
-  calibration: null,
+  // Grid system id (see GRID_SYSTEMS) for typed pair locations and tapped positions; '' shows lat/lon only
+  gridSystem: '',
+  // COORDINATE_FORMATS id used for locations in the pair table, the status line and the photo popup
+  coordinateFormat: 'dd',
+  tpsPreview: null,
+  tpsSuggested: false,
+  flipSuggested: false,
+  // Scale bar ends and north arrow head (photo pixels) that let a single pair calibrate the photo
+  scaleBarPoints: [],
+  measuringScaleBar: false,
+  scaleBarLayer: null,
+  northArrowHead: null,
+  northArrowLayer: null,
+  heatmapVisible: false,
+  heatmapLayer: null,
+  heatmapColumns: null,
   activePair: null,
+  // Indexes of confirmed pairs whose residual is announced by the next adopted fit
+  unannouncedPairs: [],
   photoMap: null,
   photoOverlay: null,
   photoPairMarkers: [],
@@ -24,7 +64,7 @@ const state = {
   osmPairMarkers: [],
   osmActiveMarker: null,
   userMarker: null,
-  accuracyCircle: null,
+  accuracyEllipse: null,
   osmLocateControl: null,
   osmLocateHandlersAttached: false,
   geoWatchId: null,
@@ -45,6 +85,13 @@ const state = {
 
 const dom = {};
 
+// Pairs, fit settings and the current calibration; fits run in a worker where the browser allows it.
+const calibrationModel = createCalibrationModel({
+  client: createCalibrationClient({
+    createWorker: () => new Worker(CALIBRATION_WORKER_URL, { type: 'module' }),
+  }),
+});
+
 function $(id) {
   return document.getElementById(id);
 }
@@ -154,35 +201,95 @@ function finalizeMapSelection() {
   }
 }
 
-function formatLatLon(value, positive, negative) {
-  const direction = value >= 0 ? positive : negative;
-  return `${value.toFixed(6)}° ${direction}`;
+function formatMeters(value) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return Number.isFinite(value) ? `${value.toFixed(1)} m` : '∞';
+}
+
+function pairCalibrationValue(field, index) {
+  const calibration = calibrationModel.calibration();
+  return calibration && Array.isArray(calibration[field]) ? calibration[field][index] : null;
+}
+
+// Pair-set diagnostics from the last calibration attempt, kept even when the fit failed.
+function calibrationDiagnostics() {
+  const result = calibrationModel.result();
+  return result && result.diagnostics ? result.diagnostics : [];
+}
+
+function formatQualitySummary(quality) {
+  const summary = `RMSE ${quality.rmse.toFixed(2)} m · Max residual ${quality.maxResidual.toFixed(2)} m`;
+  if (quality.looRmse === null || quality.looRmse === undefined) {
+    return summary;
+  }
+  return `${summary} · LOO RMSE ${formatMeters(quality.looRmse)}`;
+}
+
+function formatModelRanking(selection) {
+  if (!selection) {
+    return '';
+  }
+  const ranking = selection.ranking.map((entry) => `${entry.kind} (AIC ${entry.aic.toFixed(1)})`).join(' · ');
+  const pinned = selection.ranking.some((entry) => entry.kind === selection.pinnedKind);
+  const unavailable = selection.pinnedKind && !pinned ? ` — ${selection.pinnedKind} needs more pairs` : '';
+  return `Model ranking: ${ranking}${unavailable}`;
+}
+
+// Ring for the last GPS fix, using the local map error at the projected pixel when possible.
+function currentAccuracyRing() {
+  const coords = state.lastPosition.coords;
+  const gpsAccuracy = coords.accuracy || 50;
+  const location = { lat: coords.latitude, lon: coords.longitude };
+  const calibration = calibrationModel.calibration();
+  return (
+    accuracyRingRadiusPixels(calibration, location, gpsAccuracy, calibrationModel.pairs()) ||
+    computeAccuracyRing(calibration, gpsAccuracy)
+  );
+}
+
+function formatAccuracyDetails(ring) {
+  let mapSource = 'global';
+  if (ring.mapErrorSource === 'local') {
+    mapSource = ring.extrapolated ? 'local, outside reference pairs' : 'local';
+  }
+  const modelText = ring.sigmaModel ? `, Model ${ring.sigmaModel.toFixed(1)} m` : '';
+  return `Combined accuracy ${ring.sigmaTotal.toFixed(1)} m (GPS ${ring.sigmaGps.toFixed(1)} m, Map ${ring.sigmaMap.toFixed(1)} m ${mapSource}${modelText})`;
 }
 
 function updateStatusText() {
   if (!dom.calibrationStatus) {
     return;
   }
-  if (!state.calibration || state.calibration.status !== 'ok') {
-    dom.calibrationStatus.textContent = 'Add at least two reference pairs to calibrate the photo.';
+  const calibration = calibrationModel.calibration();
+  if (!calibration) {
+    dom.calibrationStatus.textContent = 'Add at least two reference pairs, or one with the scale bar and north set, to calibrate the photo.';
     dom.calibrationBadge.textContent = 'No calibration';
     dom.calibrationBadge.className = 'px-2 py-1 rounded text-xs font-semibold bg-gray-200 text-gray-700';
     dom.residualSummary.textContent = '';
     dom.accuracyDetails.textContent = '';
+    dom.modelRanking.textContent = '';
+    dom.improveAccuracyButton.classList.add('hidden');
+    dom.heatmapToggleButton.classList.add('hidden');
     return;
   }
 
-    const { kind, quality, statusMessage } = state.calibration;
+  const { kind, quality, statusMessage, modelSelection } = calibration;
   dom.calibrationStatus.textContent = statusMessage.message;
   dom.calibrationBadge.textContent = kind.toUpperCase();
-  const badgeColor = kind === 'homography' ? 'bg-emerald-200 text-emerald-800' : kind === 'affine' ? 'bg-yellow-200 text-yellow-800' : 'bg-orange-200 text-orange-800';
+  const badgeColor = KIND_BADGE_CLASSES[kind] || KIND_BADGE_CLASSES.similarity;
   dom.calibrationBadge.className = `px-2 py-1 rounded text-xs font-semibold ${badgeColor}`;
-  dom.residualSummary.textContent = `RMSE ${quality.rmse.toFixed(2)} m · Max residual ${quality.maxResidual.toFixed(2)} m`;
+  dom.improveAccuracyButton.classList.remove('hidden');
+  dom.heatmapToggleButton.classList.remove('hidden');
+  dom.improveAccuracyButton.textContent = kind === 'tps' ? 'Adjust refinement' : 'Improve accuracy';
+  dom.residualSummary.textContent = formatQualitySummary(quality);
+  dom.modelRanking.textContent = formatModelRanking(modelSelection);
 
   if (state.lastPosition) {
-      const ring = computeAccuracyRing(state.calibration, state.lastPosition.coords.accuracy || 50);
+      const ring = currentAccuracyRing();
     if (ring) {
-      dom.accuracyDetails.textContent = `Combined accuracy ${ring.sigmaTotal.toFixed(1)} m (GPS ${ring.sigmaGps.toFixed(1)} m, Map ${ring.sigmaMap.toFixed(1)} m)`;
+      dom.accuracyDetails.textContent = formatAccuracyDetails(ring);
     }
   } else {
     dom.accuracyDetails.textContent = '';
@@ -196,6 +303,9 @@ function setPhotoImportState(hasImage) {
   if (dom.replacePhotoButton) {
     dom.replacePhotoButton.classList.toggle('hidden', !hasImage);
   }
+  if (dom.flipPhotoButton) {
+    dom.flipPhotoButton.classList.toggle('hidden', !hasImage);
+  }
 }
 
 function clearMarkers(markers) {
@@ -203,6 +313,48 @@ function clearMarkers(markers) {
   return [];
 }
 
+// 'outlier', 'downweighted' or 'inlier' for an enabled pair of the current calibration.
+function pairFitRole(index) {
+  if (!pairCalibrationValue('inliers', index)) {
+    return 'outlier';
+  }
+  const weight = pairCalibrationValue('weights', index);
+  return weight !== null && weight < DOWNWEIGHTED_PAIR_WEIGHT ? 'downweighted' : 'inlier';
+}
+
+const PAIR_ROLE_COLORS = { inlier: '#16a34a', downweighted: '#f59e0b', outlier: '#dc2626' };
+const PAIR_ROLE_CLASSES = { inlier: 'bg-green-500', downweighted: 'bg-amber-400', outlier: 'bg-red-500' };
+
+function pairMarkerColor(pair, index) {
+  if (!calibrationModel.calibration()) {
+    return '#2563eb';
+  }
+  if (!isPairActive(pair)) {
+    return '#94a3b8';
+  }
+  return PAIR_ROLE_COLORS[pairFitRole(index)];
+}
+
+// Clicking a pair marker toggles the pair; the click must not reach the map, where it would place a point.
+// While a pair or the scale bar is being placed, the click goes to `placePoint` (the map's click handler) instead.
+function createPairMarker(latlng, color, tooltip, index, placePoint) {
+  return L.circleMarker(latlng, {
+    radius: 6,
+    color,
+    weight: 2,
+    fillOpacity: 0.1,
+    bubblingMouseEvents: false,
+  })
+    .bindTooltip(tooltip)
+    .on('click', (event) => {
+      if (state.activePair || state.measuringScaleBar) {
+        placePoint(event);
+      } else {
+        togglePairActive(index);
+      }
+    });
+}
+
 function refreshPairMarkers() {
   if (!state.photoMap || !state.osmMap) {
     return;
@@ -211,51 +363,78 @@ function refreshPairMarkers() {
   state.photoPairMarkers = clearMarkers(state.photoPairMarkers);
   state.osmPairMarkers = clearMarkers(state.osmPairMarkers);
 
-  state.pairs.forEach((pair, index) => {
-    const residual = state.calibration && state.calibration.residuals ? state.calibration.residuals[index] : null;
-    const inlier = state.calibration && state.calibration.inliers ? state.calibration.inliers[index] : false;
-    const color = !state.calibration ? '#2563eb' : inlier ? '#16a34a' : '#dc2626';
-    const label = residual !== null && residual !== undefined ? `${residual.toFixed(1)} m` : '—';
-
-    const photoMarker = L.circleMarker([pair.pixel.y, pair.pixel.x], {
-      radius: 6,
-      color,
-      weight: 2,
-      fillOpacity: 0.1,
-    }).bindTooltip(`Pair ${index + 1}: ${label}`);
+  calibrationModel.pairs().forEach((pair, index) => {
+    const color = pairMarkerColor(pair, index);
+    const label = `${formatMeters(pairCalibrationValue('residuals', index))} · LOO ${formatMeters(pairCalibrationValue('looErrors', index))}`;
+    const tooltip = `Pair ${index + 1}${isPairActive(pair) ? '' : ' (disabled)'}: ${label} — click to ${isPairActive(pair) ? 'disable' : 'enable'}`;
+
+    const photoMarker = createPairMarker([pair.pixel.y, pair.pixel.x], color, tooltip, index, handlePhotoClick);
     photoMarker.addTo(state.photoMap);
     state.photoPairMarkers.push(photoMarker);
 
-    const osmMarker = L.circleMarker([pair.wgs84.lat, pair.wgs84.lon], {
-      radius: 6,
-      color,
-      weight: 2,
-      fillOpacity: 0.1,
-    }).bindTooltip(`Pair ${index + 1}: ${label}`);
+    const osmMarker = createPairMarker([pair.wgs84.lat, pair.wgs84.lon], color, tooltip, index, handleOsmClick);
     osmMarker.addTo(state.osmMap);
     state.osmPairMarkers.push(osmMarker);
   });
 }
 
+function renderDiagnostics() {
+  if (!dom.diagnosticsList) {
+    return;
+  }
+  dom.diagnosticsList.innerHTML = '';
+  const diagnostics = calibrationDiagnostics();
+  diagnostics.forEach((diagnostic) => {
+    const item = document.createElement('li');
+    item.className = diagnostic.severity === 'error' ? 'text-rose-300' : 'text-amber-300';
+    item.textContent = diagnostic.message;
+    dom.diagnosticsList.appendChild(item);
+  });
+  dom.diagnosticsList.classList.toggle('hidden', diagnostics.length === 0);
+}
+
+// Warning marker for the pair table; its tooltip lists every diagnostic naming the pair.
+function pairDiagnosticBadge(index) {
+  const matches = calibrationDiagnostics().filter((diagnostic) => diagnostic.pairIndexes.includes(index));
+  if (matches.length === 0) {
+    return '';
+  }
+  const colorClass = matches.some((diagnostic) => diagnostic.severity === 'error') ? 'text-rose-300' : 'text-amber-300';
+  const title = matches.map((diagnostic) => diagnostic.message).join('\n').replace(/"/g, '&quot;');
+  return `<span class="${colorClass}" title="${title}">⚠</span>`;
+}
+
+function pairIndicatorClass(pair, index) {
+  if (!calibrationModel.calibration()) {
+    return 'bg-blue-500';
+  }
+  if (!isPairActive(pair)) {
+    return 'bg-slate-500';
+  }
+  return PAIR_ROLE_CLASSES[pairFitRole(index)];
+}
+
 function renderPairList() {
   if (!dom.pairTableBody) {
     return;
   }
   dom.pairTableBody.innerHTML = '';
 
-  state.pairs.forEach((pair, index) => {
+  calibrationModel.pairs().forEach((pair, index) => {
     const row = document.createElement('tr');
-    row.className = index % 2 === 0 ? 'bg-slate-900/40' : 'bg-slate-900/20';
-    const residual = state.calibration && state.calibration.residuals ? state.calibration.residuals[index] : null;
-    const inlier = state.calibration && state.calibration.inliers ? state.calibration.inliers[index] : false;
-    const indicatorClass = !state.calibration ? 'bg-blue-500' : inlier ? 'bg-green-500' : 'bg-red-500';
+    const active = isPairActive(pair);
+    row.className = `${index % 2 === 0 ? 'bg-slate-900/40' : 'bg-slate-900/20'}${active ? '' : ' opacity-50'}`;
+    const residual = pairCalibrationValue('residuals', index);
+    const indicatorClass = pairIndicatorClass(pair, index);
     const indicator = `<span class="inline-block w-2 h-2 rounded-full ${indicatorClass}"></span>`;
 
     row.innerHTML = `
-      <td class="px-4 py-3 text-sm text-slate-200 space-x-2">${indicator}<span>${pair.pixel.x.toFixed(1)}, ${pair.pixel.y.toFixed(1)}</span></td>
-      <td class="px-4 py-3 text-sm text-slate-200">${formatLatLon(pair.wgs84.lat, 'N', 'S')} · ${formatLatLon(pair.wgs84.lon, 'E', 'W')}</td>
-      <td class="px-4 py-3 text-sm text-slate-200">${residual !== null && residual !== undefined ? `${residual.toFixed(1)} m` : '—'}</td>
-      <td class="px-4 py-3 text-right">
+      <td class="px-4 py-3 text-sm text-slate-200 space-x-2">${indicator}<span>${pair.pixel.x.toFixed(1)}, ${pair.pixel.y.toFixed(1)}</span>${pairDiagnosticBadge(index)}</td>
+      <td class="px-4 py-3 text-sm text-slate-200">${formatCoordinate(pair.wgs84, state.coordinateFormat)} <span class="text-xs text-slate-400">${formatPairAccuracy(pair)}</span></td>
+      <td class="px-4 py-3 text-sm text-slate-200">${formatMeters(residual)}</td>
+      <td class="px-4 py-3 text-sm text-slate-300">${formatMeters(pairCalibrationValue('looErrors', index))}</td>
+      <td class="px-4 py-3 text-right space-x-3">
+        <button class="text-sm font-semibold text-slate-300 hover:text-slate-100" data-action="toggle" data-index="${index}">${active ? 'Disable' : 'Enable'}</button>
         <button class="text-sm font-semibold text-rose-300 hover:text-rose-200" data-action="delete" data-index="${index}">Remove</button>
       </td>`;
 
@@ -270,6 +449,11 @@ function stopGeolocationWatch() {
   }
 }
 
+function describeLivePosition({ coords }) {
+  const location = formatCoordinate({ lat: coords.latitude, lon: coords.longitude }, state.coordinateFormat);
+  return `Live position ${location} · accuracy ±${Math.round(coords.accuracy)} m`;
+}
+
 function updateGpsStatus(message, isError) {
   if (!dom.gpsStatus) {
     return;
@@ -278,14 +462,27 @@ function updateGpsStatus(message, isError) {
   dom.gpsStatus.className = isError ? 'text-sm text-rose-400' : 'text-sm text-slate-200';
 }
 
+// Outline of the oriented accuracy ellipse around `center`, in CRS.Simple lat/lng (y, x).
+function ellipseLatLngs(center, ellipse) {
+  const cos = Math.cos(ellipse.rotation);
+  const sin = Math.sin(ellipse.rotation);
+  return Array.from({ length: ACCURACY_ELLIPSE_VERTICES }, (unused, index) => {
+    const angle = (2 * Math.PI * index) / ACCURACY_ELLIPSE_VERTICES;
+    const u = ellipse.semiMajor * Math.cos(angle);
+    const v = ellipse.semiMinor * Math.sin(angle);
+    return L.latLng(center.y + sin * u + cos * v, center.x + cos * u - sin * v);
+  });
+}
+
 function updateLivePosition() {
-  if (!state.photoMap || !state.calibration || state.calibration.status !== 'ok' || !state.lastPosition) {
+  const calibration = calibrationModel.calibration();
+  if (!state.photoMap || !calibration || !state.lastPosition) {
     return;
   }
 
   const coords = state.lastPosition.coords;
   const location = { lat: coords.latitude, lon: coords.longitude };
-  const pixel = projectLocationToPixel(state.calibration, location);
+  const pixel = calibrationModel.projectLatLonToPixel(location.lat, location.lon);
   if (!pixel) {
     return;
   }
@@ -304,22 +501,21 @@ function updateLivePosition() {
     }
   }
 
-  function updateAccuracyCircle(latlngLocal, ring) {
-    if (!ring || !ring.pixelRadius) {
+  function updateAccuracyEllipse(ring) {
+    if (!ring || !ring.ellipse) {
       return;
     }
-    if (!state.accuracyCircle) {
-      state.accuracyCircle = L.circle(latlngLocal, {
-        radius: ring.pixelRadius,
+    const outline = ellipseLatLngs(pixel, ring.ellipse);
+    if (!state.accuracyEllipse) {
+      state.accuracyEllipse = L.polygon(outline, {
         color: ring.color,
         weight: 1,
         fillColor: ring.color,
         fillOpacity: 0.15,
       }).addTo(state.photoMap);
     } else {
-      state.accuracyCircle.setLatLng(latlngLocal);
-      state.accuracyCircle.setRadius(ring.pixelRadius);
-      state.accuracyCircle.setStyle({ color: ring.color, fillColor: ring.color });
+      state.accuracyEllipse.setLatLngs(outline);
+      state.accuracyEllipse.setStyle({ color: ring.color, fillColor: ring.color });
     }
   }
 
@@ -330,11 +526,11 @@ function updateLivePosition() {
     state.photoPendingCenter = false;
   }
 
-  const ring = accuracyRingRadiusPixels(state.calibration, location, coords.accuracy || 50);
-  updateAccuracyCircle(latlng, ring);
+  const ring = accuracyRingRadiusPixels(calibration, location, coords.accuracy || 50, calibrationModel.pairs());
+  updateAccuracyEllipse(ring);
 
   if (dom.accuracyDetails && ring) {
-    dom.accuracyDetails.textContent = `Combined accuracy ${ring.sigmaTotal.toFixed(1)} m (GPS ${ring.sigmaGps.toFixed(1)} m, Map ${ring.sigmaMap.toFixed(1)} m)`;
+    dom.accuracyDetails.textContent = formatAccuracyDetails(ring);
   }
 }
 
@@ -355,7 +551,7 @@ function startGeolocationWatch() {
     (position) => {
       state.lastPosition = position;
       state.lastGpsUpdate = Date.now();
-      updateGpsStatus(`Live position · accuracy ±${Math.round(position.coords.accuracy)} m`, false);
+      updateGpsStatus(describeLivePosition(position), false);
       maybeCenterOsmOnFix(position.coords.latitude, position.coords.longitude);
       updateLivePosition();
       updateStatusText();
@@ -430,7 +626,7 @@ function updatePairStatus() {
   }
 
   const guided = isGuidedActive();
-  const pairNumber = state.pairs.length + 1;
+  const pairNumber = calibrationModel.pairs().length + 1;
 
   if (!state.activePair) {
     setIdlePairStatus(guided);
@@ -449,10 +645,12 @@ function updatePairStatus() {
 }
 
 function beginPairMode() {
-  state.activePair = { pixel: null, wgs84: null };
+  // confidenceChosen: the user picked the tap precision, so map taps stop deriving it from the zoom
+  state.activePair = { pixel: null, wgs84: null, accuracy: null, confidenceChosen: false };
   clearActivePairMarkers();
   updatePairStatus();
   dom.addPairButton.disabled = true;
+  setCoordinateEntryEnabled(true);
   if (!isGuidedActive()) {
     showToast('Tap the photo to drop the pixel anchor.');
   }
@@ -463,6 +661,7 @@ function cancelPairMode() {
   clearActivePairMarkers();
   updatePairStatus();
   dom.addPairButton.disabled = isGuidedActive();
+  setCoordinateEntryEnabled(false);
 }
 
 function showGuidedPairSavedToast(index) {
@@ -470,10 +669,7 @@ function showGuidedPairSavedToast(index) {
     return;
   }
 
-  const residual =
-    state.calibration && Array.isArray(state.calibration.residuals)
-      ? state.calibration.residuals[index]
-      : null;
+  const residual = pairCalibrationValue('residuals', index);
   const residualText = residual !== null && residual !== undefined ? `${residual.toFixed(1)} m` : '—';
   const tone = residual !== null && residual <= 30 ? 'success' : 'info';
   showToast(`Pair ${index + 1} saved — residual ${residualText}.`, { tone });
@@ -485,19 +681,19 @@ function promptNextGuidedPair() {
   beginPairMode();
   updatePairStatus();
   setActiveView('photo');
-  const nextPairNumber = state.pairs.length + 1;
+  const nextPairNumber = calibrationModel.pairs().length + 1;
   const message = nextPairNumber === 2 ? 'Tap the second point on your photo.' : 'Tap the next point on your photo.';
   showToast(message);
 }
 
-function advanceGuidedFlow() {
+function advanceGuidedFlow(completed = 1) {
   if (!isGuidedActive()) {
     return;
   }
 
-  state.guidedPairing.pairsCompleted += 1;
+  state.guidedPairing.pairsCompleted += completed;
 
-  if (state.pairs.length >= state.guidedPairing.targetCount) {
+  if (calibrationModel.pairs().length >= state.guidedPairing.targetCount) {
     setActiveView('photo');
     stopGuidedPairing('complete');
     updatePairStatus();
@@ -507,47 +703,153 @@ function advanceGuidedFlow() {
   promptNextGuidedPair();
 }
 
+function tapConfidenceForZoom(zoom) {
+  if (zoom >= HIGH_TAP_PRECISION_ZOOM) {
+    return 'high';
+  }
+  return zoom >= MEDIUM_TAP_PRECISION_ZOOM ? 'medium' : 'low';
+}
+
+// GPS captures keep their reported accuracy; map taps carry the chosen tap precision instead.
+function pairCaptureQuality(activePair) {
+  if (Number.isFinite(activePair.accuracy)) {
+    return { accuracy: activePair.accuracy, confidence: null };
+  }
+  return { accuracy: null, confidence: dom.pairConfidenceSelect.value };
+}
+
+function formatPairAccuracy(pair) {
+  if (Number.isFinite(pair.accuracy)) {
+    return `GPS ±${Math.round(pair.accuracy)} m`;
+  }
+  return `tap ±${pairSigmaMeters(pair)} m`;
+}
+
 function confirmPair() {
   if (!state.activePair || !state.activePair.pixel || !state.activePair.wgs84) {
     return;
   }
-  state.pairs.push({
-    pixel: state.activePair.pixel,
-    wgs84: state.activePair.wgs84,
-  });
+  const pairs = calibrationModel.pairs();
+  const savedIndex = pairs.length;
+  calibrationModel.setPairs([
+    ...pairs,
+    { pixel: state.activePair.pixel, wgs84: state.activePair.wgs84, ...pairCaptureQuality(state.activePair) },
+  ]);
   cancelPairMode();
-  renderPairList();
-  refreshPairMarkers();
+  state.unannouncedPairs.push(savedIndex);
   recalculateCalibration();
+}
 
-  const savedIndex = state.pairs.length - 1;
+// Called for every adopted fit. Changing pairs cancels running fits, so whichever fit is adopted next
+// includes every pair confirmed since the last announcement; a reset (no result) drops them unannounced.
+function announceSavedPairs(result) {
+  const savedIndexes = state.unannouncedPairs;
+  state.unannouncedPairs = [];
+  if (!result || savedIndexes.length === 0) {
+    return;
+  }
+  savedIndexes.forEach(announceSavedPair);
+  advanceGuidedFlow(savedIndexes.length);
+}
+
+function announceSavedPair(savedIndex) {
   if (!isGuidedActive()) {
-    const residual =
-      state.calibration && Array.isArray(state.calibration.residuals)
-        ? state.calibration.residuals[savedIndex]
-        : null;
+    const residual = pairCalibrationValue('residuals', savedIndex);
     const residualText = residual !== null && residual !== undefined ? `${residual.toFixed(1)} m` : '—';
     const tone = residual !== null && residual <= 30 ? 'success' : 'info';
     showToast(`Pair ${savedIndex + 1} saved — residual ${residualText}.`, { tone });
   }
   showGuidedPairSavedToast(savedIndex);
-  advanceGuidedFlow();
+}
+
+// Disabled pairs stay listed with their predicted residual but no longer take part in the fit.
+function togglePairActive(index) {
+  const pairs = calibrationModel.pairs();
+  const pair = pairs[index];
+  if (!pair) {
+    return;
+  }
+  pairs[index] = { ...pair, active: !isPairActive(pair) };
+  calibrationModel.setPairs(pairs);
+  recalculateCalibration();
 }
 
 function onPairTableClick(event) {
   const target = event.target;
+  if (target.dataset.action === 'toggle') {
+    togglePairActive(Number.parseInt(target.dataset.index, 10));
+    return;
+  }
   if (target.dataset.action === 'delete') {
     const index = Number.parseInt(target.dataset.index, 10);
-    state.pairs.splice(index, 1);
-    renderPairList();
-    refreshPairMarkers();
+    calibrationModel.setPairs(calibrationModel.pairs().filter((pair, pairIndex) => pairIndex !== index));
     recalculateCalibration();
     cancelPairMode();
   }
 }
 
+function copyLocationText(text) {
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    showToast(`Copy is not available here — ${text}`, { tone: 'warning' });
+    return;
+  }
+  navigator.clipboard
+    .writeText(text)
+    .then(() => showToast('Coordinates copied.', { tone: 'success' }))
+    .catch(() => showToast(`Could not copy — ${text}`, { tone: 'warning' }));
+}
+
+function shareLocation(location, text) {
+  const lat = location.lat.toFixed(6);
+  const lon = location.lon.toFixed(6);
+  navigator
+    .share({
+      title: 'Snap2Map location',
+      text,
+      url: `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=17/${lat}/${lon}`,
+    })
+    .catch((error) => {
+      if (error && error.name !== 'AbortError') {
+        showToast('Sharing failed. Use copy instead.', { tone: 'warning' });
+      }
+    });
+}
+
+function showPhotoLocationPopup(latlng) {
+  const location = calibrationModel.projectPixelToLatLon({ x: latlng.lng, y: latlng.lat });
+  if (!location) {
+    return;
+  }
+
+  const text = `${location.lat.toFixed(6)}, ${location.lon.toFixed(6)}`;
+  const content = document.createElement('div');
+  content.className = 'space-y-2 text-sm text-slate-900';
+  content.innerHTML = `
+    <div class="font-semibold">${formatCoordinate(location, state.coordinateFormat)}</div>
+    ${state.gridSystem ? `<div class="text-xs text-slate-600">${formatGridLocation(location)}</div>` : ''}
+    <div class="flex gap-2">
+      <button type="button" data-action="copy" class="px-2 py-1 rounded bg-blue-600 text-white text-xs font-semibold">Copy</button>
+      <button type="button" data-action="share" class="px-2 py-1 rounded bg-emerald-600 text-white text-xs font-semibold ${navigator.share ? '' : 'hidden'}">Share</button>
+    </div>`;
+  content.addEventListener('click', (event) => {
+    const action = event.target.dataset.action;
+    if (action === 'copy') {
+      copyLocationText(text);
+    } else if (action === 'share') {
+      shareLocation(location, text);
+    }
+  });
+
+  L.popup().setLatLng(latlng).setContent(content).openOn(state.photoMap);
+}
+
 function handlePhotoClick(event) {
+  if (state.measuringScaleBar) {
+    addScaleBarPoint(event.latlng);
+    return;
+  }
   if (!state.activePair) {
+    showPhotoLocationPopup(event.latlng);
     return;
   }
   const pixel = { x: event.latlng.lng, y: event.latlng.lat };
@@ -576,12 +878,26 @@ function handleOsmClick(event) {
   }
   const wgs84 = { lat: event.latlng.lat, lon: event.latlng.lng };
   state.activePair.wgs84 = wgs84;
+  state.activePair.accuracy = null;
+  if (!state.activePair.confidenceChosen) {
+    dom.pairConfidenceSelect.value = tapConfidenceForZoom(state.osmMap.getZoom());
+  }
+  placeOsmActiveMarker(event.latlng);
+  finalizeMapSelection();
+}
+
+function placeOsmActiveMarker(latlng) {
   if (state.osmActiveMarker) {
-    state.osmActiveMarker.setLatLng(event.latlng);
+    state.osmActiveMarker.setLatLng(latlng);
   } else {
-    state.osmActiveMarker = L.marker(event.latlng, { draggable: false }).addTo(state.osmMap);
+    state.osmActiveMarker = L.marker(latlng, { draggable: false }).addTo(state.osmMap);
   }
-  finalizeMapSelection();
+}
+
+// Marks a location that was not tapped on the map (GPS fix or typed grid coordinates) and brings it into view.
+function showActiveWorldLocation(latlng) {
+  placeOsmActiveMarker(latlng);
+  state.osmMap.setView(latlng, Math.max(state.osmMap.getZoom(), 15));
 }
 
 function useCurrentPositionForPair() {
@@ -597,14 +913,9 @@ function useCurrentPositionForPair() {
     (position) => {
       const { latitude, longitude, accuracy } = position.coords;
       updateGpsStatus(`Captured reference with accuracy ±${Math.round(accuracy)} m`, false);
-      const latlng = L.latLng(latitude, longitude);
       state.activePair.wgs84 = { lat: latitude, lon: longitude };
-      if (state.osmActiveMarker) {
-        state.osmActiveMarker.setLatLng(latlng);
-      } else {
-        state.osmActiveMarker = L.marker(latlng, { draggable: false }).addTo(state.osmMap);
-      }
-      state.osmMap.setView(latlng, Math.max(state.osmMap.getZoom(), 15));
+      state.activePair.accuracy = accuracy;
+      showActiveWorldLocation(L.latLng(latitude, longitude));
       finalizeMapSelection();
     },
     (error) => {
@@ -617,27 +928,336 @@ function useCurrentPositionForPair() {
   );
 }
 
-function recalculateCalibration() {
-  if (state.pairs.length < 2) {
-    state.calibration = null;
-    refreshPairMarkers();
-    updateStatusText();
-    stopGeolocationWatch();
+function maybeSuggestTps() {
+  const calibration = calibrationModel.calibration();
+  if (state.tpsSuggested || !calibration || calibration.kind === 'tps') {
+    return;
+  }
+  const { rmse, maxResidual } = calibration.quality;
+  if (rmse > TPS_SUGGEST_RMSE || maxResidual > TPS_SUGGEST_MAX_RESIDUAL) {
+    state.tpsSuggested = true;
+    showToast('Residuals are high — tap “Improve accuracy” to refine locally (TPS).', { tone: 'warning' });
+  }
+}
+
+function maybeSuggestFlip() {
+  const mirrored = calibrationDiagnostics().some((diagnostic) => diagnostic.code === DIAGNOSTIC_CODES.MIRRORED);
+  if (!state.flipSuggested && mirrored) {
+    state.flipSuggested = true;
+    showToast('The photo looks mirrored — tap “Flip photo” to turn it the right way round.', { tone: 'warning' });
+  }
+}
+
+function selectedTpsRegularization() {
+  return dom.tpsAutoToggle.checked ? 'auto' : Number(dom.tpsSlider.value);
+}
+
+function updateTpsPreview() {
+  dom.tpsSlider.disabled = dom.tpsAutoToggle.checked;
+  dom.tpsApplyButton.disabled = true;
+  calibrationModel
+    .previewTPS(selectedTpsRegularization())
+    .then(showTpsPreview)
+    .catch(reportCalibrationError);
+}
+
+function showTpsPreview(preview) {
+  state.tpsPreview = preview.status === 'ok' ? preview : null;
+  dom.tpsApplyButton.disabled = !state.tpsPreview;
+
+  if (!state.tpsPreview) {
+    dom.tpsPreview.textContent = preview.message;
+    return;
+  }
+
+  const { rmseBefore, rmseAfter, rmseDelta, appliedRegularization } = preview.tps;
+  if (dom.tpsAutoToggle.checked) {
+    dom.tpsSlider.value = String(appliedRegularization);
+  }
+  const sign = rmseDelta > 0 ? '+' : '';
+  dom.tpsPreview.textContent = `RMSE ${rmseBefore.toFixed(2)} m → ${rmseAfter.toFixed(2)} m (${sign}${rmseDelta.toFixed(2)} m) · smoothing ${appliedRegularization}`;
+}
+
+function openTpsPanel() {
+  if (!calibrationModel.calibration()) {
+    return;
+  }
+  const applied = calibrationModel.settings().tpsRegularization;
+  dom.tpsAutoToggle.checked = applied === null || applied === 'auto';
+  if (typeof applied === 'number') {
+    dom.tpsSlider.value = String(applied);
+  }
+  dom.tpsRemoveButton.classList.toggle('hidden', applied === null);
+  dom.tpsPanel.classList.remove('hidden');
+  updateTpsPreview();
+}
+
+function closeTpsPanel() {
+  dom.tpsPanel.classList.add('hidden');
+  state.tpsPreview = null;
+}
+
+function applyTpsPreview() {
+  if (!state.tpsPreview) {
+    return;
+  }
+  const regularization = selectedTpsRegularization();
+  closeTpsPanel();
+  calibrationModel
+    .enableTPS(regularization)
+    .then((result) => {
+      if (result.kind === 'tps') {
+        showToast('Local refinement (TPS) applied.', { tone: 'success' });
+      }
+    })
+    .catch(reportCalibrationError);
+}
+
+function renderHeatmapImage(grid, values) {
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.columns;
+  canvas.height = grid.rows;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return null;
+  }
+  values.forEach((value, index) => {
+    context.fillStyle = errorColor(value);
+    context.fillRect(index % grid.columns, Math.floor(index / grid.columns), 1, 1);
+  });
+  return canvas.toDataURL();
+}
+
+function clearHeatmap() {
+  if (state.heatmapLayer) {
+    state.heatmapLayer.remove();
+    state.heatmapLayer = null;
+  }
+}
+
+function refreshHeatmap() {
+  clearHeatmap();
+  if (!state.heatmapVisible || !state.photoMap || !state.imageSize) {
+    return;
+  }
+  const metrics = createErrorMetrics(calibrationModel.calibration(), calibrationModel.pairs());
+  if (!metrics) {
+    return;
+  }
+
+  if (!state.heatmapColumns) {
+    state.heatmapColumns = initialHeatmapColumns(navigator.hardwareConcurrency);
+  }
+  const { width, height } = state.imageSize;
+  const started = performance.now();
+  const grid = heatmapGrid(width, height, state.heatmapColumns);
+  const imageUrl = renderHeatmapImage(grid, metrics.heatmap(grid.samples));
+  // Thin (or densify) the next render based on how long this one took on this device
+  state.heatmapColumns = nextHeatmapColumns(state.heatmapColumns, performance.now() - started);
+  if (!imageUrl) {
     return;
   }
 
-  const result = calibrateMap(state.pairs);
-  state.calibration = result.status === 'ok' ? result : null;
+  state.heatmapLayer = L.imageOverlay(imageUrl, [[0, 0], [height, width]], {
+    opacity: 0.45,
+    interactive: false,
+  }).addTo(state.photoMap);
+  const element = state.heatmapLayer.getElement();
+  if (element) {
+    element.style.imageRendering = 'pixelated';
+  }
+}
+
+function handleModelKindChange() {
+  calibrationModel.setBaseKind(dom.modelKindSelect.value === 'auto' ? null : dom.modelKindSelect.value);
+  recalculateCalibration();
+}
+
+function populateGridSystems() {
+  GRID_SYSTEMS.forEach((system) => {
+    const option = document.createElement('option');
+    option.value = system.id;
+    option.textContent = system.name;
+    dom.gridSystemSelect.appendChild(option);
+  });
+}
+
+function handleGridSystemChange() {
+  state.gridSystem = dom.gridSystemSelect.value;
+  const enabled = state.gridSystem !== '';
+  dom.gridZoneInput.classList.toggle('hidden', state.gridSystem !== 'utm');
+  dom.gridEastingInput.disabled = !enabled;
+  dom.gridNorthingInput.disabled = !enabled;
+  dom.useGridButton.disabled = !enabled;
+}
+
+// UTM zones are typed as number plus hemisphere, e.g. "32N" or "18 S".
+function parseUtmZone(text) {
+  const match = /^\s*(\d{1,2})\s*([NS])\s*$/i.exec(text);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 60) {
+    return null;
+  }
+  return { zone: Number(match[1]), hemisphere: match[2].toUpperCase() };
+}
+
+function readGridInput() {
+  const easting = Number.parseFloat(dom.gridEastingInput.value);
+  const northing = Number.parseFloat(dom.gridNorthingInput.value);
+  if (!Number.isFinite(easting) || !Number.isFinite(northing)) {
+    return null;
+  }
+  if (state.gridSystem !== 'utm') {
+    return { easting, northing };
+  }
+  const zone = parseUtmZone(dom.gridZoneInput.value);
+  return zone ? { easting, northing, ...zone } : null;
+}
+
+function useGridPositionForPair() {
+  if (!state.activePair) {
+    showToast('Start a pair first, then enter its grid coordinates.', { tone: 'warning' });
+    return;
+  }
+  const coordinates = readGridInput();
+  const wgs84 = coordinates ? gridToWgs84(coordinates, state.gridSystem) : null;
+  if (!wgs84 || !Number.isFinite(wgs84.lat) || !Number.isFinite(wgs84.lon)) {
+    showToast('Enter an easting and northing (and a zone such as 32N for UTM).', { tone: 'warning' });
+    return;
+  }
+  state.activePair.wgs84 = wgs84;
+  state.activePair.accuracy = null;
+  showActiveWorldLocation(L.latLng(wgs84.lat, wgs84.lon));
+  finalizeMapSelection();
+}
+
+function formatGridLocation(location) {
+  const grid = wgs84ToGrid(location, state.gridSystem);
+  const zone = grid.zone ? `${grid.zone}${grid.hemisphere} ` : '';
+  return `${zone}E ${Math.round(grid.easting)} · N ${Math.round(grid.northing)}`;
+}
+
+function populateCoordinateFormats() {
+  COORDINATE_FORMATS.forEach((format) => {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.name;
+    dom.coordinateFormatSelect.appendChild(option);
+  });
+  dom.coordinateFormatSelect.value = state.coordinateFormat;
+}
+
+function handleCoordinateFormatChange() {
+  state.coordinateFormat = dom.coordinateFormatSelect.value;
+  renderPairList();
+  if (state.lastPosition && state.geoWatchId) {
+    updateGpsStatus(describeLivePosition(state.lastPosition), false);
+  }
+}
+
+function setCoordinateEntryEnabled(enabled) {
+  dom.coordinateInput.disabled = !enabled;
+  dom.useCoordinateButton.disabled = !enabled;
+  if (!enabled) {
+    dom.coordinateInput.value = '';
+  }
+}
+
+// Typed map location for the active pair; short plus codes are resolved near the OSM view.
+function useTypedCoordinateForPair() {
+  if (!state.activePair) {
+    return;
+  }
+  const center = state.osmMap ? state.osmMap.getCenter() : null;
+  const reference = center ? { lat: center.lat, lon: center.lng } : null;
+  const location = parseCoordinate(dom.coordinateInput.value, { reference });
+  if (!location) {
+    showToast('Could not read that coordinate. Try decimal degrees, DMS, UTM, MGRS or a plus code.', { tone: 'warning' });
+    return;
+  }
+  state.activePair.wgs84 = { lat: location.lat, lon: location.lon };
+  state.activePair.accuracy = null;
+  showActiveWorldLocation(L.latLng(location.lat, location.lon));
+  finalizeMapSelection();
+}
+
+function handleEnuMethodChange() {
+  calibrationModel.setOptions({ enuMethod: dom.enuMethodSelect.value });
+  recalculateCalibration();
+}
+
+// Pinning keeps the current calibration's ENU origin for later fits; unpinning lets it follow the pairs again.
+function handlePinOriginChange() {
+  const calibration = calibrationModel.calibration();
+  const pinned = dom.pinOriginToggle.checked && Boolean(calibration);
+  dom.pinOriginToggle.checked = pinned;
+  calibrationModel.setOptions({ origin: pinned ? calibration.origin : null });
+  recalculateCalibration();
+}
+
+function handleRobustLossChange() {
+  calibrationModel.setOptions({ robustLoss: dom.robustLossSelect.value });
+  recalculateCalibration();
+}
+
+function toggleHeatmap() {
+  state.heatmapVisible = !state.heatmapVisible;
+  dom.heatmapToggleButton.textContent = state.heatmapVisible ? 'Hide error heatmap' : 'Show error heatmap';
+  dom.heatmapLegend.classList.toggle('hidden', !state.heatmapVisible);
+  refreshHeatmap();
+}
+
+function syncTpsPanel() {
+  if (!dom.tpsPanel || dom.tpsPanel.classList.contains('hidden')) {
+    return;
+  }
+  if (calibrationModel.calibration()) {
+    updateTpsPreview();
+  } else {
+    closeTpsPanel();
+  }
+}
+
+function removeTpsRefinement() {
+  closeTpsPanel();
+  calibrationModel.disableTPS().catch(reportCalibrationError);
+}
+
+// Superseded requests are expected while the user keeps editing; anything else is a real failure.
+function reportCalibrationError(error) {
+  if (error && error.name === 'AbortError') {
+    return null;
+  }
+  updateGpsStatus(`Calibration failed. ${error ? error.message : ''}`.trim(), true);
+  return null;
+}
+
+// Resolves to the adopted fit result once it is shown, or to null when it was superseded or failed.
+function recalculateCalibration() {
+  return calibrationModel.fitRobust().catch(reportCalibrationError);
+}
+
+function showPairs() {
+  renderPairList();
+  refreshPairMarkers();
+}
+
+// Listener for every calibration the model adopts, including failed fits and the reset of a new photo.
+function showCalibrationResult(calibration, result) {
+  renderDiagnostics();
+  // A pinned origin stays removable even when the fit fails.
+  dom.pinOriginToggle.disabled = !calibration && !dom.pinOriginToggle.checked;
 
-  if (!state.calibration) {
+  if (!result || result.status === 'insufficient-pairs') {
+    stopGeolocationWatch();
+  } else if (!calibration) {
     updateGpsStatus(result.message || 'Calibration failed. Add more pairs.', true);
     state.userMarker = null;
-    if (state.accuracyCircle) {
-      state.accuracyCircle.remove();
-      state.accuracyCircle = null;
+    if (state.accuracyEllipse) {
+      state.accuracyEllipse.remove();
+      state.accuracyEllipse = null;
     }
   } else {
-    updateGpsStatus('Calibration ready. Live mode active.', false);
+    updateGpsStatus('Calibration ready. Live mode active — tap the photo to read coordinates.', false);
     startGeolocationWatch();
   }
 
@@ -645,6 +1265,11 @@ function recalculateCalibration() {
   refreshPairMarkers();
   updateStatusText();
   updateLivePosition();
+  refreshHeatmap();
+  syncTpsPanel();
+  maybeSuggestTps();
+  maybeSuggestFlip();
+  announceSavedPairs(result);
 }
 
 function loadPhotoMap(dataUrl, width, height) {
@@ -675,20 +1300,21 @@ function loadPhotoMap(dataUrl, width, height) {
 
   state.imageDataUrl = dataUrl;
   state.imageSize = { width, height };
-  state.pairs = [];
-  state.calibration = null;
+  clearPhotoHints();
+  calibrationModel.setOptions({ imageSize: state.imageSize, origin: null, scaleHint: null, northHint: null });
+  dom.pinOriginToggle.checked = false;
+  calibrationModel.reset();
+  state.tpsSuggested = false;
+  state.flipSuggested = false;
+  closeTpsPanel();
+  clearHeatmap();
   state.lastPosition = null;
   state.userMarker = null;
-  if (state.accuracyCircle) {
-    state.accuracyCircle.remove();
-    state.accuracyCircle = null;
+  if (state.accuracyEllipse) {
+    state.accuracyEllipse.remove();
+    state.accuracyEllipse = null;
   }
-  clearMarkers(state.photoPairMarkers);
-  clearMarkers(state.osmPairMarkers);
   cancelPairMode();
-  renderPairList();
-  refreshPairMarkers();
-  updateStatusText();
   updateGpsStatus('Photo loaded. Guided pairing active — follow the prompts.', false);
   startGuidedPairing();
 
@@ -703,6 +1329,192 @@ function loadPhotoMap(dataUrl, width, height) {
   });
 }
 
+function photoCenter() {
+  return { x: state.imageSize.width / 2, y: state.imageSize.height / 2 };
+}
+
+// Meters per photo pixel from the measured scale bar and its typed length; null until both are known.
+function scaleHintFromBar() {
+  const length = Number(dom.scaleBarLengthInput.value);
+  if (state.scaleBarPoints.length < 2 || !(length > 0)) {
+    return null;
+  }
+  const [start, end] = state.scaleBarPoints;
+  const pixels = Math.hypot(end.x - start.x, end.y - start.y);
+  return pixels > 0 ? length / pixels : null;
+}
+
+// Direction of the north arrow in degrees clockwise from the photo's up; null until it is placed.
+function northHintFromArrow() {
+  if (!state.northArrowHead) {
+    return null;
+  }
+  const center = photoCenter();
+  return (Math.atan2(state.northArrowHead.x - center.x, state.northArrowHead.y - center.y) * 180) / Math.PI;
+}
+
+function updateHintSummary() {
+  const scale = scaleHintFromBar();
+  const north = northHintFromArrow();
+  dom.hintSummary.textContent = [
+    scale === null ? 'Scale not set' : `Scale ${scale.toFixed(2)} m/px`,
+    north === null ? 'north not set' : `north ${Math.round(north)}°`,
+  ].join(' · ');
+  dom.clearHintsButton.classList.toggle('hidden', state.scaleBarPoints.length === 0 && !state.northArrowHead);
+}
+
+// Hands the scale and north to every later fit; with both set a single pair calibrates the photo.
+function applyPhotoHints() {
+  calibrationModel.setOptions({ scaleHint: scaleHintFromBar(), northHint: northHintFromArrow() });
+  updateHintSummary();
+  recalculateCalibration();
+}
+
+function renderScaleBar() {
+  if (state.scaleBarLayer) {
+    state.scaleBarLayer.remove();
+    state.scaleBarLayer = null;
+  }
+  const latlngs = state.scaleBarPoints.map((point) => [point.y, point.x]);
+  if (latlngs.length === 1) {
+    state.scaleBarLayer = L.circleMarker(latlngs[0], { radius: 4, color: '#f59e0b', interactive: false }).addTo(state.photoMap);
+  } else if (latlngs.length === 2) {
+    state.scaleBarLayer = L.polyline(latlngs, { color: '#f59e0b', weight: 3, interactive: false }).addTo(state.photoMap);
+  }
+}
+
+// Arrow from the photo centre to a draggable "N" handle.
+function renderNorthArrow() {
+  if (state.northArrowLayer) {
+    state.northArrowLayer.remove();
+    state.northArrowLayer = null;
+  }
+  if (!state.northArrowHead) {
+    return;
+  }
+  const center = photoCenter();
+  const tail = [center.y, center.x];
+  const shaft = L.polyline([tail, [state.northArrowHead.y, state.northArrowHead.x]], { color: '#f43f5e', weight: 3, interactive: false });
+  const handle = L.marker([state.northArrowHead.y, state.northArrowHead.x], {
+    draggable: true,
+    icon: L.divIcon({
+      className: '',
+      html: '<span class="flex h-6 w-6 items-center justify-center rounded-full bg-rose-500 text-xs font-bold text-white">N</span>',
+      iconSize: [24, 24],
+    }),
+  });
+  handle.on('drag', (event) => shaft.setLatLngs([tail, event.target.getLatLng()]));
+  handle.on('dragend', (event) => {
+    const { lat, lng } = event.target.getLatLng();
+    state.northArrowHead = { x: lng, y: lat };
+    applyPhotoHints();
+  });
+  state.northArrowLayer = L.layerGroup([shaft, handle]).addTo(state.photoMap);
+}
+
+function beginScaleBarMeasurement() {
+  if (!state.imageSize) {
+    showToast('Import a map photo first.', { tone: 'warning' });
+    return;
+  }
+  state.measuringScaleBar = true;
+  state.scaleBarPoints = [];
+  renderScaleBar();
+  setActiveView('photo');
+  showToast('Tap one end of the scale bar on the photo, then the other.');
+}
+
+function addScaleBarPoint(latlng) {
+  state.scaleBarPoints.push({ x: latlng.lng, y: latlng.lat });
+  renderScaleBar();
+  if (state.scaleBarPoints.length < 2) {
+    return;
+  }
+  state.measuringScaleBar = false;
+  if (scaleHintFromBar() === null) {
+    showToast('Enter the distance the scale bar stands for, in meters.');
+    dom.scaleBarLengthInput.focus();
+  }
+  applyPhotoHints();
+}
+
+function placeNorthArrow() {
+  if (!state.imageSize) {
+    showToast('Import a map photo first.', { tone: 'warning' });
+    return;
+  }
+  if (!state.northArrowHead) {
+    const center = photoCenter();
+    state.northArrowHead = { x: center.x, y: center.y + Math.min(state.imageSize.width, state.imageSize.height) / 4 };
+    renderNorthArrow();
+    applyPhotoHints();
+  }
+  setActiveView('photo');
+  showToast('Drag the N handle until the arrow points like the north arrow on the photo.');
+}
+
+function clearPhotoHints() {
+  state.measuringScaleBar = false;
+  state.scaleBarPoints = [];
+  state.northArrowHead = null;
+  renderScaleBar();
+  renderNorthArrow();
+  updateHintSummary();
+}
+
+// PNG and WebP photos keep their format; anything else is stored as JPEG.
+function encodePhotoCanvas(canvas, type) {
+  if (type === 'image/png' || type === 'image/webp') {
+    return canvas.toDataURL(type);
+  }
+  return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+// Mirrors photo pixels left to right; pair locations stay where they are.
+function mirrorPixel(pixel) {
+  return { x: state.imageSize.width - pixel.x, y: pixel.y };
+}
+
+function mirrorPhotoPoints() {
+  calibrationModel.setPairs(calibrationModel.pairs().map((pair) => ({ ...pair, pixel: mirrorPixel(pair.pixel) })));
+  if (state.activePair && state.activePair.pixel) {
+    state.activePair.pixel = mirrorPixel(state.activePair.pixel);
+    state.photoActiveMarker.setLatLng([state.activePair.pixel.y, state.activePair.pixel.x]);
+  }
+  state.scaleBarPoints = state.scaleBarPoints.map(mirrorPixel);
+  state.northArrowHead = state.northArrowHead && mirrorPixel(state.northArrowHead);
+  renderScaleBar();
+  renderNorthArrow();
+  applyPhotoHints();
+}
+
+// Replaces the photo with its mirror image, e.g. a scan of a map printed on transparent film.
+function flipPhoto() {
+  if (!state.imageDataUrl || !state.imageSize) {
+    return;
+  }
+  const { width, height } = state.imageSize;
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    if (!context) {
+      return;
+    }
+    context.translate(width, 0);
+    context.scale(-1, 1);
+    context.drawImage(img, 0, 0, width, height);
+    state.imageDataUrl = encodePhotoCanvas(canvas, state.imageDataUrl.slice(5, state.imageDataUrl.indexOf(';')));
+    state.photoOverlay.setUrl(state.imageDataUrl);
+    state.flipSuggested = true;
+    mirrorPhotoPoints();
+    showToast('Photo flipped. Pairs were moved to match.', { tone: 'success' });
+  };
+  img.src = state.imageDataUrl;
+}
+
 function handleImageImport(event) {
   const file = event.target.files && event.target.files[0];
   if (!file) {
@@ -744,17 +1556,7 @@ function handleImageImport(event) {
           context.imageSmoothingQuality = 'high';
           context.drawImage(img, 0, 0, targetWidth, targetHeight);
 
-          const preferredType =
-            file.type === 'image/png' || file.type === 'image/webp'
-              ? file.type
-              : 'image/jpeg';
-
-          const optimizedDataUrl =
-            preferredType === 'image/jpeg'
-              ? canvas.toDataURL(preferredType, 0.9)
-              : canvas.toDataURL(preferredType);
-
-          loadPhotoMap(optimizedDataUrl, targetWidth, targetHeight);
+          loadPhotoMap(encodePhotoCanvas(canvas, file.type), targetWidth, targetHeight);
           return;
         }
       }
@@ -966,6 +1768,7 @@ function cacheDom() {
   dom.addPairButton = $('addPairButton');
   dom.usePositionButton = $('usePositionButton');
   dom.confirmPairButton = $('confirmPairButton');
+  dom.pairConfidenceSelect = $('pairConfidenceSelect');
   dom.cancelPairButton = $('cancelPairButton');
   dom.pairStatus = $('pairStatus');
   dom.pairTableBody = $('pairTableBody');
@@ -973,6 +1776,20 @@ function cacheDom() {
   dom.calibrationBadge = $('calibrationBadge');
   dom.residualSummary = $('residualSummary');
   dom.accuracyDetails = $('accuracyDetails');
+  dom.modelRanking = $('modelRanking');
+  dom.modelKindSelect = $('modelKindSelect');
+  dom.enuMethodSelect = $('enuMethodSelect');
+  dom.robustLossSelect = $('robustLossSelect');
+  dom.pinOriginToggle = $('pinOriginToggle');
+  dom.coordinateInput = $('coordinateInput');
+  dom.useCoordinateButton = $('useCoordinateButton');
+  dom.coordinateFormatSelect = $('coordinateFormatSelect');
+  dom.gridSystemSelect = $('gridSystemSelect');
+  dom.gridZoneInput = $('gridZoneInput');
+  dom.gridEastingInput = $('gridEastingInput');
+  dom.gridNorthingInput = $('gridNorthingInput');
+  dom.useGridButton = $('useGridButton');
+  dom.diagnosticsList = $('diagnosticsList');
   dom.gpsStatus = $('gpsStatus');
   dom.photoView = $('photoView');
   dom.osmView = $('osmView');
@@ -981,10 +1798,27 @@ function cacheDom() {
   dom.pairTable = $('pairTable');
   dom.toastContainer = $('toastContainer');
   dom.replacePhotoButton = $('replacePhotoButton');
+  dom.flipPhotoButton = $('flipPhotoButton');
+  dom.measureScaleButton = $('measureScaleButton');
+  dom.scaleBarLengthInput = $('scaleBarLengthInput');
+  dom.northArrowButton = $('northArrowButton');
+  dom.clearHintsButton = $('clearHintsButton');
+  dom.hintSummary = $('hintSummary');
+  dom.improveAccuracyButton = $('improveAccuracyButton');
+  dom.tpsPanel = $('tpsPanel');
+  dom.tpsAutoToggle = $('tpsAutoToggle');
+  dom.tpsSlider = $('tpsSlider');
+  dom.tpsPreview = $('tpsPreview');
+  dom.tpsApplyButton = $('tpsApplyButton');
+  dom.tpsCancelButton = $('tpsCancelButton');
+  dom.tpsRemoveButton = $('tpsRemoveButton');
+  dom.heatmapToggleButton = $('heatmapToggleButton');
+  dom.heatmapLegend = $('heatmapLegend');
 }
 
 function setupEventHandlers() {
   dom.mapImageInput.addEventListener('change', handleImageImport);
+  dom.flipPhotoButton.addEventListener('click', flipPhoto);
   dom.addPairButton.addEventListener('click', beginPairMode);
   dom.cancelPairButton.addEventListener('click', () => {
     const wasGuided = isGuidedActive();
@@ -995,13 +1829,49 @@ function setupEventHandlers() {
   });
   dom.confirmPairButton.addEventListener('click', confirmPair);
   dom.usePositionButton.addEventListener('click', useCurrentPositionForPair);
+  dom.pairConfidenceSelect.addEventListener('change', () => {
+    if (state.activePair) {
+      state.activePair.confidenceChosen = true;
+    }
+  });
   dom.pairTableBody.addEventListener('click', onPairTableClick);
   dom.photoTabButton.addEventListener('click', () => setActiveView('photo'));
   dom.osmTabButton.addEventListener('click', () => setActiveView('osm'));
+  dom.improveAccuracyButton.addEventListener('click', openTpsPanel);
+  dom.tpsAutoToggle.addEventListener('change', updateTpsPreview);
+  dom.tpsSlider.addEventListener('input', updateTpsPreview);
+  dom.tpsApplyButton.addEventListener('click', applyTpsPreview);
+  dom.tpsCancelButton.addEventListener('click', closeTpsPanel);
+  dom.tpsRemoveButton.addEventListener('click', removeTpsRefinement);
+  dom.heatmapToggleButton.addEventListener('click', toggleHeatmap);
+  dom.modelKindSelect.addEventListener('change', handleModelKindChange);
+  dom.enuMethodSelect.addEventListener('change', handleEnuMethodChange);
+  dom.robustLossSelect.addEventListener('change', handleRobustLossChange);
+  dom.pinOriginToggle.addEventListener('change', handlePinOriginChange);
+  dom.measureScaleButton.addEventListener('click', beginScaleBarMeasurement);
+  dom.scaleBarLengthInput.addEventListener('change', applyPhotoHints);
+  dom.northArrowButton.addEventListener('click', placeNorthArrow);
+  dom.clearHintsButton.addEventListener('click', () => {
+    clearPhotoHints();
+    applyPhotoHints();
+  });
+  dom.gridSystemSelect.addEventListener('change', handleGridSystemChange);
+  dom.coordinateFormatSelect.addEventListener('change', handleCoordinateFormatChange);
+  dom.useCoordinateButton.addEventListener('click', useTypedCoordinateForPair);
+  dom.coordinateInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      useTypedCoordinateForPair();
+    }
+  });
+  dom.useGridButton.addEventListener('click', useGridPositionForPair);
 }
 
 function init() {
+  calibrationModel.on('pairs', showPairs);
+  calibrationModel.on('calibration', showCalibrationResult);
   cacheDom();
+  populateGridSystems();
+  populateCoordinateFormats();
   setPhotoImportState(false);
   setupEventHandlers();
   setupMaps();
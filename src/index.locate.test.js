@@ -13,8 +13,12 @@ describe('OpenStreetMap locate control integration', () => {
 
     jest.mock('snap2map/calibrator', () => ({
       calibrateMap: jest.fn(),
+      refineCalibrationWithTps: jest.fn(),
       computeAccuracyRing: jest.fn(),
+      pairSigmaMeters: jest.fn(),
+      isPairActive: jest.fn(() => true),
       projectLocationToPixel: jest.fn(),
+      projectPixelToLocation: jest.fn(),
       accuracyRingRadiusPixels: jest.fn(),
     }));
 